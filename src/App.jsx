@@ -4,122 +4,231 @@ import {
   Search,
   Trash2,
   X,
-  ChevronRight,
-  TrendingUp,
   DollarSign,
   LayoutGrid,
   Link as LinkIcon,
-  Target,
-  ShoppingCart,
   Zap,
   FileText,
   LogOut,
+  Settings,
+  Upload,
+  Download,
+  DatabaseBackup,
+  Table,
+  Kanban,
+  BarChart3,
+  Eye,
+  Tag,
+  Tags,
+  Layers,
+  History,
+  Copy,
+  BookmarkPlus,
 } from "lucide-react";
-import { initializeApp } from "firebase/app";
 import {
-  getAuth,
   createUserWithEmailAndPassword,
   signInWithEmailAndPassword,
+  sendEmailVerification,
   signOut,
   onAuthStateChanged,
 } from "firebase/auth";
 import {
-  getFirestore,
   doc,
   setDoc,
-  collection,
   onSnapshot,
   deleteDoc,
   query,
+  where,
+  orderBy,
+  limit,
+  runTransaction,
+  arrayUnion,
+  arrayRemove,
 } from "firebase/firestore";
-
-// --- Firebase Config & Initialization ---
-const firebaseConfig = JSON.parse(import.meta.env.VITE_FIREBASE_CONFIG);
-
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-const appId = "dropship-tracker-app";
+import {
+  auth,
+  db,
+  workspacesCol,
+  productsCol,
+  productRef,
+  settingsRef,
+  invitesCol,
+  userViewsCol,
+  userViewRef,
+} from "./lib/firebase";
+import {
+  canEditRole,
+  normalizeEmail,
+  ensurePersonalWorkspace,
+  createWorkspace,
+  renameWorkspace,
+  inviteMember,
+  deleteInvite,
+  acceptInvite,
+  updateMemberRole,
+  removeMember,
+} from "./lib/workspaces";
+import {
+  ECONOMICS_FIELDS,
+  DEFAULT_ECONOMICS,
+  DEFAULT_ROAS_THRESHOLDS,
+  ROAS_TONE_CLASSES,
+  calculateUnitEconomics,
+  getRoasTone,
+} from "./lib/economics";
+import { DEFAULT_SCORECARD, scoreProduct } from "./lib/scorecard";
+import {
+  addTag,
+  removeTag,
+  collectTags,
+  collectNiches,
+  getTags,
+  groupByNiche,
+  planTagMerge,
+} from "./lib/tags";
+import { formatCurrency, formatPercent } from "./lib/format";
+import {
+  generateId,
+  createProduct,
+  createCompetitor,
+  getCompetitors,
+  moveItem,
+} from "./lib/products";
+import {
+  DEFAULT_STATUSES,
+  getStatusNames,
+  getDefaultStatus,
+  findStatus,
+} from "./lib/statuses";
+import { buildStatusChange, initialStatusHistory } from "./lib/statusHistory";
+import {
+  getSuppliers,
+  getPreferredSupplier,
+  createSupplier,
+  derivedCogs,
+  supplierFields,
+} from "./lib/suppliers";
+import { DEFAULT_AD_TEST_WINDOW_DAYS, getAdTestEntries } from "./lib/adTests";
+import { promoteFields } from "./lib/pricing";
+import {
+  getMarkets,
+  createMarket,
+  updateMarket,
+  marketFields,
+  marketEconomics,
+} from "./lib/markets";
+import {
+  DEFAULT_REPORTING_CURRENCY,
+  DEFAULT_EXCHANGE_RATES,
+  getCurrencies,
+} from "./lib/currency";
+import { getApprovedStatus } from "./lib/projection";
+import {
+  duplicateFields,
+  createTemplate,
+  templateFields,
+} from "./lib/templates";
+import { productsToCsv } from "./lib/productCsv";
+import { parseFilterQuery, matchesQuery } from "./lib/filterQuery";
+import { DEFAULT_COLUMNS, getColumn, sortProducts } from "./lib/columns";
+import { downloadFile } from "./lib/csv";
+import { todayIso } from "./lib/competitorMetrics";
+import { createSaveQueue, applyDrafts, detectConflicts } from "./lib/saveQueue";
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  isTrashed,
+  trashFields,
+  restoreFields,
+  getExpiredTrash,
+} from "./lib/trash";
+import {
+  createRevisionSessions,
+  diffFields,
+  buildRevision,
+  revisionRef,
+  revisionsCol,
+  addRevisionToBatch,
+  fieldsAtRevision,
+  deleteRevisions,
+} from "./lib/revisions";
+import {
+  updateSelection,
+  commitInChunks,
+  commitChunksInOrder,
+  summarizeBulkResult,
+} from "./lib/bulk";
+import WorkspaceSettings from "./components/WorkspaceSettings";
+import ImportDialog from "./components/ImportDialog";
+import BackupDialog from "./components/BackupDialog";
+import BoardView from "./components/BoardView";
+import StatusTimeline from "./components/StatusTimeline";
+import ProductTable from "./components/ProductTable";
+import ColumnsMenu from "./components/ColumnsMenu";
+import ViewsMenu from "./components/ViewsMenu";
+import WorkspaceSwitcher from "./components/WorkspaceSwitcher";
+import TeamDialog from "./components/TeamDialog";
+import SaveStatus from "./components/SaveStatus";
+import SyncIndicator from "./components/SyncIndicator";
+import ConflictBanner from "./components/ConflictBanner";
+import VerifyEmailBanner from "./components/VerifyEmailBanner";
+import CompetitorList from "./components/CompetitorList";
+import Dashboard from "./components/Dashboard";
+import TagInput from "./components/TagInput";
+import TagManager from "./components/TagManager";
+import BulkActionBar from "./components/BulkActionBar";
+import TrashDialog from "./components/TrashDialog";
+import UndoToast from "./components/UndoToast";
+import RevisionHistory from "./components/RevisionHistory";
+import NewProductMenu from "./components/NewProductMenu";
+import SupplierList from "./components/SupplierList";
+import SupplierComparison from "./components/SupplierComparison";
+import AdTestLog from "./components/AdTestLog";
+import PricingSimulator from "./components/PricingSimulator";
+import MarketList from "./components/MarketList";
+import ProjectionPanel from "./components/ProjectionPanel";
+import ScoreBreakdown from "./components/ScoreBreakdown";
 
 // --- Constants & Config ---
 const LOCAL_STORAGE_KEY = "dropship_tracker_v1";
+const WORKSPACE_STORAGE_KEY = "dropship_tracker_workspace";
+const PENDING_EDITS_STORAGE_KEY = "dropship_tracker_pending_edits";
 
-const INITIAL_COMPETITOR = {
-  brand: "",
-  adLink: "",
-  storeLink: "",
-  adsCount: "",
-  traffic: "",
-};
-
-const NEW_PRODUCT_TEMPLATE = {
-  id: "",
-  name: "",
-  status: "Pending",
-  cogs: "",
-  price: "",
-  valueProp: "",
-  supplierLink: "",
-  targetMarket: "",
-  hasContent: false,
-  competitors: [
-    { ...INITIAL_COMPETITOR },
-    { ...INITIAL_COMPETITOR },
-    { ...INITIAL_COMPETITOR },
-  ],
-  otherLinks: [],
-  personalNotes: "",
-  internalNotes: "",
-};
-
-// --- Helper Functions ---
-const generateId = () => Math.random().toString(36).substr(2, 9);
-
-const formatCurrency = (val) => {
-  if (!val) return "-";
-  return new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: "USD",
-  }).format(val);
-};
-
-const calculateRoas = (price, cogs) => {
-  const p = parseFloat(price);
-  const c = parseFloat(cogs);
-  if (isNaN(p) || isNaN(c)) return null;
-
-  const margin = p - c;
-  if (margin <= 0) return 0;
-
-  return (p / margin).toFixed(2);
+// Unsent edits are kept per user and workspace, so only the account that
+// made them ever sends them.
+const pendingEditsStorage = (uid, workspaceId) => {
+  const key = `${PENDING_EDITS_STORAGE_KEY}:${uid}:${workspaceId}`;
+  return {
+    load: () => {
+      try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+      } catch {
+        return [];
+      }
+    },
+    save: (entries) => {
+      if (entries.length) {
+        localStorage.setItem(key, JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(key);
+      }
+    },
+  };
 };
 
-// --- Components ---
-const StatusBadge = ({ status }) => {
-  const styles = {
-    Pending: "bg-slate-100 text-slate-600 border-slate-200",
-    Approved: "bg-emerald-50 text-emerald-700 border-emerald-200",
-    Rejected: "bg-rose-50 text-rose-700 border-rose-200",
-  };
+// Older versions kept one unscoped queue that any account would have sent.
+const dropLegacyPendingEdits = () =>
+  localStorage.removeItem(PENDING_EDITS_STORAGE_KEY);
 
-  return (
-    <span
-      className={`px-2 py-0.5 rounded text-xs font-medium border ${
-        styles[status] || styles.Pending
-      } flex items-center gap-1 w-fit`}
-    >
-      <span
-        className={`w-1.5 h-1.5 rounded-full ${
-          status === "Approved"
-            ? "bg-emerald-500"
-            : status === "Rejected"
-            ? "bg-rose-500"
-            : "bg-slate-400"
-        }`}
-      ></span>
-      {status}
-    </span>
-  );
+const DEFAULT_SETTINGS = {
+  economicsDefaults: DEFAULT_ECONOMICS,
+  statuses: DEFAULT_STATUSES,
+  scorecard: DEFAULT_SCORECARD,
+  roasThresholds: DEFAULT_ROAS_THRESHOLDS,
+  trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+  productTemplates: [],
+  adTestWindowDays: DEFAULT_AD_TEST_WINDOW_DAYS,
+  reportingCurrency: DEFAULT_REPORTING_CURRENCY,
+  exchangeRates: DEFAULT_EXCHANGE_RATES,
 };
 
 // --- Auth Component ---
@@ -139,7 +248,15 @@ const AuthScreen = ({ onAuth }) => {
       if (isLogin) {
         await signInWithEmailAndPassword(auth, email, password);
       } else {
-        await createUserWithEmailAndPassword(auth, email, password);
+        const { user } = await createUserWithEmailAndPassword(
+          auth,
+          email,
+          password
+        );
+        // Invites only reach verified addresses (see firestore.rules).
+        sendEmailVerification(user).catch((e) =>
+          console.error("Error sending verification email:", e)
+        );
       }
     } catch (err) {
       setError(err.message);
@@ -244,64 +361,287 @@ const AuthScreen = ({ onAuth }) => {
 
 export default function App() {
   const [user, setUser] = useState(null);
-  const [products, setProducts] = useState([]);
+  // Kept apart from `user`, which Firebase updates in place on reload.
+  const [emailVerified, setEmailVerified] = useState(false);
+  const [syncedProducts, setSyncedProducts] = useState([]);
   const [selectedId, setSelectedId] = useState(null);
   const [searchQuery, setSearchQuery] = useState("");
   const [loading, setLoading] = useState(true);
   const [authChecking, setAuthChecking] = useState(true);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // Workspace whose settings have arrived; purging waits for the real
+  // retention period instead of the default.
+  const [settingsLoadedFor, setSettingsLoadedFor] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [view, setView] = useState("table");
+  const [columnIds, setColumnIds] = useState(DEFAULT_COLUMNS);
+  const [sort, setSort] = useState(null);
+  const [groupBy, setGroupBy] = useState(null);
+  const [showTags, setShowTags] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [undo, setUndo] = useState(null);
+  const [inspectorTab, setInspectorTab] = useState("details");
+  const [revisions, setRevisions] = useState({ productId: null, items: [] });
+  const [views, setViews] = useState([]);
+  const [activeViewId, setActiveViewId] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(() =>
+    localStorage.getItem(WORKSPACE_STORAGE_KEY)
+  );
+  const [workspaceReady, setWorkspaceReady] = useState(false);
+  const [receivedInvites, setReceivedInvites] = useState([]);
+  const [sentInvites, setSentInvites] = useState([]);
+  const [showTeam, setShowTeam] = useState(false);
+  const [saveState, setSaveState] = useState({
+    drafts: {},
+    status: {},
+    conflicts: {},
+  });
+  const [online, setOnline] = useState(navigator.onLine);
+  const [cloudPendingCount, setCloudPendingCount] = useState(0);
+  const [syncError, setSyncError] = useState(null);
+
+  // Inspector edits go through the save queue; unsaved fields are laid over
+  // the synced products so the UI always shows the latest input. Each flush
+  // is a transaction that re-reads the products, so fields someone else
+  // changed in the meantime come back as conflicts instead of being
+  // overwritten.
+  // Each write also updates the product's current revision session, in the
+  // same transaction so history never disagrees with the data.
+  const [nextRevisionSession] = useState(() => createRevisionSessions());
+  const [saveQueue] = useState(() =>
+    createSaveQueue({
+      write: async (entries) => {
+        const at = Date.now();
+        const sessionRefs = entries.map((entry) =>
+          revisionRef(entry.path, nextRevisionSession(entry.id, at))
+        );
+        try {
+          return await runTransaction(db, async (transaction) => {
+            const refs = entries.map((entry) => doc(db, entry.path));
+            const snaps = await Promise.all(
+              refs.map((ref) => transaction.get(ref))
+            );
+            const sessions = await Promise.all(
+              sessionRefs.map((ref) => transaction.get(ref))
+            );
+            const found = {};
+            entries.forEach((entry, i) => {
+              // Deleted elsewhere: the edit has nothing left to land on.
+              if (!snaps[i].exists()) return;
+              const { apply, conflicts } = detectConflicts(
+                snaps[i].data(),
+                entry
+              );
+              if (conflicts.length) found[entry.id] = conflicts;
+              if (Object.keys(apply).length === 0) return;
+              transaction.set(refs[i], apply, { merge: true });
+
+              const revision = buildRevision({
+                id: sessionRefs[i].id,
+                existing: sessions[i].data(),
+                changes: diffFields(snaps[i].data(), apply),
+                author: auth.currentUser,
+                at,
+              });
+              if (revision) {
+                transaction.set(sessionRefs[i], revision);
+              } else if (sessions[i].exists()) {
+                // Everything in the session was changed back.
+                transaction.delete(sessionRefs[i]);
+              }
+            });
+            return found;
+          });
+        } catch (e) {
+          console.error("Error updating product:", e);
+          throw e;
+        }
+      },
+      onChange: setSaveState,
+    })
+  );
+
+  // Everything below works on `products`, which leaves out the trash, except
+  // status and tag migrations: restored products must come back migrated.
+  const allProducts = useMemo(
+    () => applyDrafts(syncedProducts, saveState.drafts),
+    [syncedProducts, saveState.drafts]
+  );
+  const products = useMemo(
+    () => allProducts.filter((p) => !isTrashed(p)),
+    [allProducts]
+  );
+  const trashedProducts = useMemo(
+    () => allProducts.filter(isTrashed),
+    [allProducts]
+  );
+
+  // 0. Connection state. Queued edits are only sent while online and signed
+  // in; everything else keeps working from the local cache.
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    saveQueue.setOnline(online && !!user && workspaceReady);
+  }, [saveQueue, online, user, workspaceReady]);
 
   // 1. Handle Authentication
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
       setUser(currentUser);
+      setEmailVerified(!!currentUser?.emailVerified);
       setAuthChecking(false);
     });
     return () => unsubscribe();
   }, []);
 
-  // 2. Handle Data Fetching & Sync
+  // 2. Workspaces the user belongs to. The personal workspace (and the
+  // migration of pre-workspace data into it) is set up first.
+  useEffect(() => {
+    if (!user) return;
+    let unsubscribe = () => {};
+    let cancelled = false;
+
+    ensurePersonalWorkspace(user)
+      .catch((error) => console.error("Workspace setup error:", error))
+      .finally(() => {
+        if (cancelled) return;
+        unsubscribe = onSnapshot(
+          query(
+            workspacesCol(),
+            where("memberIds", "array-contains", user.uid)
+          ),
+          (snapshot) => {
+            const items = [];
+            snapshot.forEach((doc) => {
+              items.push({ ...doc.data(), id: doc.id });
+            });
+            items.sort((a, b) =>
+              a.personal ? -1 : b.personal ? 1 : a.name.localeCompare(b.name)
+            );
+            setWorkspaces(items);
+            setWorkspaceReady(true);
+          },
+          (error) => {
+            console.error("Workspaces sync error:", error);
+            setWorkspaceReady(true);
+          }
+        );
+      });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [user]);
+
+  // 3. Invites addressed to the signed-in user. The rules only show them to
+  // a verified email address.
   useEffect(() => {
     if (!user) return;
+    if (!emailVerified) {
+      setReceivedInvites([]);
+      return;
+    }
+
+    const unsubscribe = onSnapshot(
+      query(invitesCol(), where("email", "==", normalizeEmail(user.email))),
+      (snapshot) => {
+        const items = [];
+        snapshot.forEach((doc) => {
+          items.push({ ...doc.data(), id: doc.id });
+        });
+        setReceivedInvites(items);
+      },
+      (error) => {
+        console.error("Invites sync error:", error);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [user, emailVerified]);
+
+  // Fall back to the personal workspace when the stored one is gone (e.g.
+  // the user was removed from it).
+  const activeWorkspace =
+    workspaces.find((w) => w.id === activeWorkspaceId) ||
+    workspaces.find((w) => w.id === user?.uid) ||
+    null;
+  const workspaceId = activeWorkspace?.id;
+  const role = activeWorkspace?.roles?.[user?.uid];
+  const canEdit = canEditRole(role);
+  const isOwner = role === "owner";
+  const uid = user?.uid;
 
-    const productsRef = collection(
-      db,
-      "artifacts",
-      appId,
-      "users",
-      user.uid,
-      "products"
+  // Unsent edits follow the signed-in user and the active workspace.
+  useEffect(() => {
+    saveQueue.setStorage(
+      uid && workspaceId ? pendingEditsStorage(uid, workspaceId) : null
     );
+  }, [saveQueue, uid, workspaceId]);
+
+  // 4. Invites sent from the active workspace (owners only)
+  useEffect(() => {
+    if (!workspaceId || !isOwner) return;
 
     const unsubscribe = onSnapshot(
-      query(productsRef),
+      query(invitesCol(), where("workspaceId", "==", workspaceId)),
       (snapshot) => {
         const items = [];
         snapshot.forEach((doc) => {
           items.push({ ...doc.data(), id: doc.id });
         });
+        setSentInvites(items);
+      },
+      (error) => {
+        console.error("Sent invites sync error:", error);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [workspaceId, isOwner]);
+
+  // 5. Handle Data Fetching & Sync
+  useEffect(() => {
+    if (!workspaceId) return;
 
-        items.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    const unsubscribe = onSnapshot(
+      query(productsCol(workspaceId)),
+      { includeMetadataChanges: true },
+      (snapshot) => {
+        const items = [];
+        let pendingWrites = 0;
+        snapshot.forEach((doc) => {
+          items.push({ ...doc.data(), id: doc.id });
+          if (doc.metadata.hasPendingWrites) pendingWrites++;
+        });
 
-        setProducts(items);
+        setSyncedProducts(items);
+        setCloudPendingCount(pendingWrites);
+        setSyncError(null);
         setLoading(false);
 
-        if (items.length === 0) {
+        if (items.length === 0 && workspaceId === user.uid) {
           const savedLocal = localStorage.getItem(LOCAL_STORAGE_KEY);
           if (savedLocal) {
             const localData = JSON.parse(savedLocal);
             localData.forEach((prod) => {
-              setDoc(
-                doc(
-                  db,
-                  "artifacts",
-                  appId,
-                  "users",
-                  user.uid,
-                  "products",
-                  prod.id
-                ),
-                prod
-              );
+              setDoc(productRef(workspaceId, prod.id), prod);
             });
             localStorage.removeItem(LOCAL_STORAGE_KEY);
           }
@@ -309,169 +649,1013 @@ export default function App() {
       },
       (error) => {
         console.error("Firestore sync error:", error);
+        setSyncError(error.message);
         setLoading(false);
       }
     );
 
+    return () => unsubscribe();
+  }, [user, workspaceId]);
+
+  // 6. Workspace Settings
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = onSnapshot(
+      settingsRef(workspaceId),
+      (snapshot) => {
+        setSettings({ ...DEFAULT_SETTINGS, ...(snapshot.data() || {}) });
+        setSettingsLoadedFor(workspaceId);
+      },
+      (error) => {
+        console.error("Settings sync error:", error);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  // 6b. Purge trashed products past the retention period. Any editor's
+  // client may do it; deleting an already deleted product is harmless.
+  useEffect(() => {
+    if (!canEdit || settingsLoadedFor !== workspaceId) return;
+    const expired = getExpiredTrash(
+      trashedProducts,
+      settings.trashRetentionDays
+    );
+    if (expired.length === 0) return;
+    expired.forEach((p) => saveQueue.discard(p.id));
+    commitInChunks(expired, (batch, product) =>
+      batch.delete(productRef(workspaceId, product.id))
+    )
+      .then(({ succeeded }) =>
+        succeeded.forEach((product) =>
+          deleteRevisions(productRef(workspaceId, product.id).path).catch((e) =>
+            console.error("Error deleting revision history:", e)
+          )
+        )
+      )
+      .catch((e) => console.error("Error purging expired trash:", e));
+  }, [
+    canEdit,
+    settingsLoadedFor,
+    workspaceId,
+    trashedProducts,
+    settings.trashRetentionDays,
+    saveQueue,
+  ]);
+
+  // 8. Revision history of the inspected product, while its tab is open
+  useEffect(() => {
+    if (!workspaceId || !selectedId || inspectorTab !== "history") return;
+
+    const unsubscribe = onSnapshot(
+      query(
+        revisionsCol(productRef(workspaceId, selectedId).path),
+        orderBy("updatedAt", "desc"),
+        limit(100)
+      ),
+      (snapshot) => {
+        setRevisions({
+          productId: selectedId,
+          items: snapshot.docs.map((d) => d.data()),
+        });
+      },
+      (error) => {
+        console.error("History sync error:", error);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [workspaceId, selectedId, inspectorTab]);
+
+  // 7. Saved Table Views (per user, shared across workspaces)
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = onSnapshot(
+      query(userViewsCol(user.uid)),
+      (snapshot) => {
+        const items = [];
+        snapshot.forEach((doc) => {
+          items.push({ ...doc.data(), id: doc.id });
+        });
+        items.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+        setViews(items);
+      },
+      (error) => {
+        console.error("Views sync error:", error);
+      }
+    );
+
     return () => unsubscribe();
   }, [user]);
 
+  // Pending edits are flushed when the inspector closes or switches product,
+  // and when the page is hidden or unloaded.
+  useEffect(() => {
+    if (!selectedId) return;
+    return () => {
+      saveQueue.flush([selectedId]);
+    };
+  }, [selectedId, saveQueue]);
+
+  useEffect(() => {
+    const handleBeforeUnload = (e) => {
+      if (!saveQueue.hasPending()) return;
+      saveQueue.flush();
+      e.preventDefault();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") saveQueue.flush();
+    };
+
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => {
+      window.removeEventListener("beforeunload", handleBeforeUnload);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [saveQueue]);
+
   const handleLogout = async () => {
     try {
+      await saveQueue.flush();
+      dropLegacyPendingEdits();
       await signOut(auth);
     } catch (error) {
       console.error("Logout error:", error);
     }
   };
 
-  const handleAddProduct = async () => {
-    if (!user) return;
-    const newId = generateId();
-    const newProduct = {
-      ...NEW_PRODUCT_TEMPLATE,
-      id: newId,
-      createdAt: Date.now(),
-    };
+  const handleResendVerification = () => sendEmailVerification(user);
+
+  // After the link was opened: reload the account, and refresh the token so
+  // the rules see the verified address too.
+  const handleCheckVerified = async () => {
+    await user.reload();
+    if (!user.emailVerified) return false;
+    await user.getIdToken(true);
+    setEmailVerified(true);
+    return true;
+  };
 
+  const handleSwitchWorkspace = (id) => {
+    if (id === workspaceId) return;
+    saveQueue.flush();
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, id);
+    setActiveWorkspaceId(id);
+    setSelectedId(null);
+    setSyncedProducts([]);
+    setSettings(DEFAULT_SETTINGS);
+    setSelectedIds([]);
+    setUndo(null);
+    setSentInvites([]);
+    setLoading(true);
+  };
+
+  const handleCreateWorkspace = async (name) => {
     try {
-      await setDoc(
-        doc(db, "artifacts", appId, "users", user.uid, "products", newId),
-        newProduct
-      );
-      setSelectedId(newId);
+      const id = await createWorkspace(user, name);
+      handleSwitchWorkspace(id);
     } catch (e) {
-      console.error("Error adding product:", e);
+      console.error("Error creating workspace:", e);
     }
   };
 
-  const handleUpdateProduct = async (id, field, value) => {
-    if (!user) return;
-    const productRef = doc(
-      db,
-      "artifacts",
-      appId,
-      "users",
-      user.uid,
-      "products",
-      id
-    );
+  const handleAcceptInvite = async (invite) => {
     try {
-      await setDoc(productRef, { [field]: value }, { merge: true });
+      await acceptInvite(invite, user);
+      handleSwitchWorkspace(invite.workspaceId);
     } catch (e) {
-      console.error("Error updating product:", e);
+      console.error("Error accepting invite:", e);
     }
   };
 
-  const handleUpdateCompetitor = async (productId, compIndex, field, value) => {
-    if (!user) return;
-    const product = products.find((p) => p.id === productId);
-    if (!product) return;
+  const handleDeclineInvite = async (invite) => {
+    try {
+      await deleteInvite(invite.id);
+    } catch (e) {
+      console.error("Error declining invite:", e);
+    }
+  };
+
+  const handleLeaveWorkspace = async () => {
+    try {
+      await removeMember(workspaceId, user.uid);
+      setShowTeam(false);
+      handleSwitchWorkspace(user.uid);
+    } catch (e) {
+      console.error("Error leaving workspace:", e);
+    }
+  };
 
-    const newCompetitors = [...product.competitors];
-    newCompetitors[compIndex] = {
-      ...newCompetitors[compIndex],
-      [field]: value,
+  const handleTeamAction =
+    (action, label) =>
+    async (...args) => {
+      try {
+        await action(...args);
+      } catch (e) {
+        console.error(`Error ${label}:`, e);
+      }
     };
 
-    handleUpdateProduct(productId, "competitors", newCompetitors);
+  // `fields` pre-fills the product (a template or a duplicated product).
+  const handleAddProduct = async (
+    fields = {},
+    status = getDefaultStatus(settings.statuses)
+  ) => {
+    if (!canEdit) return;
+    const createdAt = Date.now();
+    const newProduct = createProduct({
+      ...fields,
+      status,
+      createdAt,
+      ...initialStatusHistory(status, createdAt),
+    });
+
+    // Offline the write only resolves once it reaches the server, so the
+    // inspector opens right away.
+    setSelectedId(newProduct.id);
+    try {
+      await setDoc(productRef(workspaceId, newProduct.id), newProduct);
+    } catch (e) {
+      console.error("Error adding product:", e);
+    }
   };
 
-  const handleAddOtherLink = async (productId) => {
-    if (!user) return;
-    const product = products.find((p) => p.id === productId);
-    if (!product) return;
+  const handleDuplicateProduct = (id) => {
+    const product = products.find((p) => p.id === id);
+    if (product) handleAddProduct(duplicateFields(product), product.status);
+  };
 
-    const newLinks = [
-      ...(product.otherLinks || []),
-      { id: generateId(), title: "", url: "" },
-    ];
-    handleUpdateProduct(productId, "otherLinks", newLinks);
+  const handleSaveTemplate = async (id) => {
+    const product = products.find((p) => p.id === id);
+    if (!canEdit || !product) return;
+    const name = window.prompt("Template name", product.name || "");
+    if (!name || !name.trim()) return;
+    handleUpdateSettings(
+      "productTemplates",
+      arrayUnion(createTemplate(product, name.trim(), user))
+    );
   };
 
-  const handleUpdateOtherLink = async (productId, linkId, field, value) => {
-    if (!user) return;
-    const product = products.find((p) => p.id === productId);
-    if (!product) return;
+  const handleDeleteTemplate = (template) =>
+    handleUpdateSettings("productTemplates", arrayRemove(template));
 
-    const newLinks = (product.otherLinks || []).map((link) =>
-      link.id === linkId ? { ...link, [field]: value } : link
+  // Typing is debounced; structural changes (status moves etc.) go out
+  // right away together with anything still pending for the product.
+  const handleUpdateProduct = (id, field, value) =>
+    queueProductFields(id, { [field]: value });
+
+  const handleUpdateProductFields = (id, fields) => {
+    if (!queueProductFields(id, fields)) return;
+    return saveQueue.flush([id]);
+  };
+
+  // Edits carry the synced values they replace so conflicting changes from
+  // other members can be detected when they are written.
+  const queueProductFields = (id, fields, base) => {
+    if (!canEdit) return false;
+    const synced = syncedProducts.find((p) => p.id === id);
+    saveQueue.queue(
+      id,
+      productRef(workspaceId, id).path,
+      fields,
+      base ||
+        Object.fromEntries(
+          Object.keys(fields).map((field) => [field, synced?.[field]])
+        )
     );
-    handleUpdateProduct(productId, "otherLinks", newLinks);
+    return true;
   };
 
-  const handleDeleteOtherLink = async (productId, linkId) => {
-    if (!user) return;
-    const product = products.find((p) => p.id === productId);
-    if (!product) return;
+  const handleKeepMine = (id, conflict) => {
+    saveQueue.resolveConflict(id, conflict.field);
+    if (
+      !queueProductFields(
+        id,
+        { [conflict.field]: conflict.mine },
+        {
+          [conflict.field]: conflict.theirs,
+        }
+      )
+    )
+      return;
+    saveQueue.flush([id]);
+  };
 
-    const newLinks = (product.otherLinks || []).filter(
-      (link) => link.id !== linkId
+  // Moving into a terminal status (e.g. Rejected) asks for an optional
+  // reason; cancelling the prompt cancels the move.
+  const handleChangeStatus = (id, nextStatus) => {
+    const product = products.find((p) => p.id === id);
+    if (!product || product.status === nextStatus) return;
+
+    let reason = "";
+    if (findStatus(settings.statuses, nextStatus)?.terminal) {
+      reason = window.prompt(
+        `Why is "${
+          product.name || "this product"
+        }" moving to ${nextStatus}? (optional)`
+      );
+      if (reason === null) return;
+    }
+
+    handleUpdateProductFields(
+      id,
+      buildStatusChange(product, nextStatus, reason)
     );
-    handleUpdateProduct(productId, "otherLinks", newLinks);
   };
 
-  const handleDeleteProduct = async (id, e) => {
-    if (e) {
-      e.preventDefault();
-      e.stopPropagation();
-    }
-    if (!user) return;
+  // Reverts from the History tab. A status revert is a normal status move,
+  // so the status timeline stays complete.
+  const handleRevertFields = (id, fields) => {
+    const product = products.find((p) => p.id === id);
+    if (!canEdit || !product || Object.keys(fields).length === 0) return;
+    const { status, ...rest } = fields;
+    handleUpdateProductFields(id, {
+      ...rest,
+      ...(status !== undefined && status !== product.status
+        ? buildStatusChange(product, status, "Reverted")
+        : {}),
+    });
+  };
 
+  const handleUpdateSettings = async (field, value) => {
+    if (!canEdit) return;
     try {
-      await deleteDoc(
-        doc(db, "artifacts", appId, "users", user.uid, "products", id)
+      await setDoc(
+        settingsRef(workspaceId),
+        { [field]: value },
+        { merge: true }
       );
-      setSelectedId(null);
     } catch (e) {
-      console.error("Error deleting product:", e);
+      console.error("Error updating settings:", e);
     }
   };
 
-  const filteredProducts = useMemo(() => {
-    return products.filter(
-      (p) =>
-        p.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        p.status.toLowerCase().includes(searchQuery.toLowerCase())
+  // Product migrations and the new config go out together so a normal-sized
+  // workspace switches over atomically. Past 500 writes the config is saved
+  // last, after every product has moved.
+  const handleSaveStatuses = async (nextStatuses, migrations) => {
+    if (!canEdit) return;
+    const writes = allProducts
+      .filter((p) => migrations[p.status] !== undefined)
+      .map(
+        (product) => (batch) =>
+          batch.set(
+            productRef(workspaceId, product.id),
+            { status: migrations[product.status] },
+            { merge: true }
+          )
+      );
+    writes.push((batch) =>
+      batch.set(
+        settingsRef(workspaceId),
+        { statuses: nextStatuses },
+        { merge: true }
+      )
     );
-  }, [products, searchQuery]);
 
-  const selectedProduct = products.find((p) => p.id === selectedId);
+    await commitChunksInOrder(writes, (batch, write) => write(batch));
+  };
 
-  // Show auth screen if not logged in
-  if (authChecking) {
-    return (
-      <div className="h-screen w-full flex items-center justify-center bg-white text-slate-400 font-sans">
-        <div className="flex flex-col items-center gap-4">
-          <div className="w-8 h-8 border-4 border-slate-200 border-t-slate-900 rounded-full animate-spin" />
-          <p className="text-sm font-medium animate-pulse">Loading...</p>
-        </div>
-      </div>
-    );
-  }
+  // Batched product edits outside the save queue log a revision of their own
+  // next to the change (two writes per product).
+  const setWithRevision = (batch, product, fields) => {
+    const ref = productRef(workspaceId, product.id);
+    batch.set(ref, fields, { merge: true });
+    addRevisionToBatch(batch, ref.path, product, fields, user);
+  };
 
-  if (!user) {
-    return <AuthScreen />;
-  }
+  // Renames (or merges) tags on every product that has them, trashed ones
+  // included. Resolves to the number of products changed.
+  const handleMergeTags = async (sources, to) => {
+    if (!canEdit) return 0;
+    const updates = planTagMerge(allProducts, sources, to);
+    await commitChunksInOrder(
+      updates,
+      (batch, { id, tags }) =>
+        setWithRevision(
+          batch,
+          allProducts.find((p) => p.id === id),
+          { tags }
+        ),
+      2
+    );
+    return updates.length;
+  };
 
-  if (loading) {
-    return (
-      <div className="h-screen w-full flex items-center justify-center bg-white text-slate-400 font-sans">
-        <div className="flex flex-col items-center gap-4">
-          <div className="w-8 h-8 border-4 border-slate-200 border-t-slate-900 rounded-full animate-spin" />
-          <p className="text-sm font-medium animate-pulse">
-            Syncing with cloud...
-          </p>
-        </div>
-      </div>
+  const handleApplyView = (savedView) => {
+    setColumnIds(
+      savedView.columns && savedView.columns.length
+        ? savedView.columns
+        : DEFAULT_COLUMNS
     );
-  }
+    setSort(savedView.sort || null);
+    setGroupBy(savedView.groupBy || null);
+    setSearchQuery(savedView.query || "");
+    setActiveViewId(savedView.id);
+  };
 
-  return (
-    <div className="flex h-screen w-full bg-white text-slate-800 font-sans selection:bg-slate-200 overflow-hidden">
-      {/* Main List Area */}
-      <div
-        className={`flex-1 flex flex-col h-full transition-all duration-300 ease-in-out ${
-          selectedId ? "mr-[500px]" : ""
+  // Saving without an id creates a new view from the current layout.
+  const handleSaveView = async ({ id, name }) => {
+    if (!user) return;
+    const viewId = id || generateId();
+    const existing = views.find((v) => v.id === viewId);
+    try {
+      await setDoc(userViewRef(user.uid, viewId), {
+        id: viewId,
+        name,
+        columns: columnIds,
+        sort,
+        groupBy,
+        query: searchQuery,
+        createdAt: existing?.createdAt || Date.now(),
+        updatedAt: Date.now(),
+      });
+      setActiveViewId(viewId);
+    } catch (e) {
+      console.error("Error saving view:", e);
+    }
+  };
+
+  const handleDeleteView = async (id) => {
+    if (!user) return;
+    try {
+      await deleteDoc(userViewRef(user.uid, id));
+      if (activeViewId === id) setActiveViewId(null);
+    } catch (e) {
+      console.error("Error deleting view:", e);
+    }
+  };
+
+  const handleUpdateCompetitor = async (
+    productId,
+    competitorId,
+    field,
+    value
+  ) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+
+    const newCompetitors = getCompetitors(product).map((comp) =>
+      comp.id === competitorId ? { ...comp, [field]: value } : comp
+    );
+    handleUpdateProduct(productId, "competitors", newCompetitors);
+  };
+
+  const handleAddCompetitor = async (productId) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+
+    handleUpdateProduct(productId, "competitors", [
+      ...getCompetitors(product),
+      createCompetitor({ firstSeen: todayIso() }),
+    ]);
+  };
+
+  const handleRemoveCompetitor = async (productId, competitorId) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+
+    const newCompetitors = getCompetitors(product).filter(
+      (comp) => comp.id !== competitorId
+    );
+    handleUpdateProduct(productId, "competitors", newCompetitors);
+  };
+
+  const handleMoveCompetitor = async (productId, fromId, toId) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+
+    handleUpdateProduct(
+      productId,
+      "competitors",
+      moveItem(getCompetitors(product), fromId, toId)
+    );
+  };
+
+  // Supplier edits also update the COGs and supplier link that follow the
+  // preferred supplier.
+  const handleSaveSuppliers = (productId, suppliers, preferredId) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+    queueProductFields(
+      productId,
+      supplierFields(product, suppliers, preferredId ?? null)
+    );
+  };
+
+  const handleUpdateSupplier = (productId, supplierId, field, value) => {
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+    handleSaveSuppliers(
+      productId,
+      getSuppliers(product).map((s) =>
+        s.id === supplierId ? { ...s, [field]: value } : s
+      ),
+      product.preferredSupplierId
+    );
+  };
+
+  // The first supplier added becomes the preferred one.
+  const handleAddSupplier = (productId) => {
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+    const suppliers = getSuppliers(product);
+    const supplier = createSupplier();
+    handleSaveSuppliers(
+      productId,
+      [...suppliers, supplier],
+      getPreferredSupplier(product)?.id || supplier.id
+    );
+  };
+
+  const handleRemoveSupplier = (productId, supplierId) => {
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+    const preferredId = getPreferredSupplier(product)?.id;
+    handleSaveSuppliers(
+      productId,
+      getSuppliers(product).filter((s) => s.id !== supplierId),
+      preferredId === supplierId ? null : preferredId
+    );
+  };
+
+  // Market edits also refresh the `targetMarket` summary.
+  const handleUpdateMarket = (productId, marketId, field, value) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+    queueProductFields(
+      productId,
+      marketFields(
+        getMarkets(product).map((m) =>
+          m.id === marketId ? updateMarket(m, field, value) : m
+        )
+      )
+    );
+  };
+
+  const handleAddMarket = (productId) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+    queueProductFields(
+      productId,
+      marketFields([...getMarkets(product), createMarket()])
+    );
+  };
+
+  const handleRemoveMarket = (productId, marketId) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+    queueProductFields(
+      productId,
+      marketFields(getMarkets(product).filter((m) => m.id !== marketId))
+    );
+  };
+
+  const handleAddOtherLink = async (productId) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+
+    const newLinks = [
+      ...(product.otherLinks || []),
+      { id: generateId(), title: "", url: "" },
+    ];
+    handleUpdateProduct(productId, "otherLinks", newLinks);
+  };
+
+  const handleUpdateOtherLink = async (productId, linkId, field, value) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+
+    const newLinks = (product.otherLinks || []).map((link) =>
+      link.id === linkId ? { ...link, [field]: value } : link
+    );
+    handleUpdateProduct(productId, "otherLinks", newLinks);
+  };
+
+  const handleDeleteOtherLink = async (productId, linkId) => {
+    if (!canEdit) return;
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+
+    const newLinks = (product.otherLinks || []).filter(
+      (link) => link.id !== linkId
+    );
+    handleUpdateProduct(productId, "otherLinks", newLinks);
+  };
+
+  // --- Trash ---
+
+  const handleDeleteProduct = (id, e) => {
+    if (e) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+    if (!canEdit) return;
+
+    const product = products.find((p) => p.id === id);
+    setSelectedId(null);
+    handleUpdateProductFields(id, trashFields(user));
+    setUndo({
+      key: Date.now(),
+      ids: [id],
+      queued: true,
+      message: `Moved "${product?.name || "Untitled Product"}" to Trash.`,
+    });
+  };
+
+  const handleRestoreProducts = async (ids) => {
+    if (!canEdit) return null;
+    const targets = allProducts.filter((p) => ids.includes(p.id));
+    return commitInChunks(
+      targets,
+      (batch, product) => setWithRevision(batch, product, restoreFields()),
+      2
+    );
+  };
+
+  // A delete that went through the save queue is undone there too, so the
+  // restore can't land before (or clash with) the trash write.
+  const handleUndoDelete = () => {
+    if (undo?.queued) {
+      undo.ids.forEach((id) => handleUpdateProductFields(id, restoreFields()));
+    } else if (undo) {
+      handleRestoreProducts(undo.ids);
+    }
+    setUndo(null);
+  };
+
+  // Permanent delete from the Trash view.
+  const handlePurgeProducts = async (ids) => {
+    if (!canEdit) return null;
+    ids.forEach((id) => saveQueue.discard(id));
+    const targets = trashedProducts.filter((p) => ids.includes(p.id));
+    const result = await commitInChunks(targets, (batch, product) =>
+      batch.delete(productRef(workspaceId, product.id))
+    );
+    result.succeeded.forEach((product) =>
+      deleteRevisions(productRef(workspaceId, product.id).path).catch((e) =>
+        console.error("Error deleting revision history:", e)
+      )
+    );
+    return result;
+  };
+
+  const handleImportProducts = async (operations) => {
+    if (!canEdit) return { created: 0, updated: 0 };
+    const now = Date.now();
+
+    await commitChunksInOrder(
+      operations.map((op, row) => ({ op, row })),
+      (batch, { op, row }) => {
+        if (op.action === "create") {
+          // Offset timestamps so the table keeps the file's row order.
+          const status =
+            op.changes.status || getDefaultStatus(settings.statuses);
+          const createdAt = op.changes.createdAt || now - row;
+          const product = createProduct({
+            ...op.changes,
+            status,
+            createdAt,
+            ...initialStatusHistory(status, createdAt),
+          });
+          batch.set(productRef(workspaceId, product.id), product);
+        } else {
+          const existing = products.find((p) => p.id === op.productId);
+          const changes =
+            op.changes.status && op.changes.status !== existing?.status
+              ? {
+                  ...op.changes,
+                  ...buildStatusChange(
+                    existing,
+                    op.changes.status,
+                    "CSV import"
+                  ),
+                }
+              : op.changes;
+          setWithRevision(batch, existing, changes);
+        }
+      },
+      2
+    );
+
+    const created = operations.filter((op) => op.action === "create").length;
+    return { created, updated: operations.length - created };
+  };
+
+  // Overwrites log a revision like any other edit, with fields the backup
+  // doesn't have recorded as cleared.
+  const handleRestoreBackup = async ({ plan, backup, mode }) => {
+    if (!canEdit) return;
+    const writes = [
+      ...plan.create.map(
+        (product) => (batch) =>
+          batch.set(productRef(workspaceId, product.id), product)
+      ),
+      ...plan.overwrite.map((product) => (batch) => {
+        const ref = productRef(workspaceId, product.id);
+        const existing = allProducts.find((p) => p.id === product.id);
+        const cleared = Object.fromEntries(
+          Object.keys(existing || {})
+            .filter((field) => !(field in product))
+            .map((field) => [field, null])
+        );
+        const fields = { ...cleared, ...product };
+        batch.set(ref, product);
+        addRevisionToBatch(batch, ref.path, existing, fields, user);
+      }),
+      ...plan.remove.map(
+        (product) => (batch) =>
+          batch.delete(productRef(workspaceId, product.id))
+      ),
+    ];
+
+    if (backup.settings) {
+      writes.push((batch) =>
+        batch.set(settingsRef(workspaceId), backup.settings, {
+          merge: mode === "merge",
+        })
+      );
+    }
+
+    await commitChunksInOrder(writes, (batch, write) => write(batch), 2);
+    plan.remove.forEach((product) =>
+      deleteRevisions(productRef(workspaceId, product.id).path).catch((e) =>
+        console.error("Error deleting revision history:", e)
+      )
+    );
+  };
+
+  // --- Bulk Actions ---
+  // Act on the checked rows that the current filter still shows.
+
+  const runBulk = async (verb, items, apply) => {
+    if (items.length === 0) {
+      setBulkResult({ message: "Nothing to change.", failed: false });
+      return null;
+    }
+    setBulkBusy(true);
+    setBulkResult(null);
+    const result = await commitInChunks(items, apply, 2);
+    setBulkResult({
+      message: summarizeBulkResult(verb, result),
+      failed: result.failed.length > 0,
+    });
+    setBulkBusy(false);
+    return result;
+  };
+
+  const handleToggleSelect = (id, shift) => {
+    setSelectedIds(
+      updateSelection(selectedIds, visibleIds, id, selectionAnchor, shift)
+    );
+    setSelectionAnchor(id);
+    setBulkResult(null);
+  };
+
+  const handleToggleAll = () => {
+    const allChecked = visibleIds.every((id) => selectedIds.includes(id));
+    setSelectedIds(
+      allChecked
+        ? selectedIds.filter((id) => !visibleIds.includes(id))
+        : [...new Set([...selectedIds, ...visibleIds])]
+    );
+    setBulkResult(null);
+  };
+
+  const handleClearSelection = () => {
+    setSelectedIds([]);
+    setSelectionAnchor(null);
+    setBulkResult(null);
+  };
+
+  const handleBulkStatus = async (nextStatus) => {
+    if (!canEdit) return;
+    const targets = selectedProducts.filter((p) => p.status !== nextStatus);
+    let reason = "";
+    if (targets.length && findStatus(settings.statuses, nextStatus)?.terminal) {
+      reason = window.prompt(
+        `Why are ${targets.length} products moving to ${nextStatus}? (optional)`
+      );
+      if (reason === null) return;
+    }
+    await runBulk(`Moved to ${nextStatus}:`, targets, (batch, product) =>
+      setWithRevision(
+        batch,
+        product,
+        buildStatusChange(product, nextStatus, reason)
+      )
+    );
+  };
+
+  const handleBulkTag = async (tag, mode) => {
+    if (!canEdit) return;
+    const updates = selectedProducts
+      .map((product) => {
+        const current = getTags(product);
+        const tags =
+          mode === "add" ? addTag(current, tag) : removeTag(current, tag);
+        return {
+          product,
+          tags,
+          changed: tags.length !== current.length,
+        };
+      })
+      .filter((update) => update.changed);
+    await runBulk(
+      mode === "add" ? "Tagged" : "Untagged",
+      updates,
+      (batch, { product, tags }) => setWithRevision(batch, product, { tags })
+    );
+  };
+
+  const handleBulkDelete = async () => {
+    if (!canEdit || selectedProducts.length === 0) return;
+    const count = selectedProducts.length;
+    if (
+      !window.confirm(
+        `Move ${count} product${count === 1 ? "" : "s"} to Trash?`
+      )
+    ) {
+      return;
+    }
+    const fields = trashFields(user);
+    const result = await runBulk(
+      "Moved to Trash:",
+      selectedProducts,
+      (batch, product) => setWithRevision(batch, product, fields)
+    );
+    if (!result) return;
+    const deleted = result.succeeded.map((p) => p.id);
+    setSelectedIds((ids) => ids.filter((id) => !deleted.includes(id)));
+    if (deleted.includes(selectedId)) setSelectedId(null);
+    if (deleted.length) {
+      setUndo({
+        key: Date.now(),
+        ids: deleted,
+        message: `Moved ${deleted.length} product${
+          deleted.length === 1 ? "" : "s"
+        } to Trash.`,
+      });
+    }
+  };
+
+  const handleBulkExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `products-selection-${date}.csv`,
+      `\uFEFF${productsToCsv(selectedProducts)}`
+    );
+  };
+
+  const handleExportCsv = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `products-${date}.csv`,
+      `\uFEFF${productsToCsv(sortedProducts)}`
+    );
+  };
+
+  const parsedQuery = useMemo(
+    () => parseFilterQuery(searchQuery),
+    [searchQuery]
+  );
+
+  const filteredProducts = useMemo(() => {
+    const context = {
+      economicsDefaults: settings.economicsDefaults,
+      scorecard: settings.scorecard,
+      adTestWindowDays: settings.adTestWindowDays,
+    };
+    return products.filter((p) => matchesQuery(p, parsedQuery, context));
+  }, [
+    products,
+    parsedQuery,
+    settings.economicsDefaults,
+    settings.scorecard,
+    settings.adTestWindowDays,
+  ]);
+
+  const sortedProducts = useMemo(
+    () =>
+      sortProducts(filteredProducts, sort, {
+        economicsDefaults: settings.economicsDefaults,
+        statuses: settings.statuses,
+        scorecard: settings.scorecard,
+        adTestWindowDays: settings.adTestWindowDays,
+      }),
+    [
+      filteredProducts,
+      sort,
+      settings.economicsDefaults,
+      settings.statuses,
+      settings.scorecard,
+      settings.adTestWindowDays,
+    ]
+  );
+
+  const statusNames = getStatusNames(settings.statuses);
+
+  const productGroups = useMemo(
+    () =>
+      groupBy === "niche"
+        ? groupByNiche(sortedProducts, settings.economicsDefaults)
+        : null,
+    [groupBy, sortedProducts, settings.economicsDefaults]
+  );
+
+  // Display order, so shift-click ranges follow what is on screen.
+  const visibleIds = productGroups
+    ? productGroups.flatMap((group) => group.products.map((p) => p.id))
+    : sortedProducts.map((p) => p.id);
+  const selectedProducts = sortedProducts.filter((p) =>
+    selectedIds.includes(p.id)
+  );
+
+  const knownTags = useMemo(() => collectTags(products), [products]);
+  const knownNiches = useMemo(() => collectNiches(products), [products]);
+
+  // Trashed products count too, so removing their status asks where they go.
+  const statusCounts = useMemo(() => {
+    const counts = {};
+    allProducts.forEach((p) => {
+      counts[p.status] = (counts[p.status] || 0) + 1;
+    });
+    return counts;
+  }, [allProducts]);
+
+  const selectedProduct = products.find((p) => p.id === selectedId);
+  const conflictCount = Object.values(saveState.conflicts).reduce(
+    (sum, list) => sum + list.length,
+    0
+  );
+  const selectedSuppliers = selectedProduct
+    ? getSuppliers(selectedProduct)
+    : [];
+  const selectedPreferredSupplier = selectedProduct
+    ? getPreferredSupplier(selectedProduct)
+    : null;
+  const selectedSupplierCogs = selectedProduct
+    ? derivedCogs(selectedProduct)
+    : null;
+  const selectedMarkets = selectedProduct ? getMarkets(selectedProduct) : [];
+  const selectedEconomics = selectedProduct
+    ? calculateUnitEconomics(selectedProduct, settings.economicsDefaults)
+    : null;
+  const selectedScore = selectedProduct
+    ? scoreProduct(selectedProduct, settings.scorecard, {
+        economicsDefaults: settings.economicsDefaults,
+      })
+    : null;
+
+  // Show auth screen if not logged in
+  if (authChecking) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center bg-white text-slate-400 font-sans">
+        <div className="flex flex-col items-center gap-4">
+          <div className="w-8 h-8 border-4 border-slate-200 border-t-slate-900 rounded-full animate-spin" />
+          <p className="text-sm font-medium animate-pulse">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <AuthScreen />;
+  }
+
+  if (!workspaceReady || (activeWorkspace && loading)) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center bg-white text-slate-400 font-sans">
+        <div className="flex flex-col items-center gap-4">
+          <div className="w-8 h-8 border-4 border-slate-200 border-t-slate-900 rounded-full animate-spin" />
+          <p className="text-sm font-medium animate-pulse">
+            Syncing with cloud...
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex h-screen w-full bg-white text-slate-800 font-sans selection:bg-slate-200 overflow-hidden">
+      {/* Main List Area */}
+      <div
+        className={`flex-1 flex flex-col h-full transition-all duration-300 ease-in-out ${
+          selectedId ? "mr-[500px]" : ""
         }`}
       >
         <header className="flex items-center justify-between px-8 py-5 border-b border-slate-100 bg-white/80 backdrop-blur-sm sticky top-0 z-10">
@@ -489,9 +1673,69 @@ export default function App() {
               <div className="w-1 h-1 bg-emerald-500 rounded-full animate-pulse" />
               {user.email}
             </div>
+            <WorkspaceSwitcher
+              workspaces={workspaces}
+              activeWorkspace={activeWorkspace}
+              role={role}
+              receivedInvites={receivedInvites}
+              userId={user.uid}
+              onSwitch={handleSwitchWorkspace}
+              onCreate={handleCreateWorkspace}
+              onManage={() => setShowTeam(true)}
+              onAcceptInvite={handleAcceptInvite}
+              onDeclineInvite={handleDeclineInvite}
+            />
+            {!canEdit && activeWorkspace && (
+              <span className="flex items-center gap-1 text-[10px] uppercase font-bold tracking-wider text-slate-400">
+                <Eye size={12} /> Read only
+              </span>
+            )}
+            <SyncIndicator
+              online={online}
+              pendingCount={
+                Object.keys(saveState.drafts).length + cloudPendingCount
+              }
+              conflictCount={conflictCount}
+              error={syncError}
+            />
           </div>
 
           <div className="flex items-center gap-4">
+            <div className="flex gap-1 bg-slate-100 p-1 rounded-md">
+              <button
+                onClick={() => setView("table")}
+                className={`p-1 rounded transition-all ${
+                  view === "table"
+                    ? "bg-white text-slate-900 shadow-sm"
+                    : "text-slate-500 hover:text-slate-900"
+                }`}
+                title="Table View"
+              >
+                <Table size={16} />
+              </button>
+              <button
+                onClick={() => setView("board")}
+                className={`p-1 rounded transition-all ${
+                  view === "board"
+                    ? "bg-white text-slate-900 shadow-sm"
+                    : "text-slate-500 hover:text-slate-900"
+                }`}
+                title="Board View"
+              >
+                <Kanban size={16} />
+              </button>
+              <button
+                onClick={() => setView("dashboard")}
+                className={`p-1 rounded transition-all ${
+                  view === "dashboard"
+                    ? "bg-white text-slate-900 shadow-sm"
+                    : "text-slate-500 hover:text-slate-900"
+                }`}
+                title="Dashboard"
+              >
+                <BarChart3 size={16} />
+              </button>
+            </div>
             <div className="relative group">
               <Search
                 className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-slate-600 transition-colors"
@@ -499,17 +1743,83 @@ export default function App() {
               />
               <input
                 type="text"
-                placeholder="Filter views..."
-                className="pl-9 pr-4 py-1.5 bg-slate-50 border border-slate-200 rounded-md text-sm outline-none focus:border-slate-400 focus:bg-white transition-all w-64"
+                placeholder="Search or filter, e.g. status:approved roas<1.6"
+                title="Filters: status, market, supplier, competitor, name, content:ready, roas, margin (%), profit, cpa, price, cogs, ads, traffic, score, tag, niche, test (above/below). Operators : != < <= > >=, prefix - to negate."
+                className={`pl-9 pr-4 py-1.5 bg-slate-50 border rounded-md text-sm outline-none focus:bg-white transition-all w-80 ${
+                  parsedQuery.errors.length
+                    ? "border-rose-300 focus:border-rose-400"
+                    : "border-slate-200 focus:border-slate-400"
+                }`}
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
               />
+              {parsedQuery.errors.length > 0 && (
+                <div className="absolute left-0 right-0 top-full mt-1 bg-white border border-rose-200 rounded-md shadow-lg px-3 py-2 space-y-1 z-20">
+                  {parsedQuery.errors.map((err, idx) => (
+                    <div
+                      key={idx}
+                      className="flex items-center gap-2 text-xs text-rose-600"
+                    >
+                      <code className="bg-rose-50 px-1 rounded">
+                        {err.token}
+                      </code>
+                      {err.message}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
+            {canEdit && (
+              <>
+                <NewProductMenu
+                  templates={settings.productTemplates}
+                  onCreate={(template) =>
+                    handleAddProduct(template ? templateFields(template) : {})
+                  }
+                  onDeleteTemplate={handleDeleteTemplate}
+                />
+                <button
+                  onClick={() => setShowImport(true)}
+                  className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-1.5 rounded-md text-sm font-medium transition-all"
+                  title="Import CSV"
+                >
+                  <Upload size={16} />
+                </button>
+              </>
+            )}
+            <button
+              onClick={handleExportCsv}
+              disabled={sortedProducts.length === 0}
+              className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-1.5 rounded-md text-sm font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Export filtered products to CSV"
+            >
+              <Download size={16} />
+            </button>
+            <button
+              onClick={() => setShowTrash(true)}
+              className="relative flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-1.5 rounded-md text-sm font-medium transition-all"
+              title="Trash"
+            >
+              <Trash2 size={16} />
+              {trashedProducts.length > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-[1rem] h-4 px-1 rounded-full bg-slate-700 text-white text-[10px] leading-4 text-center">
+                  {trashedProducts.length}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setShowBackup(true)}
+              className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-1.5 rounded-md text-sm font-medium transition-all"
+              title="Backup & Restore"
+            >
+              <DatabaseBackup size={16} />
+            </button>
             <button
-              onClick={handleAddProduct}
-              className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-1.5 rounded-md text-sm font-medium transition-all shadow-sm active:scale-95"
+              onClick={() => setShowSettings(true)}
+              className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-1.5 rounded-md text-sm font-medium transition-all"
+              title="Workspace Settings"
             >
-              <Plus size={16} /> New Product
+              <Settings size={16} />
             </button>
             <button
               onClick={handleLogout}
@@ -521,95 +1831,117 @@ export default function App() {
           </div>
         </header>
 
-        <div className="flex-1 overflow-auto">
-          <table className="w-full text-left border-collapse">
-            <thead className="sticky top-0 bg-white z-10 text-xs font-semibold text-slate-500 uppercase tracking-wider border-b border-slate-100">
-              <tr>
-                <th className="px-8 py-3 w-64">Product Name</th>
-                <th className="px-4 py-3 w-32">Status</th>
-                <th className="px-4 py-3 text-right">COGs</th>
-                <th className="px-4 py-3 text-right">Selling Price</th>
-                <th className="px-4 py-3 text-right">Margin</th>
-                <th className="px-4 py-3 text-right w-32">B/E ROAS</th>
-                <th className="px-4 py-3 w-12"></th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-slate-50">
-              {filteredProducts.length === 0 ? (
-                <tr>
-                  <td
-                    colSpan="7"
-                    className="px-8 py-12 text-center text-slate-400"
-                  >
-                    No products found.
-                  </td>
-                </tr>
-              ) : (
-                filteredProducts.map((product) => {
-                  const roas = calculateRoas(product.price, product.cogs);
-                  const isSelected = selectedId === product.id;
-                  const margin =
-                    parseFloat(product.price) - parseFloat(product.cogs);
-
-                  return (
-                    <tr
-                      key={product.id}
-                      onClick={() => setSelectedId(product.id)}
-                      className={`group cursor-pointer transition-colors text-sm ${
-                        isSelected ? "bg-slate-50" : "hover:bg-slate-50"
-                      }`}
-                    >
-                      <td className="px-8 py-3 font-medium text-slate-900 relative">
-                        {isSelected && (
-                          <div className="absolute left-0 top-0 bottom-0 w-1 bg-slate-900" />
-                        )}
-                        {product.name || (
-                          <span className="text-slate-400 italic">
-                            Untitled Product
-                          </span>
-                        )}
-                      </td>
-                      <td className="px-4 py-3">
-                        <StatusBadge status={product.status} />
-                      </td>
-                      <td className="px-4 py-3 text-right font-mono text-slate-600">
-                        {product.cogs ? formatCurrency(product.cogs) : "-"}
-                      </td>
-                      <td className="px-4 py-3 text-right font-mono text-slate-600">
-                        {product.price ? formatCurrency(product.price) : "-"}
-                      </td>
-                      <td className="px-4 py-3 text-right font-mono text-slate-600">
-                        {!isNaN(margin) && product.price && product.cogs
-                          ? formatCurrency(margin)
-                          : "-"}
-                      </td>
-                      <td className="px-4 py-3 text-right">
-                        {roas ? (
-                          <span
-                            className={`font-mono font-medium ${
-                              parseFloat(roas) <= 1.5 && parseFloat(roas) > 0
-                                ? "text-emerald-600"
-                                : "text-rose-600"
-                            }`}
-                          >
-                            {parseFloat(roas) <= 0 ? "Loss" : `${roas}x`}
-                          </span>
-                        ) : (
-                          "-"
-                        )}
-                      </td>
-                      <td className="px-4 py-3 text-right">
-                        <div className="opacity-0 group-hover:opacity-100 transition-opacity">
-                          <ChevronRight size={16} className="text-slate-400" />
-                        </div>
-                      </td>
-                    </tr>
-                  );
-                })
+        {!emailVerified && (
+          <VerifyEmailBanner
+            email={user.email}
+            onResend={handleResendVerification}
+            onCheck={handleCheckVerified}
+          />
+        )}
+
+        {view === "dashboard" ? (
+          <div className="flex-1 overflow-auto">
+            <Dashboard
+              products={filteredProducts}
+              allProducts={products}
+              statuses={settings.statuses}
+              economicsDefaults={settings.economicsDefaults}
+              onSelect={setSelectedId}
+            />
+          </div>
+        ) : view === "board" ? (
+          <div className="flex-1 overflow-hidden">
+            <BoardView
+              products={sortedProducts}
+              statuses={settings.statuses}
+              economicsDefaults={settings.economicsDefaults}
+              roasThresholds={settings.roasThresholds}
+              selectedId={selectedId}
+              onSelect={setSelectedId}
+              onStatusChange={handleChangeStatus}
+              readOnly={!canEdit}
+            />
+          </div>
+        ) : (
+          <div className="flex-1 flex flex-col overflow-hidden">
+            <div className="flex items-center gap-2 px-8 py-2 border-b border-slate-100">
+              <ViewsMenu
+                views={views}
+                activeViewId={activeViewId}
+                onApply={handleApplyView}
+                onSave={handleSaveView}
+                onDelete={handleDeleteView}
+              />
+              <ColumnsMenu columnIds={columnIds} onChange={setColumnIds} />
+              <button
+                onClick={() => setGroupBy(groupBy === "niche" ? null : "niche")}
+                className={`flex items-center gap-1.5 px-3 py-1 rounded-md text-xs font-medium transition-all ${
+                  groupBy === "niche"
+                    ? "bg-slate-200 text-slate-900"
+                    : "bg-slate-100 hover:bg-slate-200 text-slate-700"
+                }`}
+                title="Group rows by niche"
+              >
+                <Layers size={14} /> Group by Niche
+              </button>
+              <button
+                onClick={() => setShowTags(true)}
+                className="flex items-center gap-1.5 px-3 py-1 rounded-md text-xs font-medium transition-all bg-slate-100 hover:bg-slate-200 text-slate-700"
+                title="Rename and merge tags"
+              >
+                <Tags size={14} /> Tags
+              </button>
+              {sort && (
+                <button
+                  onClick={() => setSort(null)}
+                  className="flex items-center gap-1 text-xs text-slate-500 hover:text-slate-800"
+                >
+                  Sorted by {getColumn(sort.column)?.label} ({sort.direction})
+                  <X size={12} />
+                </button>
               )}
-            </tbody>
-          </table>
-        </div>
+              <span className="ml-auto text-xs text-slate-400">
+                {sortedProducts.length} of {products.length}
+              </span>
+            </div>
+            {(selectedProducts.length > 0 || bulkResult) && (
+              <BulkActionBar
+                count={selectedProducts.length}
+                statuses={settings.statuses}
+                knownTags={knownTags}
+                busy={bulkBusy}
+                result={bulkResult}
+                readOnly={!canEdit}
+                onStatus={handleBulkStatus}
+                onTag={handleBulkTag}
+                onExport={handleBulkExport}
+                onDelete={handleBulkDelete}
+                onClear={handleClearSelection}
+              />
+            )}
+            <div className="flex-1 overflow-auto">
+              <ProductTable
+                products={sortedProducts}
+                columnIds={columnIds}
+                sort={sort}
+                onSortChange={setSort}
+                selectedId={selectedId}
+                onSelect={setSelectedId}
+                economicsDefaults={settings.economicsDefaults}
+                statuses={settings.statuses}
+                scorecard={settings.scorecard}
+                roasThresholds={settings.roasThresholds}
+                adTestWindowDays={settings.adTestWindowDays}
+                reportingCurrency={settings.reportingCurrency}
+                exchangeRates={settings.exchangeRates}
+                groups={productGroups}
+                selectedIds={selectedIds}
+                onToggleSelect={handleToggleSelect}
+                onToggleAll={handleToggleAll}
+              />
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Side Inspector Panel */}
@@ -624,6 +1956,7 @@ export default function App() {
               <div className="flex flex-col gap-1 w-full mr-4">
                 <input
                   type="text"
+                  readOnly={!canEdit}
                   value={selectedProduct.name}
                   onChange={(e) =>
                     handleUpdateProduct(
@@ -632,25 +1965,53 @@ export default function App() {
                       e.target.value
                     )
                   }
+                  onBlur={() => saveQueue.flush([selectedProduct.id])}
                   placeholder="Product Name"
                   className="text-xl font-semibold text-slate-900 outline-none bg-transparent w-full"
                 />
                 <div className="text-xs text-slate-400 flex items-center gap-2">
                   <span>ID: {selectedProduct.id}</span>
                   <span className="text-[10px] text-slate-300">•</span>
-                  <span className="text-[10px] uppercase font-bold tracking-wider">
-                    Cloud Saved
-                  </span>
+                  {canEdit ? (
+                    <SaveStatus
+                      status={saveState.status[selectedProduct.id]}
+                      onRetry={() => saveQueue.flush([selectedProduct.id])}
+                    />
+                  ) : (
+                    <span className="text-[10px] uppercase font-bold tracking-wider">
+                      View Only
+                    </span>
+                  )}
                 </div>
               </div>
               <div className="flex items-center gap-2">
-                <button
-                  onClick={(e) => handleDeleteProduct(selectedProduct.id, e)}
-                  className="p-2 hover:bg-rose-50 text-slate-400 hover:text-rose-600 rounded-md transition-colors"
-                  title="Delete Product"
-                >
-                  <Trash2 size={18} />
-                </button>
+                {canEdit && (
+                  <>
+                    <button
+                      onClick={() => handleDuplicateProduct(selectedProduct.id)}
+                      className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
+                      title="Duplicate"
+                    >
+                      <Copy size={18} />
+                    </button>
+                    <button
+                      onClick={() => handleSaveTemplate(selectedProduct.id)}
+                      className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
+                      title="Save as Template"
+                    >
+                      <BookmarkPlus size={18} />
+                    </button>
+                    <button
+                      onClick={(e) =>
+                        handleDeleteProduct(selectedProduct.id, e)
+                      }
+                      className="p-2 hover:bg-rose-50 text-slate-400 hover:text-rose-600 rounded-md transition-colors"
+                      title="Move to Trash"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </>
+                )}
                 <button
                   onClick={() => setSelectedId(null)}
                   className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
@@ -660,403 +2021,686 @@ export default function App() {
               </div>
             </div>
 
-            <div className="flex-1 overflow-y-auto px-6 py-6 space-y-8 pb-10">
-              <div className="grid grid-cols-2 gap-4">
-                <div className="space-y-1.5">
-                  <label className="text-xs font-semibold uppercase text-slate-500">
-                    Status
-                  </label>
-                  <select
-                    value={selectedProduct.status}
-                    onChange={(e) =>
-                      handleUpdateProduct(
-                        selectedProduct.id,
-                        "status",
-                        e.target.value
+            <div className="px-6 border-b border-slate-100 flex gap-4 text-sm">
+              {[
+                ["details", "Details"],
+                ["history", "History"],
+              ].map(([tab, label]) => (
+                <button
+                  key={tab}
+                  onClick={() => setInspectorTab(tab)}
+                  className={`flex items-center gap-1.5 py-2 -mb-px border-b-2 font-medium transition-colors ${
+                    inspectorTab === tab
+                      ? "border-indigo-600 text-slate-900"
+                      : "border-transparent text-slate-400 hover:text-slate-700"
+                  }`}
+                >
+                  {tab === "history" && <History size={14} />}
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {inspectorTab === "history" ? (
+              <div className="flex-1 overflow-y-auto px-6 py-6 pb-10">
+                <RevisionHistory
+                  product={selectedProduct}
+                  revisions={
+                    revisions.productId === selectedProduct.id
+                      ? revisions.items
+                      : []
+                  }
+                  loading={revisions.productId !== selectedProduct.id}
+                  readOnly={!canEdit}
+                  onRevertField={(field, value) =>
+                    handleRevertFields(selectedProduct.id, { [field]: value })
+                  }
+                  onRestoreVersion={(revisionId) => {
+                    if (
+                      window.confirm(
+                        "Undo every change made after this version?"
                       )
-                    }
-                    className="w-full bg-slate-50 border border-slate-200 rounded px-2 py-2 text-sm outline-none"
-                  >
-                    <option value="Pending">Pending</option>
-                    <option value="Approved">Approved</option>
-                    <option value="Rejected">Rejected</option>
-                  </select>
-                </div>
-                <div className="space-y-1.5">
-                  <label className="text-xs font-semibold uppercase text-slate-500">
-                    Content
-                  </label>
-                  <button
-                    onClick={() =>
-                      handleUpdateProduct(
+                    ) {
+                      handleRevertFields(
                         selectedProduct.id,
-                        "hasContent",
-                        !selectedProduct.hasContent
-                      )
+                        fieldsAtRevision(revisions.items, revisionId)
+                      );
                     }
-                    className={`w-full h-[38px] border rounded px-3 flex items-center text-sm transition-colors ${
-                      selectedProduct.hasContent
-                        ? "bg-indigo-50 border-indigo-200 text-indigo-700 font-medium"
-                        : "bg-slate-50 border-slate-200 text-slate-500"
-                    }`}
-                  >
-                    <div
-                      className={`w-3 h-3 rounded-full mr-2 ${
-                        selectedProduct.hasContent
-                          ? "bg-indigo-500"
-                          : "bg-slate-300"
-                      }`}
-                    />
-                    {selectedProduct.hasContent ? "Ready" : "Not Ready"}
-                  </button>
-                </div>
+                  }}
+                />
               </div>
-
-              <div className="space-y-4">
-                <div className="space-y-1.5">
-                  <label className="text-xs font-semibold uppercase text-slate-500 flex items-center gap-1.5">
-                    <Zap size={12} /> Value Prop & Potential
-                  </label>
-                  <textarea
-                    value={selectedProduct.valueProp}
-                    onChange={(e) =>
-                      handleUpdateProduct(
+            ) : (
+              /* Viewers get the same panel with every control disabled. */
+              <fieldset
+                disabled={!canEdit}
+                onBlur={() => saveQueue.flush([selectedProduct.id])}
+                className="flex-1 overflow-y-auto px-6 py-6 space-y-8 pb-10 min-w-0"
+              >
+                {saveState.conflicts[selectedProduct.id] && (
+                  <ConflictBanner
+                    conflicts={saveState.conflicts[selectedProduct.id]}
+                    onKeepMine={(conflict) =>
+                      handleKeepMine(selectedProduct.id, conflict)
+                    }
+                    onKeepTheirs={(conflict) =>
+                      saveQueue.resolveConflict(
                         selectedProduct.id,
-                        "valueProp",
-                        e.target.value
+                        conflict.field
                       )
                     }
-                    placeholder="Why this product? What's the hook?"
-                    className="w-full bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm outline-none resize-none focus:bg-white transition-all"
-                    rows={2}
                   />
-                </div>
+                )}
                 <div className="grid grid-cols-2 gap-4">
                   <div className="space-y-1.5">
-                    <label className="text-xs font-semibold uppercase text-slate-500 flex items-center gap-1.5">
-                      <Target size={12} /> Target Market
+                    <label className="text-xs font-semibold uppercase text-slate-500">
+                      Status
                     </label>
-                    <input
-                      type="text"
-                      value={selectedProduct.targetMarket}
+                    <select
+                      value={selectedProduct.status}
                       onChange={(e) =>
-                        handleUpdateProduct(
-                          selectedProduct.id,
-                          "targetMarket",
-                          e.target.value
-                        )
+                        handleChangeStatus(selectedProduct.id, e.target.value)
                       }
-                      placeholder="e.g. US, UK, 25-40 Females"
-                      className="w-full bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm outline-none focus:bg-white transition-all"
-                    />
+                      className="w-full bg-slate-50 border border-slate-200 rounded px-2 py-2 text-sm outline-none"
+                    >
+                      {!statusNames.includes(selectedProduct.status) && (
+                        <option value={selectedProduct.status}>
+                          {selectedProduct.status || "No Status"}
+                        </option>
+                      )}
+                      {statusNames.map((status) => (
+                        <option key={status} value={status}>
+                          {status}
+                        </option>
+                      ))}
+                    </select>
                   </div>
                   <div className="space-y-1.5">
-                    <label className="text-xs font-semibold uppercase text-slate-500 flex items-center gap-1.5">
-                      <ShoppingCart size={12} /> Supplier Link
+                    <label className="text-xs font-semibold uppercase text-slate-500">
+                      Content
                     </label>
-                    <input
-                      type="text"
-                      value={selectedProduct.supplierLink}
-                      onChange={(e) =>
+                    <button
+                      onClick={() =>
                         handleUpdateProduct(
                           selectedProduct.id,
-                          "supplierLink",
-                          e.target.value
+                          "hasContent",
+                          !selectedProduct.hasContent
                         )
                       }
-                      placeholder="AliExpress / CJ Link"
-                      className="w-full bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm outline-none focus:bg-white transition-all text-blue-600"
-                    />
+                      className={`w-full h-[38px] border rounded px-3 flex items-center text-sm transition-colors ${
+                        selectedProduct.hasContent
+                          ? "bg-indigo-50 border-indigo-200 text-indigo-700 font-medium"
+                          : "bg-slate-50 border-slate-200 text-slate-500"
+                      }`}
+                    >
+                      <div
+                        className={`w-3 h-3 rounded-full mr-2 ${
+                          selectedProduct.hasContent
+                            ? "bg-indigo-500"
+                            : "bg-slate-300"
+                        }`}
+                      />
+                      {selectedProduct.hasContent ? "Ready" : "Not Ready"}
+                    </button>
                   </div>
                 </div>
-              </div>
 
-              <div className="bg-slate-50 rounded-xl p-4 border border-slate-100 space-y-4 shadow-sm">
-                <div className="flex items-center gap-2 font-medium text-slate-800">
-                  <DollarSign size={16} /> Financial Breakdown
-                </div>
-                <div className="grid grid-cols-2 gap-4">
-                  <div className="space-y-1">
-                    <label className="text-xs text-slate-500">
-                      Total COGs ($)
+                <div className="space-y-4">
+                  <div className="space-y-1.5">
+                    <label className="text-xs font-semibold uppercase text-slate-500 flex items-center gap-1.5">
+                      <Zap size={12} /> Value Prop & Potential
                     </label>
-                    <input
-                      type="number"
-                      value={selectedProduct.cogs}
+                    <textarea
+                      value={selectedProduct.valueProp}
                       onChange={(e) =>
                         handleUpdateProduct(
                           selectedProduct.id,
-                          "cogs",
+                          "valueProp",
                           e.target.value
                         )
                       }
-                      className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
-                      placeholder="0.00"
+                      placeholder="Why this product? What's the hook?"
+                      className="w-full bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm outline-none resize-none focus:bg-white transition-all"
+                      rows={2}
                     />
                   </div>
-                  <div className="space-y-1">
-                    <label className="text-xs text-slate-500">
-                      Selling Price ($)
+                  <div className="space-y-1.5">
+                    <label className="text-xs font-semibold uppercase text-slate-500 flex items-center gap-1.5">
+                      <Tag size={12} /> Tags
                     </label>
-                    <input
-                      type="number"
-                      value={selectedProduct.price}
-                      onChange={(e) =>
-                        handleUpdateProduct(
-                          selectedProduct.id,
-                          "price",
-                          e.target.value
-                        )
+                    <TagInput
+                      tags={getTags(selectedProduct)}
+                      knownTags={knownTags}
+                      onChange={(tags) =>
+                        handleUpdateProduct(selectedProduct.id, "tags", tags)
                       }
-                      className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
-                      placeholder="0.00"
                     />
                   </div>
-                </div>
-                <div className="flex items-center justify-between pt-2 border-t border-slate-200/50">
-                  <div className="text-xs text-slate-500">Break-Even ROAS</div>
-                  <div className="text-2xl font-bold font-mono tracking-tight">
-                    {calculateRoas(
-                      selectedProduct.price,
-                      selectedProduct.cogs
-                    ) ? (
-                      <span
-                        className={
-                          parseFloat(
-                            calculateRoas(
-                              selectedProduct.price,
-                              selectedProduct.cogs
-                            )
-                          ) <= 1.5 &&
-                          parseFloat(
-                            calculateRoas(
-                              selectedProduct.price,
-                              selectedProduct.cogs
-                            )
-                          ) > 0
-                            ? "text-emerald-600"
-                            : "text-rose-600"
+                  <div className="space-y-1.5">
+                    <div className="space-y-1.5">
+                      <label className="text-xs font-semibold uppercase text-slate-500 flex items-center gap-1.5">
+                        <Layers size={12} /> Niche
+                      </label>
+                      <input
+                        type="text"
+                        list="niche-options"
+                        value={selectedProduct.niche || ""}
+                        onChange={(e) =>
+                          handleUpdateProduct(
+                            selectedProduct.id,
+                            "niche",
+                            e.target.value
+                          )
                         }
-                      >
-                        {calculateRoas(
-                          selectedProduct.price,
-                          selectedProduct.cogs
-                        )}
-                        <span className="text-sm text-slate-400 ml-1">x</span>
-                      </span>
-                    ) : (
-                      <span className="text-slate-300">--</span>
-                    )}
+                        placeholder="e.g. Pet Care"
+                        className="w-full bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm outline-none focus:bg-white transition-all"
+                      />
+                      <datalist id="niche-options">
+                        {knownNiches.map((niche) => (
+                          <option key={niche} value={niche} />
+                        ))}
+                      </datalist>
+                    </div>
                   </div>
                 </div>
-              </div>
 
-              <div className="space-y-3">
-                <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
-                  <TrendingUp size={16} /> Competitor Intelligence
+                <div className="space-y-4">
+                  <SupplierList
+                    suppliers={selectedSuppliers}
+                    preferredId={selectedPreferredSupplier?.id}
+                    onAdd={() => handleAddSupplier(selectedProduct.id)}
+                    onUpdate={(supplierId, field, value) =>
+                      handleUpdateSupplier(
+                        selectedProduct.id,
+                        supplierId,
+                        field,
+                        value
+                      )
+                    }
+                    onRemove={(supplierId) =>
+                      handleRemoveSupplier(selectedProduct.id, supplierId)
+                    }
+                    onPrefer={(supplierId) =>
+                      handleSaveSuppliers(
+                        selectedProduct.id,
+                        selectedSuppliers,
+                        supplierId
+                      )
+                    }
+                  />
+                  {selectedSuppliers.length > 1 && (
+                    <SupplierComparison
+                      suppliers={selectedSuppliers}
+                      preferredId={selectedPreferredSupplier?.id}
+                      markets={selectedMarkets}
+                    />
+                  )}
                 </div>
-                {selectedProduct.competitors.map((comp, idx) => (
-                  <div
-                    key={idx}
-                    className="p-4 bg-slate-50 rounded-lg border border-slate-100 space-y-3"
-                  >
-                    <div className="flex items-center justify-between gap-2">
+
+                <div className="bg-slate-50 rounded-xl p-4 border border-slate-100 space-y-4 shadow-sm">
+                  <div className="flex items-center gap-2 font-medium text-slate-800">
+                    <DollarSign size={16} /> Financial Breakdown
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-1">
+                      <label className="text-xs text-slate-500 flex items-center justify-between gap-2">
+                        Total COGs ($)
+                        {selectedSupplierCogs !== null &&
+                          (selectedProduct.cogsManual ? (
+                            <button
+                              onClick={() =>
+                                handleUpdateProductFields(selectedProduct.id, {
+                                  cogs: selectedSupplierCogs,
+                                  cogsManual: false,
+                                })
+                              }
+                              className="text-indigo-600 font-semibold hover:underline"
+                              title={`Use ${formatCurrency(
+                                parseFloat(selectedSupplierCogs)
+                              )} from the preferred supplier`}
+                            >
+                              Use supplier
+                            </button>
+                          ) : (
+                            <span className="text-slate-400">
+                              from supplier
+                            </span>
+                          ))}
+                      </label>
                       <input
-                        type="text"
-                        placeholder={`Competitor ${idx + 1} Brand`}
-                        value={comp.brand}
+                        type="number"
+                        value={selectedProduct.cogs}
+                        onChange={(e) =>
+                          queueProductFields(selectedProduct.id, {
+                            cogs: e.target.value,
+                            cogsManual: true,
+                          })
+                        }
+                        className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
+                        placeholder="0.00"
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <label className="text-xs text-slate-500">
+                        Selling Price ($)
+                      </label>
+                      <input
+                        type="number"
+                        value={selectedProduct.price}
                         onChange={(e) =>
-                          handleUpdateCompetitor(
+                          handleUpdateProduct(
                             selectedProduct.id,
-                            idx,
-                            "brand",
+                            "price",
                             e.target.value
                           )
                         }
-                        className="flex-1 bg-transparent border-b border-slate-200 pb-1 font-semibold text-sm outline-none focus:border-slate-400"
+                        className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
+                        placeholder="0.00"
                       />
                     </div>
-                    <div className="grid grid-cols-2 gap-3">
-                      <div className="space-y-1">
-                        <label className="text-[10px] uppercase text-slate-400 font-bold">
-                          Ad Library
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    {ECONOMICS_FIELDS.map((field) => (
+                      <div key={field.key} className="space-y-1">
+                        <label className="text-xs text-slate-500">
+                          {field.label}
                         </label>
                         <input
-                          type="text"
-                          placeholder="URL"
-                          value={comp.adLink}
+                          type="number"
+                          value={selectedProduct[field.key] ?? ""}
                           onChange={(e) =>
-                            handleUpdateCompetitor(
+                            handleUpdateProduct(
                               selectedProduct.id,
-                              idx,
-                              "adLink",
+                              field.key,
                               e.target.value
                             )
                           }
-                          className="w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400 text-blue-600"
-                        />
-                      </div>
-                      <div className="space-y-1">
-                        <label className="text-[10px] uppercase text-slate-400 font-bold">
-                          Store URL
-                        </label>
-                        <input
-                          type="text"
-                          placeholder="URL"
-                          value={comp.storeLink}
-                          onChange={(e) =>
-                            handleUpdateCompetitor(
-                              selectedProduct.id,
-                              idx,
-                              "storeLink",
-                              e.target.value
-                            )
+                          className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
+                          placeholder={
+                            settings.economicsDefaults[field.key]
+                              ? `Default ${
+                                  settings.economicsDefaults[field.key]
+                                }`
+                              : "0"
                           }
-                          className="w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400 text-blue-600"
                         />
                       </div>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-3 gap-3 pt-2 border-t border-slate-200/50">
+                    <div>
+                      <div className="text-xs text-slate-500">Net Revenue</div>
+                      <div className="text-sm font-mono text-slate-700">
+                        {selectedEconomics
+                          ? formatCurrency(selectedEconomics.revenue)
+                          : "-"}
+                      </div>
                     </div>
-                    <div className="grid grid-cols-2 gap-3 pt-1">
-                      <div className="space-y-1">
-                        <label className="text-[10px] uppercase text-slate-400 font-bold">
-                          Active Ads
-                        </label>
-                        <input
-                          type="number"
-                          placeholder="Count"
-                          value={comp.adsCount}
-                          onChange={(e) =>
-                            handleUpdateCompetitor(
-                              selectedProduct.id,
-                              idx,
-                              "adsCount",
-                              e.target.value
-                            )
-                          }
-                          className="w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400"
-                        />
+                    <div>
+                      <div className="text-xs text-slate-500">Total Costs</div>
+                      <div className="text-sm font-mono text-slate-700">
+                        {selectedEconomics
+                          ? formatCurrency(selectedEconomics.totalCosts)
+                          : "-"}
                       </div>
-                      <div className="space-y-1">
-                        <label className="text-[10px] uppercase text-slate-400 font-bold">
-                          SimilarWeb Traffic
-                        </label>
-                        <input
-                          type="text"
-                          placeholder="e.g. 50k"
-                          value={comp.traffic}
-                          onChange={(e) =>
-                            handleUpdateCompetitor(
-                              selectedProduct.id,
-                              idx,
-                              "traffic",
-                              e.target.value
-                            )
-                          }
-                          className="w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400"
-                        />
+                    </div>
+                    <div>
+                      <div className="text-xs text-slate-500">
+                        Contribution Margin
+                      </div>
+                      <div className="text-sm font-mono text-slate-700">
+                        {selectedEconomics
+                          ? formatCurrency(selectedEconomics.contributionMargin)
+                          : "-"}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-slate-500">Margin %</div>
+                      <div className="text-sm font-mono text-slate-700">
+                        {selectedEconomics
+                          ? formatPercent(selectedEconomics.marginPercent)
+                          : "-"}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-slate-500">
+                        Break-Even CPA
+                      </div>
+                      <div className="text-sm font-mono text-slate-700">
+                        {selectedEconomics
+                          ? formatCurrency(selectedEconomics.breakEvenCpa)
+                          : "-"}
                       </div>
                     </div>
                   </div>
-                ))}
-              </div>
-
-              <div className="space-y-3">
-                <div className="flex items-center justify-between border-b border-slate-100 pb-1">
-                  <div className="flex items-center gap-2 font-medium text-slate-800">
-                    <LinkIcon size={16} /> Other Links
-                  </div>
-                  <button
-                    onClick={() => handleAddOtherLink(selectedProduct.id)}
-                    className="text-xs text-indigo-600 font-semibold hover:underline"
-                  >
-                    + Add Link
-                  </button>
-                </div>
-                <div className="space-y-2">
-                  {(selectedProduct.otherLinks || []).map((link) => (
-                    <div key={link.id} className="flex gap-2 items-start">
-                      <div className="grid grid-cols-3 gap-2 flex-1">
-                        <input
-                          type="text"
-                          placeholder="Title"
-                          value={link.title}
-                          onChange={(e) =>
-                            handleUpdateOtherLink(
-                              selectedProduct.id,
-                              link.id,
-                              "title",
-                              e.target.value
-                            )
-                          }
-                          className="col-span-1 bg-white border border-slate-200 rounded px-2 py-1.5 text-xs outline-none focus:border-slate-400"
-                        />
-                        <input
-                          type="text"
-                          placeholder="URL"
-                          value={link.url}
-                          onChange={(e) =>
-                            handleUpdateOtherLink(
-                              selectedProduct.id,
-                              link.id,
-                              "url",
-                              e.target.value
-                            )
+                  <div className="flex items-center justify-between pt-2 border-t border-slate-200/50">
+                    <div className="text-xs text-slate-500">
+                      Break-Even ROAS
+                    </div>
+                    <div className="text-2xl font-bold font-mono tracking-tight">
+                      {selectedEconomics ? (
+                        <span
+                          className={
+                            ROAS_TONE_CLASSES[
+                              getRoasTone(
+                                selectedEconomics.breakEvenRoas,
+                                settings.roasThresholds
+                              )
+                            ]
                           }
-                          className="col-span-2 bg-white border border-slate-200 rounded px-2 py-1.5 text-xs text-blue-600 outline-none focus:border-slate-400"
-                        />
-                      </div>
-                      <button
-                        onClick={() =>
-                          handleDeleteOtherLink(selectedProduct.id, link.id)
-                        }
-                        className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors"
-                      >
-                        <Trash2 size={14} />
-                      </button>
+                        >
+                          {selectedEconomics.breakEvenRoas > 0 ? (
+                            <>
+                              {selectedEconomics.breakEvenRoas.toFixed(2)}
+                              <span className="text-sm text-slate-400 ml-1">
+                                x
+                              </span>
+                            </>
+                          ) : (
+                            "Loss"
+                          )}
+                        </span>
+                      ) : (
+                        <span className="text-slate-300">--</span>
+                      )}
                     </div>
-                  ))}
+                  </div>
+                  <PricingSimulator
+                    product={selectedProduct}
+                    economicsDefaults={settings.economicsDefaults}
+                    roasThresholds={settings.roasThresholds}
+                    onChange={(scenarios) =>
+                      handleUpdateProduct(
+                        selectedProduct.id,
+                        "pricingScenarios",
+                        scenarios
+                      )
+                    }
+                    onPromote={(scenario) =>
+                      handleUpdateProductFields(
+                        selectedProduct.id,
+                        promoteFields(scenario)
+                      )
+                    }
+                  />
                 </div>
-              </div>
 
-              <div className="space-y-2">
-                <label className="text-xs font-semibold uppercase text-slate-500 flex items-center gap-1.5">
-                  <FileText size={12} /> Internal Notes (Long Text)
-                </label>
-                <textarea
-                  value={selectedProduct.internalNotes}
-                  onChange={(e) =>
-                    handleUpdateProduct(
+                <MarketList
+                  markets={selectedMarkets}
+                  results={selectedMarkets.map((market) =>
+                    marketEconomics(
+                      selectedProduct,
+                      market,
+                      settings.economicsDefaults,
+                      settings.exchangeRates
+                    )
+                  )}
+                  currencies={getCurrencies(settings.exchangeRates)}
+                  reportingCurrency={settings.reportingCurrency}
+                  rates={settings.exchangeRates}
+                  roasThresholds={settings.roasThresholds}
+                  onAdd={() => handleAddMarket(selectedProduct.id)}
+                  onUpdate={(marketId, field, value) =>
+                    handleUpdateMarket(
                       selectedProduct.id,
-                      "internalNotes",
-                      e.target.value
+                      marketId,
+                      field,
+                      value
                     )
                   }
-                  placeholder="Log detailed research, sourcing conversations, or strategy..."
-                  className="w-full bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm outline-none resize-none focus:bg-white transition-all h-32"
+                  onRemove={(marketId) =>
+                    handleRemoveMarket(selectedProduct.id, marketId)
+                  }
                 />
-              </div>
 
-              <div className="space-y-2 pb-12">
-                <label className="text-xs font-semibold uppercase text-slate-500">
-                  Brainstorming Scratchpad
-                </label>
-                <textarea
-                  value={selectedProduct.personalNotes}
-                  onChange={(e) =>
-                    handleUpdateProduct(
+                {selectedProduct.status ===
+                  getApprovedStatus(settings.statuses)?.name && (
+                  <ProjectionPanel
+                    product={selectedProduct}
+                    economicsDefaults={settings.economicsDefaults}
+                    onChange={(projection) =>
+                      handleUpdateProduct(
+                        selectedProduct.id,
+                        "projection",
+                        projection
+                      )
+                    }
+                  />
+                )}
+
+                <ScoreBreakdown
+                  result={selectedScore}
+                  ratings={selectedProduct.ratings}
+                  onRate={(criterionId, value) => {
+                    const ratings = { ...selectedProduct.ratings };
+                    if (value === null) {
+                      delete ratings[criterionId];
+                    } else {
+                      ratings[criterionId] = value;
+                    }
+                    handleUpdateProduct(selectedProduct.id, "ratings", ratings);
+                  }}
+                />
+
+                <AdTestLog
+                  key={selectedProduct.id}
+                  entries={getAdTestEntries(selectedProduct)}
+                  economics={selectedEconomics}
+                  windowDays={settings.adTestWindowDays}
+                  onChange={(entries) =>
+                    handleUpdateProductFields(selectedProduct.id, {
+                      adTests: entries,
+                    })
+                  }
+                />
+
+                <CompetitorList
+                  competitors={getCompetitors(selectedProduct)}
+                  onAdd={() => handleAddCompetitor(selectedProduct.id)}
+                  onUpdate={(competitorId, field, value) =>
+                    handleUpdateCompetitor(
                       selectedProduct.id,
-                      "personalNotes",
-                      e.target.value
+                      competitorId,
+                      field,
+                      value
                     )
                   }
-                  placeholder="Quick thoughts and ideas..."
-                  className="w-full bg-yellow-50/30 border border-yellow-100 rounded px-3 py-2 text-sm outline-none resize-none h-24 italic"
+                  onRemove={(competitorId) =>
+                    handleRemoveCompetitor(selectedProduct.id, competitorId)
+                  }
+                  onMove={(fromId, toId) =>
+                    handleMoveCompetitor(selectedProduct.id, fromId, toId)
+                  }
                 />
-              </div>
-            </div>
+
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between border-b border-slate-100 pb-1">
+                    <div className="flex items-center gap-2 font-medium text-slate-800">
+                      <LinkIcon size={16} /> Other Links
+                    </div>
+                    <button
+                      onClick={() => handleAddOtherLink(selectedProduct.id)}
+                      className="text-xs text-indigo-600 font-semibold hover:underline"
+                    >
+                      + Add Link
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {(selectedProduct.otherLinks || []).map((link) => (
+                      <div key={link.id} className="flex gap-2 items-start">
+                        <div className="grid grid-cols-3 gap-2 flex-1">
+                          <input
+                            type="text"
+                            placeholder="Title"
+                            value={link.title}
+                            onChange={(e) =>
+                              handleUpdateOtherLink(
+                                selectedProduct.id,
+                                link.id,
+                                "title",
+                                e.target.value
+                              )
+                            }
+                            className="col-span-1 bg-white border border-slate-200 rounded px-2 py-1.5 text-xs outline-none focus:border-slate-400"
+                          />
+                          <input
+                            type="text"
+                            placeholder="URL"
+                            value={link.url}
+                            onChange={(e) =>
+                              handleUpdateOtherLink(
+                                selectedProduct.id,
+                                link.id,
+                                "url",
+                                e.target.value
+                              )
+                            }
+                            className="col-span-2 bg-white border border-slate-200 rounded px-2 py-1.5 text-xs text-blue-600 outline-none focus:border-slate-400"
+                          />
+                        </div>
+                        <button
+                          onClick={() =>
+                            handleDeleteOtherLink(selectedProduct.id, link.id)
+                          }
+                          className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <StatusTimeline
+                  history={selectedProduct.statusHistory}
+                  statuses={settings.statuses}
+                />
+
+                <div className="space-y-2">
+                  <label className="text-xs font-semibold uppercase text-slate-500 flex items-center gap-1.5">
+                    <FileText size={12} /> Internal Notes (Long Text)
+                  </label>
+                  <textarea
+                    value={selectedProduct.internalNotes}
+                    onChange={(e) =>
+                      handleUpdateProduct(
+                        selectedProduct.id,
+                        "internalNotes",
+                        e.target.value
+                      )
+                    }
+                    placeholder="Log detailed research, sourcing conversations, or strategy..."
+                    className="w-full bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm outline-none resize-none focus:bg-white transition-all h-32"
+                  />
+                </div>
+
+                <div className="space-y-2 pb-12">
+                  <label className="text-xs font-semibold uppercase text-slate-500">
+                    Brainstorming Scratchpad
+                  </label>
+                  <textarea
+                    value={selectedProduct.personalNotes}
+                    onChange={(e) =>
+                      handleUpdateProduct(
+                        selectedProduct.id,
+                        "personalNotes",
+                        e.target.value
+                      )
+                    }
+                    placeholder="Quick thoughts and ideas..."
+                    className="w-full bg-yellow-50/30 border border-yellow-100 rounded px-3 py-2 text-sm outline-none resize-none h-24 italic"
+                  />
+                </div>
+              </fieldset>
+            )}
           </>
         )}
       </div>
+
+      {showSettings && (
+        <WorkspaceSettings
+          settings={settings}
+          productCounts={statusCounts}
+          onUpdate={handleUpdateSettings}
+          onSaveStatuses={handleSaveStatuses}
+          onClose={() => setShowSettings(false)}
+          readOnly={!canEdit}
+        />
+      )}
+
+      {showTags && (
+        <TagManager
+          products={allProducts}
+          onMerge={handleMergeTags}
+          onClose={() => setShowTags(false)}
+          readOnly={!canEdit}
+        />
+      )}
+
+      {showTrash && (
+        <TrashDialog
+          products={trashedProducts}
+          retentionDays={settings.trashRetentionDays}
+          onRestore={handleRestoreProducts}
+          onPurge={handlePurgeProducts}
+          onClose={() => setShowTrash(false)}
+          readOnly={!canEdit}
+        />
+      )}
+
+      {undo && (
+        <UndoToast
+          key={undo.key}
+          message={undo.message}
+          onUndo={handleUndoDelete}
+          onDismiss={() => setUndo(null)}
+        />
+      )}
+
+      {showImport && (
+        <ImportDialog
+          products={products}
+          statuses={statusNames}
+          onImport={handleImportProducts}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {showBackup && (
+        <BackupDialog
+          products={allProducts}
+          settings={settings}
+          onRestore={canEdit ? handleRestoreBackup : null}
+          onClose={() => setShowBackup(false)}
+        />
+      )}
+
+      {showTeam && activeWorkspace && (
+        <TeamDialog
+          key={activeWorkspace.id}
+          workspace={activeWorkspace}
+          userId={user.uid}
+          role={role}
+          sentInvites={isOwner ? sentInvites : []}
+          onRename={handleTeamAction(
+            (name) => renameWorkspace(workspaceId, name),
+            "renaming workspace"
+          )}
+          onInvite={(email, inviteRole) =>
+            inviteMember(activeWorkspace, email, inviteRole, user)
+          }
+          onRevokeInvite={handleTeamAction(deleteInvite, "revoking invite")}
+          onChangeRole={handleTeamAction(
+            (uid, nextRole) => updateMemberRole(workspaceId, uid, nextRole),
+            "changing role"
+          )}
+          onRemoveMember={handleTeamAction(
+            (uid) => removeMember(workspaceId, uid),
+            "removing member"
+          )}
+          onLeave={handleLeaveWorkspace}
+          onClose={() => setShowTeam(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,296 @@
+import React, { useState } from "react";
+import { Megaphone, Trash2 } from "lucide-react";
+import {
+  AD_PLATFORMS,
+  createAdTestEntry,
+  entriesInWindow,
+  summarizeAdTests,
+  summarizeByPlatform,
+  breakEvenVerdict,
+  VERDICT_CLASSES,
+} from "../lib/adTests";
+import { todayIso } from "../lib/competitorMetrics";
+import {
+  formatCurrency,
+  formatPercent,
+  formatCompactNumber,
+} from "../lib/format";
+
+const inputClass =
+  "w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400";
+
+const NUMBER_FIELDS = [
+  { key: "spend", label: "Spend ($)" },
+  { key: "revenue", label: "Revenue ($)" },
+  { key: "orders", label: "Orders" },
+  { key: "clicks", label: "Clicks" },
+  { key: "impressions", label: "Impressions" },
+];
+
+const formatRoas = (roas) => (roas === null ? "-" : `${roas.toFixed(2)}x`);
+
+// Actual vs break-even, coloured by which side of break-even it falls.
+const Result = ({ label, value, target, tone }) => (
+  <div>
+    <div className="text-xs text-slate-500">{label}</div>
+    <div
+      className={`text-sm font-mono font-medium ${
+        VERDICT_CLASSES[tone] || "text-slate-700"
+      }`}
+    >
+      {value}
+    </div>
+    {target && <div className="text-[10px] text-slate-400">{target}</div>}
+  </div>
+);
+
+// Daily ad test results for the inspector: totals against break-even over
+// the workspace window (or all time), per-platform lines and the log itself.
+// Saving a day that already has an entry for the platform replaces it.
+const AdTestLog = ({ entries, economics, windowDays, onChange }) => {
+  const [draft, setDraft] = useState(() =>
+    createAdTestEntry({ date: todayIso() })
+  );
+  const [allTime, setAllTime] = useState(false);
+  const [showLog, setShowLog] = useState(false);
+
+  const shown = allTime ? entries : entriesInWindow(entries, windowDays);
+  const summary = summarizeAdTests(shown, economics);
+  const verdict = breakEvenVerdict(summary, economics);
+  const platforms = summarizeByPlatform(shown, economics);
+  const cpaTone =
+    summary.cpa === null || !economics
+      ? null
+      : summary.cpa <= economics.breakEvenCpa
+      ? "above"
+      : "below";
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!draft.date) return;
+    const rest = entries.filter(
+      (entry) =>
+        entry.id !== draft.id &&
+        !(entry.date === draft.date && entry.platform === draft.platform)
+    );
+    onChange([...rest, draft]);
+    setDraft(createAdTestEntry({ date: draft.date, platform: draft.platform }));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between border-b border-slate-100 pb-1">
+        <div className="flex items-center gap-2 font-medium text-slate-800">
+          <Megaphone size={16} /> Ad Tests
+          <span className="text-xs font-normal text-slate-400">
+            {entries.length}
+          </span>
+        </div>
+        {windowDays && (
+          <div className="flex gap-1 text-xs">
+            {[
+              [false, `Last ${windowDays}d`],
+              [true, "All"],
+            ].map(([value, label]) => (
+              <button
+                key={label}
+                onClick={() => setAllTime(value)}
+                className={`px-2 py-0.5 rounded ${
+                  allTime === value
+                    ? "bg-slate-200 text-slate-900"
+                    : "text-slate-500 hover:text-slate-800"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {shown.length === 0 ? (
+        <p className="text-xs text-slate-400">
+          {entries.length === 0
+            ? "No test results logged yet."
+            : "Nothing logged in this period."}
+        </p>
+      ) : (
+        <div className="space-y-3">
+          <div className="grid grid-cols-4 gap-3">
+            <Result
+              label="ROAS"
+              value={formatRoas(summary.roas)}
+              target={economics && `B/E ${formatRoas(economics.breakEvenRoas)}`}
+              tone={verdict}
+            />
+            <Result
+              label="CPA"
+              value={summary.cpa === null ? "-" : formatCurrency(summary.cpa)}
+              target={
+                economics && `B/E ${formatCurrency(economics.breakEvenCpa)}`
+              }
+              tone={cpaTone}
+            />
+            <Result label="CTR" value={formatPercent(summary.ctr)} />
+            <Result
+              label="Profit"
+              value={
+                summary.profit === null ? "-" : formatCurrency(summary.profit)
+              }
+              target={`${formatCurrency(summary.spend)} spent`}
+              tone={
+                summary.profit === null
+                  ? null
+                  : summary.profit >= 0
+                  ? "above"
+                  : "below"
+              }
+            />
+          </div>
+          {!economics && (
+            <p className="text-[11px] text-slate-400">
+              Add COGs and a selling price to compare with break-even.
+            </p>
+          )}
+          {platforms.length > 1 && (
+            <div className="border border-slate-200 rounded divide-y divide-slate-100 bg-white text-xs">
+              {platforms.map((line) => (
+                <div
+                  key={line.platform}
+                  className="flex items-center gap-3 px-2 py-1"
+                >
+                  <span className="text-slate-600 flex-1">{line.platform}</span>
+                  <span className="font-mono text-slate-500">
+                    {formatCurrency(line.spend)}
+                  </span>
+                  <span
+                    className={`font-mono w-14 text-right ${
+                      VERDICT_CLASSES[breakEvenVerdict(line, economics)] ||
+                      "text-slate-700"
+                    }`}
+                  >
+                    {formatRoas(line.roas)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <form
+        onSubmit={handleSave}
+        className="p-3 bg-slate-50 rounded-lg border border-slate-100 space-y-2"
+      >
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="date"
+            value={draft.date}
+            onChange={(e) => setDraft({ ...draft, date: e.target.value })}
+            className={inputClass}
+          />
+          <select
+            value={draft.platform}
+            onChange={(e) => setDraft({ ...draft, platform: e.target.value })}
+            className={inputClass}
+          >
+            {!AD_PLATFORMS.includes(draft.platform) && (
+              <option value={draft.platform}>{draft.platform}</option>
+            )}
+            {AD_PLATFORMS.map((platform) => (
+              <option key={platform} value={platform}>
+                {platform}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-5 gap-2">
+          {NUMBER_FIELDS.map((field) => (
+            <div key={field.key} className="space-y-1">
+              <label className="text-[10px] uppercase text-slate-400 font-bold">
+                {field.label}
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={draft[field.key]}
+                onChange={(e) =>
+                  setDraft({ ...draft, [field.key]: e.target.value })
+                }
+                className={`${inputClass} font-mono`}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="submit"
+            disabled={!draft.date}
+            className="bg-slate-900 hover:bg-slate-800 text-white px-3 py-1 rounded text-xs font-medium disabled:opacity-50"
+          >
+            Save Day
+          </button>
+          {entries.length > 0 && (
+            <button
+              type="button"
+              onClick={() => setShowLog(!showLog)}
+              className="ml-auto text-xs text-slate-500 hover:text-slate-800"
+            >
+              {showLog ? "Hide" : "Show"} {entries.length}{" "}
+              {entries.length === 1 ? "entry" : "entries"}
+            </button>
+          )}
+        </div>
+      </form>
+
+      {showLog && (
+        <div className="border border-slate-200 rounded divide-y divide-slate-100 bg-white">
+          {entries.map((entry) => {
+            const line = summarizeAdTests([entry], economics);
+            return (
+              <div
+                key={entry.id}
+                onClick={() => setDraft(entry)}
+                className={`flex items-center gap-3 px-2 py-1 text-xs cursor-pointer hover:bg-slate-50 ${
+                  entry.id === draft.id ? "bg-slate-50" : ""
+                }`}
+                title="Edit"
+              >
+                <span className="text-slate-500 w-20">{entry.date}</span>
+                <span className="text-slate-600 w-16 truncate">
+                  {entry.platform}
+                </span>
+                <span className="font-mono text-slate-700 flex-1">
+                  {formatCurrency(line.spend)}
+                </span>
+                <span className="font-mono text-slate-500">
+                  {formatCompactNumber(line.orders)} orders
+                </span>
+                <span
+                  className={`font-mono w-14 text-right ${
+                    VERDICT_CLASSES[breakEvenVerdict(line, economics)] ||
+                    "text-slate-700"
+                  }`}
+                >
+                  {formatRoas(line.roas)}
+                </span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onChange(entries.filter((x) => x.id !== entry.id));
+                  }}
+                  className="p-1 text-slate-400 hover:text-rose-500 transition-colors"
+                  title="Remove entry"
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdTestLog;
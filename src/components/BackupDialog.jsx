@@ -0,0 +1,259 @@
+import React, { useState } from "react";
+import {
+  X,
+  DatabaseBackup,
+  Download,
+  Upload,
+  AlertCircle,
+  CheckCircle2,
+} from "lucide-react";
+import { createBackup, parseBackup, planRestore } from "../lib/backup";
+import { downloadFile } from "../lib/csv";
+
+const MODE_HELP = {
+  merge:
+    "Products in the backup are added or overwrite the same ID. Everything else is kept.",
+  replace:
+    "The workspace is made to match the backup exactly. Products not in the backup are deleted.",
+};
+
+const ReportRow = ({ label, items, tone }) => (
+  <div className="flex items-center justify-between px-4 py-2">
+    <span className="text-slate-600">{label}</span>
+    <span className={`font-mono font-medium ${tone}`}>{items.length}</span>
+  </div>
+);
+
+const BackupDialog = ({ products, settings, onRestore, onClose }) => {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [mode, setMode] = useState("merge");
+  const [dryRun, setDryRun] = useState(true);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+  const [running, setRunning] = useState(false);
+
+  const handleDownload = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `product-research-backup-${date}.json`,
+      JSON.stringify(createBackup({ products, settings }), null, 2),
+      "application/json"
+    );
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError("");
+    setReport(null);
+
+    try {
+      setBackup(parseBackup(await file.text()));
+      setFileName(file.name);
+    } catch (err) {
+      setBackup(null);
+      setError(err.message);
+    }
+  };
+
+  const handleRun = async () => {
+    const plan = planRestore({ backup, products, mode });
+    setError("");
+
+    if (dryRun) {
+      setReport({ plan, applied: false });
+      return;
+    }
+
+    if (
+      mode === "replace" &&
+      plan.remove.length > 0 &&
+      !window.confirm(
+        `Replace will permanently delete ${plan.remove.length} product(s) not in the backup. Continue?`
+      )
+    ) {
+      return;
+    }
+
+    setRunning(true);
+    try {
+      await onRestore({ plan, backup, mode });
+      setReport({ plan, applied: true });
+    } catch (err) {
+      setError(`Restore failed: ${err.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-900/20 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg bg-white rounded-xl shadow-2xl border border-slate-200 flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <div className="flex items-center gap-2 font-semibold text-slate-900">
+            <DatabaseBackup size={16} /> Backup & Restore
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-6 space-y-8 text-sm">
+          <div className="space-y-3">
+            <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+              <Download size={16} /> Backup
+            </div>
+            <p className="text-xs text-slate-500">
+              Downloads every product ({products.length}) and the workspace
+              settings as a versioned JSON file.
+            </p>
+            <button
+              onClick={handleDownload}
+              className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-1.5 rounded-md text-sm font-medium transition-all"
+            >
+              <Download size={16} /> Download Backup
+            </button>
+          </div>
+
+          {/* Restoring is left out for read-only members. */}
+          {onRestore && (
+            <div className="space-y-3">
+              <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+                <Upload size={16} /> Restore
+              </div>
+
+              <label className="flex items-center gap-3 border border-dashed border-slate-200 rounded-lg px-4 py-3 cursor-pointer hover:bg-slate-50 transition-colors">
+                <Upload size={16} className="text-slate-400" />
+                <span className="text-slate-600 truncate">
+                  {fileName || "Choose a backup file (.json)"}
+                </span>
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleFile}
+                  className="hidden"
+                />
+              </label>
+
+              {error && (
+                <div className="bg-rose-50 border border-rose-200 text-rose-700 px-4 py-3 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+
+              {backup && (
+                <>
+                  <div className="text-xs text-slate-500">
+                    Backup v{backup.version} from{" "}
+                    {backup.exportedAt
+                      ? new Date(backup.exportedAt).toLocaleString()
+                      : "unknown date"}{" "}
+                    • {backup.products.length} products
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {["merge", "replace"].map((m) => (
+                      <button
+                        key={m}
+                        onClick={() => {
+                          setMode(m);
+                          setReport(null);
+                        }}
+                        className={`py-2 px-4 rounded-md text-sm font-medium border capitalize transition-all ${
+                          mode === m
+                            ? "bg-slate-900 text-white border-slate-900"
+                            : "bg-white text-slate-600 border-slate-200 hover:bg-slate-50"
+                        }`}
+                      >
+                        {m}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-slate-500">{MODE_HELP[mode]}</p>
+                  <label className="flex items-center gap-2 text-slate-600">
+                    <input
+                      type="checkbox"
+                      checked={dryRun}
+                      onChange={(e) => {
+                        setDryRun(e.target.checked);
+                        setReport(null);
+                      }}
+                    />
+                    Dry run (report only, nothing is written)
+                  </label>
+                  <button
+                    onClick={handleRun}
+                    disabled={running}
+                    className={`w-full py-2 rounded-md text-sm font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                      dryRun
+                        ? "bg-slate-100 hover:bg-slate-200 text-slate-700"
+                        : "bg-rose-600 hover:bg-rose-700 text-white"
+                    }`}
+                  >
+                    {running
+                      ? "Restoring..."
+                      : dryRun
+                      ? "Run Dry Run"
+                      : `Restore (${mode})`}
+                  </button>
+                </>
+              )}
+
+              {report && (
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2 text-xs font-semibold uppercase text-slate-500">
+                    {report.applied ? (
+                      <CheckCircle2 size={14} className="text-emerald-500" />
+                    ) : (
+                      <AlertCircle size={14} className="text-slate-400" />
+                    )}
+                    {report.applied ? "Restore complete" : "Dry run report"}
+                  </div>
+                  <div className="border border-slate-100 rounded-lg divide-y divide-slate-50">
+                    <ReportRow
+                      label={report.applied ? "Created" : "Would create"}
+                      items={report.plan.create}
+                      tone="text-emerald-600"
+                    />
+                    <ReportRow
+                      label={report.applied ? "Overwritten" : "Would overwrite"}
+                      items={report.plan.overwrite}
+                      tone="text-amber-600"
+                    />
+                    {mode === "replace" && (
+                      <ReportRow
+                        label={report.applied ? "Deleted" : "Would delete"}
+                        items={report.plan.remove}
+                        tone="text-rose-600"
+                      />
+                    )}
+                    <ReportRow
+                      label="Skipped"
+                      items={report.plan.skip}
+                      tone="text-slate-500"
+                    />
+                  </div>
+                  {report.plan.skip.length > 0 && (
+                    <div className="text-xs text-slate-500 space-y-0.5 max-h-32 overflow-y-auto">
+                      {report.plan.skip.map((item) => (
+                        <div key={item.index}>
+                          #{item.index + 1} {item.name || "Untitled Product"} —{" "}
+                          {item.reason}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupDialog;
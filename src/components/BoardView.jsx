@@ -0,0 +1,158 @@
+import React, { useState } from "react";
+import {
+  calculateUnitEconomics,
+  getRoasTone,
+  ROAS_TONE_CLASSES,
+} from "../lib/economics";
+import { formatCurrency } from "../lib/format";
+import { sortStatuses } from "../lib/statuses";
+import StatusBadge from "./StatusBadge";
+
+const BoardCard = ({
+  product,
+  economicsDefaults,
+  roasThresholds,
+  isSelected,
+  onSelect,
+  draggable,
+}) => {
+  const economics = calculateUnitEconomics(product, economicsDefaults);
+  const roas = economics ? economics.breakEvenRoas : null;
+
+  return (
+    <div
+      draggable={draggable}
+      onDragStart={(e) => {
+        e.dataTransfer.setData("text/plain", product.id);
+        e.dataTransfer.effectAllowed = "move";
+      }}
+      onClick={() => onSelect(product.id)}
+      className={`bg-white rounded-lg border p-3 space-y-2 cursor-pointer shadow-sm hover:shadow transition-all active:cursor-grabbing ${
+        isSelected ? "border-slate-900" : "border-slate-200"
+      }`}
+    >
+      <div className="text-sm font-medium text-slate-900 truncate">
+        {product.name || (
+          <span className="text-slate-400 italic">Untitled Product</span>
+        )}
+      </div>
+      <div className="flex items-center justify-between text-xs">
+        <span className="font-mono text-slate-600">
+          {economics ? formatCurrency(economics.contributionMargin) : "-"}
+        </span>
+        {roas !== null ? (
+          <span
+            className={`font-mono font-medium ${
+              ROAS_TONE_CLASSES[getRoasTone(roas, roasThresholds)]
+            }`}
+          >
+            {roas <= 0 ? "Loss" : `${roas.toFixed(2)}x`}
+          </span>
+        ) : (
+          <span className="text-slate-300">--</span>
+        )}
+      </div>
+      <div
+        className={`flex items-center gap-1.5 text-[10px] uppercase font-bold tracking-wider ${
+          product.hasContent ? "text-indigo-600" : "text-slate-400"
+        }`}
+      >
+        <div
+          className={`w-1.5 h-1.5 rounded-full ${
+            product.hasContent ? "bg-indigo-500" : "bg-slate-300"
+          }`}
+        />
+        {product.hasContent ? "Content Ready" : "No Content"}
+      </div>
+    </div>
+  );
+};
+
+const BoardView = ({
+  products,
+  statuses,
+  economicsDefaults,
+  roasThresholds,
+  selectedId,
+  onSelect,
+  onStatusChange,
+  readOnly,
+}) => {
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Products can carry a status that is no longer configured; they get a
+  // read-only column so they don't vanish from the board. Viewers get a
+  // board without any drag and drop.
+  const columns = sortStatuses(statuses).map((s) => ({
+    name: s.name,
+    droppable: !readOnly,
+  }));
+  products.forEach((p) => {
+    if (!columns.some((c) => c.name === p.status)) {
+      columns.push({ name: p.status, droppable: false });
+    }
+  });
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const id = e.dataTransfer.getData("text/plain");
+    const product = products.find((p) => p.id === id);
+    if (product && product.status !== status) {
+      onStatusChange(id, status);
+    }
+  };
+
+  return (
+    <div className="flex gap-4 p-6 h-full overflow-x-auto items-start">
+      {columns.map(({ name: status, droppable }) => {
+        const columnProducts = products.filter((p) => p.status === status);
+
+        return (
+          <div
+            key={status || "none"}
+            onDragOver={(e) => {
+              if (!droppable) return;
+              e.preventDefault();
+              e.dataTransfer.dropEffect = "move";
+              setDropTarget(status);
+            }}
+            onDragLeave={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) {
+                setDropTarget(null);
+              }
+            }}
+            onDrop={(e) => handleDrop(e, status)}
+            className={`w-72 shrink-0 flex flex-col max-h-full rounded-xl border transition-colors ${
+              dropTarget === status
+                ? "bg-slate-100 border-slate-300"
+                : "bg-slate-50 border-slate-100"
+            }`}
+          >
+            <div className="flex items-center justify-between px-3 py-2.5">
+              <StatusBadge status={status} statuses={statuses} />
+              <span className="text-xs font-medium text-slate-400">
+                {columnProducts.length}
+              </span>
+            </div>
+            <div className="flex-1 overflow-y-auto px-3 pb-3 space-y-2 min-h-[80px]">
+              {columnProducts.map((product) => (
+                <BoardCard
+                  key={product.id}
+                  product={product}
+                  economicsDefaults={economicsDefaults}
+                  roasThresholds={roasThresholds}
+                  isSelected={selectedId === product.id}
+                  onSelect={onSelect}
+                  draggable={!readOnly}
+                />
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BoardView;
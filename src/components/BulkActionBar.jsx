@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import {
+  CheckSquare,
+  Download,
+  Tag,
+  Trash2,
+  X,
+  ArrowRight,
+} from "lucide-react";
+import { sortStatuses } from "../lib/statuses";
+import { suggestTags } from "../lib/tags";
+import Popover from "./Popover";
+import StatusBadge from "./StatusBadge";
+
+// Toolbar shown while table rows are checked. Actions report back through
+// `result` ({ message, failed }) once their writes have finished; the bar
+// stays up with just the summary after e.g. deleting the whole selection.
+const BulkActionBar = ({
+  count,
+  statuses,
+  knownTags,
+  busy,
+  result,
+  readOnly,
+  onStatus,
+  onTag,
+  onExport,
+  onDelete,
+  onClear,
+}) => {
+  const [tag, setTag] = useState("");
+  const suggestions = suggestTags(knownTags, tag, [], 6);
+
+  return (
+    <div className="flex items-center gap-2 px-8 py-2 bg-slate-900 text-white text-xs">
+      <CheckSquare size={14} />
+      <span className="font-medium">{count} selected</span>
+
+      <fieldset
+        disabled={busy}
+        className={`flex items-center gap-2 ml-4 min-w-0 ${
+          count === 0 ? "hidden" : ""
+        }`}
+      >
+        {!readOnly && (
+          <Popover
+            label={
+              <>
+                <ArrowRight size={14} /> Status
+              </>
+            }
+            title="Move the selection to a status"
+          >
+            {(close) =>
+              sortStatuses(statuses).map((status) => (
+                <button
+                  key={status.id}
+                  onClick={() => {
+                    close();
+                    onStatus(status.name);
+                  }}
+                  className="w-full px-3 py-1.5 text-left hover:bg-slate-50"
+                >
+                  <StatusBadge status={status.name} statuses={statuses} />
+                </button>
+              ))
+            }
+          </Popover>
+        )}
+
+        {!readOnly && (
+          <Popover
+            label={
+              <>
+                <Tag size={14} /> Tags
+              </>
+            }
+            title="Add or remove a tag on the selection"
+          >
+            {(close) => (
+              <div className="px-3 space-y-2">
+                <input
+                  type="text"
+                  value={tag}
+                  onChange={(e) => setTag(e.target.value)}
+                  placeholder="Tag name"
+                  autoFocus
+                  className="w-full bg-white border border-slate-200 rounded px-2 py-1 text-sm text-slate-800 outline-none focus:border-slate-400"
+                />
+                {suggestions.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {suggestions.map((s) => (
+                      <button
+                        key={s.tag}
+                        onClick={() => setTag(s.tag)}
+                        className="px-1.5 py-0.5 rounded bg-slate-100 hover:bg-slate-200 text-[11px] text-slate-600"
+                      >
+                        #{s.tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="flex gap-2">
+                  <button
+                    disabled={!tag.trim()}
+                    onClick={() => {
+                      close();
+                      onTag(tag, "add");
+                      setTag("");
+                    }}
+                    className="flex-1 bg-slate-900 hover:bg-slate-800 text-white px-2 py-1 rounded text-xs font-medium disabled:opacity-50"
+                  >
+                    Add
+                  </button>
+                  <button
+                    disabled={!tag.trim()}
+                    onClick={() => {
+                      close();
+                      onTag(tag, "remove");
+                      setTag("");
+                    }}
+                    className="flex-1 bg-slate-100 hover:bg-slate-200 text-slate-700 px-2 py-1 rounded text-xs font-medium disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            )}
+          </Popover>
+        )}
+
+        <button
+          onClick={onExport}
+          className="flex items-center gap-1.5 px-3 py-1 rounded-md font-medium bg-slate-100 hover:bg-slate-200 text-slate-700 transition-all"
+          title="Export the selection to CSV"
+        >
+          <Download size={14} /> Export
+        </button>
+
+        {!readOnly && (
+          <button
+            onClick={onDelete}
+            className="flex items-center gap-1.5 px-3 py-1 rounded-md font-medium bg-rose-600 hover:bg-rose-500 text-white transition-all"
+          >
+            <Trash2 size={14} /> Delete
+          </button>
+        )}
+      </fieldset>
+
+      <span
+        className={`ml-4 truncate ${
+          result?.failed ? "text-rose-300" : "text-slate-300"
+        }`}
+      >
+        {busy ? "Working..." : result?.message}
+      </span>
+
+      <button
+        onClick={onClear}
+        className="ml-auto flex items-center gap-1 text-slate-300 hover:text-white"
+      >
+        Clear <X size={12} />
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
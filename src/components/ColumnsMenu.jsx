@@ -0,0 +1,88 @@
+import React from "react";
+import { Columns3, ArrowUp, ArrowDown } from "lucide-react";
+import { TABLE_COLUMNS, DEFAULT_COLUMNS } from "../lib/columns";
+import Popover from "./Popover";
+
+const ColumnsMenu = ({ columnIds, onChange }) => {
+  const hidden = TABLE_COLUMNS.filter((c) => !columnIds.includes(c.id));
+
+  const move = (idx, delta) => {
+    const next = [...columnIds];
+    const [item] = next.splice(idx, 1);
+    next.splice(idx + delta, 0, item);
+    onChange(next);
+  };
+
+  return (
+    <Popover
+      label={
+        <>
+          <Columns3 size={14} /> Columns
+        </>
+      }
+      title="Show, hide and reorder columns"
+    >
+      <div className="max-h-96 overflow-y-auto">
+        {columnIds.map((id, idx) => {
+          const column = TABLE_COLUMNS.find((c) => c.id === id);
+          if (!column) return null;
+          return (
+            <div
+              key={id}
+              className="flex items-center gap-2 px-3 py-1 hover:bg-slate-50"
+            >
+              <input
+                type="checkbox"
+                checked
+                disabled={columnIds.length === 1}
+                onChange={() => onChange(columnIds.filter((c) => c !== id))}
+              />
+              <span className="flex-1 text-slate-700">{column.label}</span>
+              <button
+                onClick={() => move(idx, -1)}
+                disabled={idx === 0}
+                className="text-slate-400 hover:text-slate-700 disabled:opacity-30"
+              >
+                <ArrowUp size={12} />
+              </button>
+              <button
+                onClick={() => move(idx, 1)}
+                disabled={idx === columnIds.length - 1}
+                className="text-slate-400 hover:text-slate-700 disabled:opacity-30"
+              >
+                <ArrowDown size={12} />
+              </button>
+            </div>
+          );
+        })}
+        {hidden.length > 0 && (
+          <div className="border-t border-slate-100 mt-1 pt-1">
+            {hidden.map((column) => (
+              <label
+                key={column.id}
+                className="flex items-center gap-2 px-3 py-1 hover:bg-slate-50 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={false}
+                  onChange={() => onChange([...columnIds, column.id])}
+                />
+                <span className="flex-1 text-slate-500">{column.label}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="border-t border-slate-100 mt-1 pt-2 px-3">
+        <button
+          onClick={() => onChange(DEFAULT_COLUMNS)}
+          className="text-xs text-indigo-600 font-semibold hover:underline"
+        >
+          Reset to default
+        </button>
+      </div>
+    </Popover>
+  );
+};
+
+export default ColumnsMenu;
@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import { TrendingUp, Trash2, GripVertical } from "lucide-react";
+import CompetitorTrends from "./CompetitorTrends";
+
+const inputClass =
+  "w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400";
+
+const Field = ({ label, children }) => (
+  <div className="space-y-1">
+    <label className="text-[10px] uppercase text-slate-400 font-bold">
+      {label}
+    </label>
+    {children}
+  </div>
+);
+
+// Competitor cards for the inspector. Cards are reordered by dragging the
+// grip; only the grip arms dragging so text in the inputs stays selectable.
+const CompetitorList = ({ competitors, onAdd, onUpdate, onRemove, onMove }) => {
+  const [armedId, setArmedId] = useState(null);
+  const [draggingId, setDraggingId] = useState(null);
+  const [overId, setOverId] = useState(null);
+
+  const handleDrop = (e, targetId) => {
+    e.preventDefault();
+    if (draggingId && draggingId !== targetId) onMove(draggingId, targetId);
+    setDraggingId(null);
+    setOverId(null);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between border-b border-slate-100 pb-1">
+        <div className="flex items-center gap-2 font-medium text-slate-800">
+          <TrendingUp size={16} /> Competitor Intelligence
+          <span className="text-xs font-normal text-slate-400">
+            {competitors.length}
+          </span>
+        </div>
+        <button
+          onClick={onAdd}
+          className="text-xs text-indigo-600 font-semibold hover:underline"
+        >
+          + Add Competitor
+        </button>
+      </div>
+
+      {competitors.length === 0 && (
+        <p className="text-xs text-slate-400">No competitors tracked yet.</p>
+      )}
+
+      {competitors.map((comp, idx) => (
+        <div
+          key={comp.id}
+          draggable={armedId === comp.id}
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = "move";
+            e.dataTransfer.setData("text/plain", comp.id);
+            setDraggingId(comp.id);
+          }}
+          onDragEnd={() => {
+            setArmedId(null);
+            setDraggingId(null);
+            setOverId(null);
+          }}
+          onDragOver={(e) => {
+            if (!draggingId) return;
+            e.preventDefault();
+            setOverId(comp.id);
+          }}
+          onDrop={(e) => handleDrop(e, comp.id)}
+          className={`p-4 bg-slate-50 rounded-lg border space-y-3 transition-colors ${
+            overId === comp.id && draggingId !== comp.id
+              ? "border-slate-400"
+              : "border-slate-100"
+          } ${draggingId === comp.id ? "opacity-50" : ""}`}
+        >
+          <div className="flex items-center justify-between gap-2">
+            <button
+              onMouseDown={() => setArmedId(comp.id)}
+              onMouseUp={() => setArmedId(null)}
+              className="text-slate-300 hover:text-slate-500 cursor-grab active:cursor-grabbing"
+              title="Drag to reorder"
+            >
+              <GripVertical size={14} />
+            </button>
+            <input
+              type="text"
+              placeholder={`Competitor ${idx + 1} Brand`}
+              value={comp.brand}
+              onChange={(e) => onUpdate(comp.id, "brand", e.target.value)}
+              className="flex-1 bg-transparent border-b border-slate-200 pb-1 font-semibold text-sm outline-none focus:border-slate-400"
+            />
+            <button
+              onClick={() => onRemove(comp.id)}
+              className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors"
+              title="Remove Competitor"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="Ad Library">
+              <input
+                type="text"
+                placeholder="URL"
+                value={comp.adLink}
+                onChange={(e) => onUpdate(comp.id, "adLink", e.target.value)}
+                className={`${inputClass} text-blue-600`}
+              />
+            </Field>
+            <Field label="Store URL">
+              <input
+                type="text"
+                placeholder="URL"
+                value={comp.storeLink}
+                onChange={(e) => onUpdate(comp.id, "storeLink", e.target.value)}
+                className={`${inputClass} text-blue-600`}
+              />
+            </Field>
+          </div>
+          <div className="grid grid-cols-2 gap-3 pt-1">
+            <Field label="Active Ads">
+              <input
+                type="number"
+                placeholder="Count"
+                value={comp.adsCount}
+                onChange={(e) => onUpdate(comp.id, "adsCount", e.target.value)}
+                className={inputClass}
+              />
+            </Field>
+            <Field label="SimilarWeb Traffic">
+              <input
+                type="text"
+                placeholder="e.g. 50k"
+                value={comp.traffic}
+                onChange={(e) => onUpdate(comp.id, "traffic", e.target.value)}
+                className={inputClass}
+              />
+            </Field>
+            <Field label="Price Point ($)">
+              <input
+                type="number"
+                placeholder="0.00"
+                value={comp.pricePoint}
+                onChange={(e) =>
+                  onUpdate(comp.id, "pricePoint", e.target.value)
+                }
+                className={`${inputClass} font-mono`}
+              />
+            </Field>
+            <Field label="First Seen">
+              <input
+                type="date"
+                value={comp.firstSeen}
+                onChange={(e) => onUpdate(comp.id, "firstSeen", e.target.value)}
+                className={inputClass}
+              />
+            </Field>
+          </div>
+          <CompetitorTrends
+            competitor={comp}
+            onChange={(snapshots) => onUpdate(comp.id, "snapshots", snapshots)}
+          />
+          <Field label="Notes">
+            <textarea
+              placeholder="Angles, offers, creatives worth noting..."
+              value={comp.notes}
+              onChange={(e) => onUpdate(comp.id, "notes", e.target.value)}
+              rows={2}
+              className={`${inputClass} resize-none`}
+            />
+          </Field>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CompetitorList;
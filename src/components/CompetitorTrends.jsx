@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import { Camera, Trash2 } from "lucide-react";
+import {
+  getSnapshots,
+  getMetricSeries,
+  getLatestDelta,
+  logSnapshot,
+  removeSnapshot,
+  todayIso,
+} from "../lib/competitorMetrics";
+import { formatCompactNumber, formatPercent } from "../lib/format";
+import Sparkline from "./Sparkline";
+
+const METRICS = [
+  { key: "adsCount", label: "Active Ads" },
+  { key: "traffic", label: "Traffic" },
+];
+
+const Delta = ({ delta }) => {
+  if (!delta) return <span className="text-slate-300">—</span>;
+  if (delta.delta === 0) return <span className="text-slate-400">±0</span>;
+  const up = delta.delta > 0;
+  return (
+    <span className={up ? "text-emerald-600" : "text-rose-600"}>
+      {up ? "▲" : "▼"} {formatCompactNumber(Math.abs(delta.delta))}
+      {delta.percent !== null && ` (${formatPercent(Math.abs(delta.percent))})`}
+    </span>
+  );
+};
+
+// Dated ads/traffic readings for one competitor: sparkline and change since
+// the previous reading per metric, plus the log itself.
+const CompetitorTrends = ({ competitor, onChange }) => {
+  const [date, setDate] = useState(todayIso);
+  const [showLog, setShowLog] = useState(false);
+  const snapshots = getSnapshots(competitor);
+
+  return (
+    <div className="space-y-2 pt-1">
+      <div className="grid grid-cols-2 gap-3">
+        {METRICS.map((metric) => {
+          const series = getMetricSeries(competitor, metric.key);
+          const latest = series[series.length - 1];
+          return (
+            <div
+              key={metric.key}
+              className="bg-white border border-slate-200 rounded px-2 py-1.5 space-y-1"
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-[10px] uppercase text-slate-400 font-bold">
+                  {metric.label} Trend
+                </span>
+                <span className="text-xs font-mono text-slate-700">
+                  {latest ? formatCompactNumber(latest.value) : "-"}
+                </span>
+              </div>
+              <div className="flex items-center justify-between gap-2">
+                <Sparkline
+                  values={series.map((p) => p.value)}
+                  className="text-slate-500"
+                />
+                <span className="text-[10px] font-mono whitespace-nowrap">
+                  <Delta delta={getLatestDelta(series)} />
+                </span>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="bg-white px-2 py-1 border border-slate-200 rounded text-xs outline-none focus:border-slate-400"
+        />
+        <button
+          onClick={() => date && onChange(logSnapshot(competitor, date))}
+          disabled={!date}
+          className="flex items-center gap-1 text-xs text-indigo-600 font-semibold hover:underline disabled:opacity-50"
+          title="Record the current Active Ads and Traffic values for this date"
+        >
+          <Camera size={12} /> Log snapshot
+        </button>
+        {snapshots.length > 0 && (
+          <button
+            onClick={() => setShowLog(!showLog)}
+            className="ml-auto text-xs text-slate-500 hover:text-slate-800"
+          >
+            {showLog ? "Hide" : "Show"} {snapshots.length}{" "}
+            {snapshots.length === 1 ? "reading" : "readings"}
+          </button>
+        )}
+      </div>
+
+      {showLog && (
+        <div className="border border-slate-200 rounded divide-y divide-slate-100 bg-white">
+          {[...snapshots].reverse().map((snapshot) => (
+            <div
+              key={snapshot.id}
+              className="flex items-center gap-3 px-2 py-1 text-xs"
+            >
+              <span className="text-slate-500 w-20">{snapshot.date}</span>
+              <span className="font-mono text-slate-700 flex-1">
+                {formatCompactNumber(snapshot.adsCount)} ads
+              </span>
+              <span className="font-mono text-slate-700 flex-1">
+                {formatCompactNumber(snapshot.traffic)} visits
+              </span>
+              <button
+                onClick={() =>
+                  onChange(removeSnapshot(competitor, snapshot.id))
+                }
+                className="p-1 text-slate-400 hover:text-rose-500 transition-colors"
+                title="Remove reading"
+              >
+                <Trash2 size={12} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompetitorTrends;
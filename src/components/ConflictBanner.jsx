@@ -0,0 +1,59 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+import { fieldLabel, formatFieldValue } from "../lib/revisions";
+
+// Fields where an edit made offline (or in flight) met a newer change from
+// someone else. The other change is what is stored; "Keep mine" writes the
+// local edit over it.
+const ConflictBanner = ({ conflicts, onKeepMine, onKeepTheirs }) => (
+  <div className="bg-rose-50 border border-rose-200 rounded-xl p-4 space-y-3">
+    <div className="flex items-center gap-2 text-sm font-medium text-rose-700">
+      <AlertTriangle size={16} /> Someone else changed this product while your
+      edits were waiting
+    </div>
+    {conflicts.map((conflict) => (
+      <div
+        key={conflict.field}
+        className="bg-white border border-rose-100 rounded-lg p-3 space-y-2 text-xs"
+      >
+        <div className="font-semibold text-slate-700">
+          {fieldLabel(conflict.field)}
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <div className="text-[10px] uppercase font-bold text-slate-400">
+              Theirs (saved)
+            </div>
+            <div className="text-slate-700 break-words line-clamp-3">
+              {formatFieldValue(conflict.theirs)}
+            </div>
+          </div>
+          <div>
+            <div className="text-[10px] uppercase font-bold text-slate-400">
+              Mine
+            </div>
+            <div className="text-slate-700 break-words line-clamp-3">
+              {formatFieldValue(conflict.mine)}
+            </div>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => onKeepMine(conflict)}
+            className="bg-slate-900 hover:bg-slate-800 text-white px-2 py-1 rounded text-xs font-medium"
+          >
+            Keep mine
+          </button>
+          <button
+            onClick={() => onKeepTheirs(conflict)}
+            className="bg-slate-100 hover:bg-slate-200 text-slate-700 px-2 py-1 rounded text-xs font-medium"
+          >
+            Keep theirs
+          </button>
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+export default ConflictBanner;
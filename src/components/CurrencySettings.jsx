@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { Coins, Trash2 } from "lucide-react";
+import {
+  BASE_CURRENCY,
+  getCurrencies,
+  normalizeCurrencyCode,
+} from "../lib/currency";
+
+// Reporting currency and the workspace's exchange-rate table. Rates are
+// typed in by hand and saved as they change.
+const CurrencySettings = ({ reportingCurrency, rates, onUpdate }) => {
+  const [newCode, setNewCode] = useState("");
+  const code = normalizeCurrencyCode(newCode);
+  const currencies = getCurrencies(rates);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!code || currencies.includes(code)) return;
+    onUpdate("exchangeRates", [...rates, { currency: code, rate: "" }]);
+    setNewCode("");
+  };
+
+  const handleRemove = (currency) => {
+    onUpdate(
+      "exchangeRates",
+      rates.filter((r) => r.currency !== currency)
+    );
+    if (reportingCurrency === currency) {
+      onUpdate("reportingCurrency", BASE_CURRENCY);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+        <Coins size={16} /> Currencies
+      </div>
+      <p className="text-xs text-slate-500">
+        Product costs and prices are in {BASE_CURRENCY}. The product list shows
+        money in the reporting currency, and market prices are converted with
+        these rates.
+      </p>
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-1">
+          <label className="text-xs text-slate-500">Reporting Currency</label>
+          <select
+            value={reportingCurrency}
+            onChange={(e) => onUpdate("reportingCurrency", e.target.value)}
+            className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm outline-none focus:border-slate-400"
+          >
+            {currencies.map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="space-y-1.5">
+        <div className="text-[10px] uppercase font-bold text-slate-400">
+          Rate per 1 {BASE_CURRENCY}
+        </div>
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1.5">
+          {currencies
+            .filter((currency) => currency !== BASE_CURRENCY)
+            .map((currency) => (
+              <div key={currency} className="flex items-center gap-2">
+                <span className="w-10 text-xs font-semibold text-slate-600">
+                  {currency}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={rates.find((r) => r.currency === currency).rate}
+                  onChange={(e) =>
+                    onUpdate(
+                      "exchangeRates",
+                      rates.map((r) =>
+                        r.currency === currency
+                          ? { ...r, rate: e.target.value }
+                          : r
+                      )
+                    )
+                  }
+                  className="flex-1 min-w-0 bg-white border border-slate-200 rounded px-2 py-1 text-sm font-mono outline-none focus:border-slate-400"
+                  placeholder="Rate"
+                />
+                <button
+                  onClick={() => handleRemove(currency)}
+                  className="p-1 text-slate-400 hover:text-rose-500"
+                  title={`Remove ${currency}`}
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            ))}
+        </div>
+        <form onSubmit={handleAdd} className="flex gap-2 pt-1">
+          <input
+            type="text"
+            value={newCode}
+            onChange={(e) => setNewCode(e.target.value)}
+            placeholder="Currency code, e.g. JPY"
+            maxLength={3}
+            className="w-48 bg-white border border-slate-200 rounded px-2 py-1 text-xs outline-none focus:border-slate-400 uppercase"
+          />
+          <button
+            type="submit"
+            disabled={!code || currencies.includes(code)}
+            className="bg-slate-900 hover:bg-slate-800 text-white px-2 py-1 rounded text-xs font-medium disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CurrencySettings;
@@ -0,0 +1,395 @@
+import React, { useMemo, useState } from "react";
+import {
+  BarChart3,
+  Filter,
+  Percent,
+  Target,
+  CalendarDays,
+  Trophy,
+  LineChart,
+  Download,
+  X,
+} from "lucide-react";
+import {
+  buildPortfolioStats,
+  filterByCreatedAt,
+  daysAgoIso,
+} from "../lib/analytics";
+import { formatDuration } from "../lib/statusHistory";
+import { formatCurrency, formatPercent } from "../lib/format";
+import { STATUS_COLORS } from "../lib/statuses";
+import { projectPortfolio, projectionToCsv } from "../lib/projection";
+import { downloadFile } from "../lib/csv";
+import ProjectionTable from "./ProjectionTable";
+
+const RANGE_PRESETS = [
+  { label: "7d", days: 7 },
+  { label: "30d", days: 30 },
+  { label: "90d", days: 90 },
+];
+
+const Card = ({ icon, title, children, className = "" }) => (
+  <div
+    className={`bg-white border border-slate-200 rounded-xl p-5 space-y-4 ${className}`}
+  >
+    <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+      {icon} {title}
+    </div>
+    {children}
+  </div>
+);
+
+const Stat = ({ label, value, hint }) => (
+  <div className="bg-white border border-slate-200 rounded-xl px-5 py-4">
+    <div className="text-xs text-slate-500">{label}</div>
+    <div className="text-2xl font-bold font-mono tracking-tight text-slate-900">
+      {value}
+    </div>
+    {hint && <div className="text-[11px] text-slate-400 mt-0.5">{hint}</div>}
+  </div>
+);
+
+// Horizontal bars scaled to the largest count in the list.
+const BarList = ({ rows }) => {
+  const max = Math.max(1, ...rows.map((r) => r.count));
+  return (
+    <div className="space-y-2">
+      {rows.map((row) => (
+        <div key={row.label} className="flex items-center gap-3 text-xs">
+          <span className="w-24 shrink-0 text-slate-600 truncate">
+            {row.label}
+          </span>
+          <div className="flex-1 h-2 bg-slate-100 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full ${
+                row.barClass || "bg-slate-700"
+              }`}
+              style={{ width: `${(row.count / max) * 100}%` }}
+            />
+          </div>
+          <span className="w-16 shrink-0 text-right font-mono text-slate-700">
+            {row.count}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Portfolio overview. Uses the products the table currently shows (search
+// and filters included), narrowed further by the created date range. The
+// projection roll-up always covers every Approved product in `allProducts`.
+const Dashboard = ({
+  products,
+  allProducts,
+  statuses,
+  economicsDefaults,
+  onSelect,
+}) => {
+  const [range, setRange] = useState({ from: "", to: "" });
+
+  const stats = useMemo(
+    () =>
+      buildPortfolioStats(filterByCreatedAt(products, range), {
+        statuses,
+        economicsDefaults,
+      }),
+    [products, range, statuses, economicsDefaults]
+  );
+
+  const portfolio = useMemo(
+    () => projectPortfolio(allProducts, statuses, economicsDefaults),
+    [allProducts, statuses, economicsDefaults]
+  );
+
+  const handleExportProjection = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `portfolio-projection-${date}.csv`,
+      `\uFEFF${projectionToCsv(portfolio.weeks)}`
+    );
+  };
+
+  const maxWeekly = Math.max(1, ...stats.weekly.map((w) => w.count));
+  const hasRange = range.from || range.to;
+
+  return (
+    <div className="p-8 space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-2 text-sm text-slate-600">
+          <Filter size={14} /> Created
+        </div>
+        <input
+          type="date"
+          value={range.from}
+          max={range.to || undefined}
+          onChange={(e) => setRange({ ...range, from: e.target.value })}
+          className="bg-white border border-slate-200 rounded px-2 py-1 text-sm outline-none focus:border-slate-400"
+        />
+        <span className="text-xs text-slate-400">to</span>
+        <input
+          type="date"
+          value={range.to}
+          min={range.from || undefined}
+          onChange={(e) => setRange({ ...range, to: e.target.value })}
+          className="bg-white border border-slate-200 rounded px-2 py-1 text-sm outline-none focus:border-slate-400"
+        />
+        <div className="flex gap-1 bg-slate-100 p-1 rounded-md">
+          {RANGE_PRESETS.map((preset) => (
+            <button
+              key={preset.label}
+              onClick={() =>
+                setRange({ from: daysAgoIso(preset.days - 1), to: "" })
+              }
+              className="px-2 py-0.5 rounded text-xs font-medium text-slate-500 hover:text-slate-900 hover:bg-white transition-all"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        {hasRange && (
+          <button
+            onClick={() => setRange({ from: "", to: "" })}
+            className="flex items-center gap-1 text-xs text-slate-500 hover:text-slate-800"
+          >
+            All time <X size={12} />
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <Stat label="Products" value={stats.total} />
+        <Stat
+          label="Average Margin"
+          value={formatPercent(stats.averageMargin)}
+          hint="Products with price and COGs"
+        />
+        <Stat
+          label="Avg. Time to Decision"
+          value={
+            stats.decision.average === null
+              ? "-"
+              : formatDuration(stats.decision.average)
+          }
+          hint={`${stats.decision.decided} decided, ${stats.decision.undecided} open`}
+        />
+        <Stat
+          label="Added Per Week"
+          value={
+            stats.weekly.length
+              ? (
+                  stats.weekly.reduce((sum, w) => sum + w.count, 0) /
+                  stats.weekly.length
+                ).toFixed(1)
+              : "-"
+          }
+          hint={`Over ${stats.weekly.length} week${
+            stats.weekly.length === 1 ? "" : "s"
+          }`}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Card icon={<BarChart3 size={16} />} title="Products by Status">
+          <BarList
+            rows={stats.statusCounts.map((s) => ({
+              label: s.name,
+              count: s.count,
+              barClass: (STATUS_COLORS[s.color] || STATUS_COLORS.slate).dot,
+            }))}
+          />
+        </Card>
+
+        <Card icon={<Filter size={16} />} title="Pipeline Conversion">
+          <div className="space-y-2">
+            {stats.pipeline.map((stage) => (
+              <div key={stage.name} className="flex items-center gap-3 text-xs">
+                <span className="w-24 shrink-0 text-slate-600 truncate">
+                  {stage.name}
+                </span>
+                <div className="flex-1 h-2 bg-slate-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full rounded-full ${
+                      (STATUS_COLORS[stage.color] || STATUS_COLORS.slate).dot
+                    }`}
+                    style={{
+                      width: `${
+                        stats.total ? (stage.count / stats.total) * 100 : 0
+                      }%`,
+                    }}
+                  />
+                </div>
+                <span className="w-10 shrink-0 text-right font-mono text-slate-700">
+                  {stage.count}
+                </span>
+                <span className="w-14 shrink-0 text-right font-mono text-slate-400">
+                  {stage.rate === null ? "" : formatPercent(stage.rate)}
+                </span>
+              </div>
+            ))}
+          </div>
+          <p className="text-[11px] text-slate-400">
+            Products that reached each active stage, with the share of the
+            previous stage that got there.
+          </p>
+        </Card>
+
+        <Card icon={<Percent size={16} />} title="Margin Distribution">
+          <BarList
+            rows={stats.margins.map((b) => ({
+              label: b.label,
+              count: b.count,
+            }))}
+          />
+        </Card>
+
+        <Card icon={<Target size={16} />} title="Break-Even ROAS Distribution">
+          <BarList
+            rows={stats.roas.map((b) => ({ label: b.label, count: b.count }))}
+          />
+        </Card>
+
+        <Card icon={<CalendarDays size={16} />} title="Products Added Per Week">
+          {stats.weekly.length === 0 ? (
+            <p className="text-xs text-slate-400">No products in range.</p>
+          ) : (
+            <div className="flex items-end gap-1 h-32">
+              {stats.weekly.map((w) => (
+                <div
+                  key={w.week}
+                  className="flex-1 bg-slate-700 rounded-t min-h-[2px]"
+                  style={{ height: `${(w.count / maxWeekly) * 100}%` }}
+                  title={`Week of ${new Date(w.week).toLocaleDateString()}: ${
+                    w.count
+                  }`}
+                />
+              ))}
+            </div>
+          )}
+        </Card>
+
+        <Card icon={<Trophy size={16} />} title="Top Products by Margin">
+          {stats.topByMargin.length === 0 ? (
+            <p className="text-xs text-slate-400">
+              No products with price and COGs yet.
+            </p>
+          ) : (
+            <div className="divide-y divide-slate-100">
+              {stats.topByMargin.map(({ product, economics }) => (
+                <button
+                  key={product.id}
+                  onClick={() => onSelect(product.id)}
+                  className="w-full flex items-center justify-between gap-3 py-2 text-left text-sm hover:bg-slate-50 transition-colors"
+                >
+                  <span className="truncate text-slate-800">
+                    {product.name || (
+                      <span className="text-slate-400 italic">
+                        Untitled Product
+                      </span>
+                    )}
+                  </span>
+                  <span className="shrink-0 font-mono text-xs text-slate-500">
+                    {formatCurrency(economics.contributionMargin)}
+                    <span className="ml-2 text-emerald-600 font-medium">
+                      {formatPercent(economics.marginPercent)}
+                    </span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </Card>
+
+        <Card
+          icon={<LineChart size={16} />}
+          title={`Portfolio Projection${
+            portfolio.status ? ` (${portfolio.status.name})` : ""
+          }`}
+          className="lg:col-span-2"
+        >
+          {portfolio.products.length === 0 ? (
+            <p className="text-xs text-slate-400">
+              {portfolio.status
+                ? "Open an approved product and fill in its Projection to see the portfolio here."
+                : "The workspace has no Approved status to project."}
+            </p>
+          ) : (
+            <>
+              <div className="flex items-start justify-between gap-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-6 flex-1">
+                  {[
+                    ["Revenue", portfolio.totals.revenue],
+                    ["Profit", portfolio.totals.profit],
+                    ["Ad Spend", portfolio.totals.spend],
+                    ["Peak Cash Tied Up", portfolio.totals.peakCashTiedUp],
+                  ].map(([label, value]) => (
+                    <div key={label}>
+                      <div className="text-xs text-slate-500">{label}</div>
+                      <div className="text-lg font-bold font-mono text-slate-900">
+                        {formatCurrency(value)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  onClick={handleExportProjection}
+                  className="flex items-center gap-1 text-xs text-indigo-600 font-semibold hover:underline"
+                >
+                  <Download size={12} /> Export CSV
+                </button>
+              </div>
+
+              <div className="divide-y divide-slate-100">
+                {portfolio.products.map(({ product, projection }) => (
+                  <button
+                    key={product.id}
+                    onClick={() => onSelect(product.id)}
+                    className="w-full flex items-center justify-between gap-3 py-2 text-left text-sm hover:bg-slate-50 transition-colors"
+                  >
+                    <span className="truncate text-slate-800">
+                      {product.name || (
+                        <span className="text-slate-400 italic">
+                          Untitled Product
+                        </span>
+                      )}
+                      <span className="ml-2 text-xs text-slate-400">
+                        {projection.weeks.length} wk
+                      </span>
+                    </span>
+                    <span className="shrink-0 font-mono text-xs text-slate-500">
+                      {formatCurrency(projection.totals.revenue)}
+                      <span
+                        className={`ml-2 font-medium ${
+                          projection.totals.profit < 0
+                            ? "text-rose-600"
+                            : "text-emerald-600"
+                        }`}
+                      >
+                        {formatCurrency(projection.totals.profit)}
+                      </span>
+                      <span className="ml-2 text-amber-600">
+                        {formatCurrency(projection.totals.peakCashTiedUp)}
+                      </span>
+                    </span>
+                  </button>
+                ))}
+              </div>
+
+              <ProjectionTable weeks={portfolio.weeks} />
+            </>
+          )}
+          {portfolio.skipped.length > 0 && (
+            <p className="text-[11px] text-slate-400">
+              Missing projection inputs:{" "}
+              {portfolio.skipped
+                .map(({ product }) => product.name || "Untitled Product")
+                .join(", ")}
+            </p>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
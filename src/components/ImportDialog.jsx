@@ -0,0 +1,297 @@
+import React, { useState, useMemo } from "react";
+import { X, Upload, AlertCircle, CheckCircle2 } from "lucide-react";
+import { parseCsv } from "../lib/csv";
+import {
+  getCsvFields,
+  countSlots,
+  guessMapping,
+  buildImportPlan,
+} from "../lib/productCsv";
+
+const ImportDialog = ({ products, statuses, onImport, onClose }) => {
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState([]);
+  const [mode, setMode] = useState("create");
+  const [matchBy, setMatchBy] = useState("id");
+  const [step, setStep] = useState("upload");
+  const [error, setError] = useState("");
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const fields = useMemo(() => getCsvFields(countSlots(headers)), [headers]);
+
+  const plan = useMemo(
+    () =>
+      buildImportPlan({
+        rows,
+        mapping,
+        fields,
+        mode,
+        matchBy,
+        products,
+        statuses,
+      }),
+    [rows, mapping, fields, mode, matchBy, products, statuses]
+  );
+
+  const validOps = plan.filter((op) => op.errors.length === 0);
+  const invalidCount = plan.length - validOps.length;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError("");
+
+    try {
+      const parsed = parseCsv(await file.text());
+      if (parsed.length < 2) {
+        setError("The file needs a header row and at least one data row.");
+        return;
+      }
+      const [headerRow, ...dataRows] = parsed;
+      setFileName(file.name);
+      setHeaders(headerRow);
+      setRows(dataRows);
+      setMapping(guessMapping(headerRow, getCsvFields(countSlots(headerRow))));
+      setStep("map");
+    } catch (err) {
+      setError(`Could not read file: ${err.message}`);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError("");
+    try {
+      setResult(await onImport(validOps));
+      setStep("done");
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-900/20 flex items-center justify-center p-4">
+      <div className="w-full max-w-3xl bg-white rounded-xl shadow-2xl border border-slate-200 flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <div className="flex items-center gap-2 font-semibold text-slate-900">
+            <Upload size={16} /> Import Products from CSV
+            {fileName && (
+              <span className="text-xs font-normal text-slate-400">
+                {fileName}
+              </span>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-6 space-y-6 text-sm">
+          {error && (
+            <div className="bg-rose-50 border border-rose-200 text-rose-700 px-4 py-3 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          {step === "upload" && (
+            <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-slate-200 rounded-xl py-12 cursor-pointer hover:bg-slate-50 transition-colors">
+              <Upload size={24} className="text-slate-400" />
+              <span className="font-medium text-slate-700">
+                Choose a CSV file
+              </span>
+              <span className="text-xs text-slate-400">
+                The first row must contain column headers
+              </span>
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFile}
+                className="hidden"
+              />
+            </label>
+          )}
+
+          {step === "map" && (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-1.5">
+                  <label className="text-xs font-semibold uppercase text-slate-500">
+                    Mode
+                  </label>
+                  <select
+                    value={mode}
+                    onChange={(e) => setMode(e.target.value)}
+                    className="w-full bg-slate-50 border border-slate-200 rounded px-2 py-2 text-sm outline-none"
+                  >
+                    <option value="create">Create new products</option>
+                    <option value="update">Update existing products</option>
+                  </select>
+                </div>
+                {mode === "update" && (
+                  <div className="space-y-1.5">
+                    <label className="text-xs font-semibold uppercase text-slate-500">
+                      Match By
+                    </label>
+                    <select
+                      value={matchBy}
+                      onChange={(e) => setMatchBy(e.target.value)}
+                      className="w-full bg-slate-50 border border-slate-200 rounded px-2 py-2 text-sm outline-none"
+                    >
+                      <option value="id">ID</option>
+                      <option value="name">Product Name</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <div className="text-xs font-semibold uppercase text-slate-500">
+                  Column Mapping
+                </div>
+                <div className="border border-slate-100 rounded-lg divide-y divide-slate-50">
+                  {headers.map((header, col) => (
+                    <div
+                      key={col}
+                      className="flex items-center gap-4 px-4 py-2"
+                    >
+                      <div className="flex-1 min-w-0">
+                        <div className="font-medium text-slate-700 truncate">
+                          {header || `Column ${col + 1}`}
+                        </div>
+                        <div className="text-xs text-slate-400 truncate">
+                          e.g. {rows[0]?.[col] || "—"}
+                        </div>
+                      </div>
+                      <select
+                        value={mapping[col] || ""}
+                        onChange={(e) =>
+                          setMapping(
+                            mapping.map((key, i) =>
+                              i === col ? e.target.value : key
+                            )
+                          )
+                        }
+                        className="w-64 bg-slate-50 border border-slate-200 rounded px-2 py-1.5 text-sm outline-none"
+                      >
+                        <option value="">— Skip column —</option>
+                        {fields.map((f) => (
+                          <option key={f.key} value={f.key}>
+                            {f.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="text-xs font-semibold uppercase text-slate-500">
+                    Preview
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {validOps.length} ready
+                    {invalidCount > 0 && (
+                      <span className="text-rose-600">
+                        {" "}
+                        • {invalidCount} with errors (skipped)
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <div className="border border-slate-100 rounded-lg divide-y divide-slate-50 max-h-64 overflow-y-auto">
+                  {plan.map((op) => (
+                    <div
+                      key={op.rowNumber}
+                      className="flex items-start gap-3 px-4 py-2"
+                    >
+                      {op.errors.length ? (
+                        <AlertCircle
+                          size={14}
+                          className="text-rose-500 mt-0.5 shrink-0"
+                        />
+                      ) : (
+                        <CheckCircle2
+                          size={14}
+                          className="text-emerald-500 mt-0.5 shrink-0"
+                        />
+                      )}
+                      <div className="text-xs text-slate-400 w-14 shrink-0">
+                        Row {op.rowNumber}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <div className="text-slate-700 truncate">
+                          {op.name || (
+                            <span className="italic text-slate-400">
+                              Untitled Product
+                            </span>
+                          )}
+                        </div>
+                        {op.errors.map((err) => (
+                          <div key={err} className="text-xs text-rose-600">
+                            {err}
+                          </div>
+                        ))}
+                      </div>
+                      <div className="text-[10px] uppercase font-bold tracking-wider text-slate-400">
+                        {op.errors.length
+                          ? "Skip"
+                          : op.action === "create"
+                          ? "Create"
+                          : "Update"}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+
+          {step === "done" && result && (
+            <div className="flex flex-col items-center gap-2 py-8 text-center">
+              <CheckCircle2 size={32} className="text-emerald-500" />
+              <div className="font-medium text-slate-800">Import complete</div>
+              <div className="text-slate-500">
+                {result.created} created • {result.updated} updated
+                {invalidCount > 0 && ` • ${invalidCount} skipped`}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-100 flex justify-end gap-2">
+          {step === "map" && (
+            <button
+              onClick={handleImport}
+              disabled={importing || validOps.length === 0}
+              className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-1.5 rounded-md text-sm font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {importing
+                ? "Importing..."
+                : `Import ${validOps.length} Product${
+                    validOps.length === 1 ? "" : "s"
+                  }`}
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-1.5 rounded-md text-sm font-medium transition-all"
+          >
+            {step === "done" ? "Close" : "Cancel"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,212 @@
+import React from "react";
+import { Globe, Trash2 } from "lucide-react";
+import { COUNTRIES, findCountry } from "../lib/markets";
+import { BASE_CURRENCY, convert } from "../lib/currency";
+import { getRoasTone, ROAS_TONE_CLASSES } from "../lib/economics";
+import { formatCurrency, formatPercent } from "../lib/format";
+
+const inputClass =
+  "w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400";
+
+const Field = ({ label, children }) => (
+  <div className="space-y-1">
+    <label className="text-[10px] uppercase text-slate-400 font-bold">
+      {label}
+    </label>
+    {children}
+  </div>
+);
+
+const Stat = ({ label, children }) => (
+  <div>
+    <div className="text-[10px] uppercase text-slate-400 font-bold">
+      {label}
+    </div>
+    <div className="text-xs font-mono text-slate-700">{children}</div>
+  </div>
+);
+
+// Target markets for the inspector, each with its own shelf price, currency,
+// VAT and shipping and the margin that leaves. `results` holds the
+// marketEconomics() of each market, in the same order.
+const MarketList = ({
+  markets,
+  results,
+  currencies,
+  reportingCurrency,
+  rates,
+  roasThresholds,
+  onAdd,
+  onUpdate,
+  onRemove,
+}) => {
+  const inReporting = (usd) =>
+    formatCurrency(
+      convert(usd, BASE_CURRENCY, reportingCurrency, rates),
+      reportingCurrency
+    );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between border-b border-slate-100 pb-1">
+        <div className="flex items-center gap-2 font-medium text-slate-800">
+          <Globe size={16} /> Target Markets
+          <span className="text-xs font-normal text-slate-400">
+            {markets.length}
+          </span>
+        </div>
+        <button
+          onClick={onAdd}
+          className="text-xs text-indigo-600 font-semibold hover:underline"
+        >
+          + Add Market
+        </button>
+      </div>
+
+      {markets.length === 0 && (
+        <p className="text-xs text-slate-400">No target markets yet.</p>
+      )}
+
+      <datalist id="market-countries">
+        {COUNTRIES.map((c) => (
+          <option key={c.code} value={c.code}>
+            {c.name}
+          </option>
+        ))}
+      </datalist>
+
+      {markets.map((market, idx) => {
+        const result = results[idx];
+        const country = findCountry(market.country);
+        return (
+          <div
+            key={market.id}
+            className="p-4 bg-slate-50 rounded-lg border border-slate-100 space-y-3"
+          >
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                list="market-countries"
+                placeholder="Country"
+                value={market.country}
+                onChange={(e) => onUpdate(market.id, "country", e.target.value)}
+                className="w-24 bg-transparent border-b border-slate-200 pb-1 font-semibold text-sm outline-none focus:border-slate-400"
+                title={country ? country.name : undefined}
+              />
+              <input
+                type="text"
+                placeholder="Audience, e.g. 25-40 Females"
+                value={market.audience}
+                onChange={(e) =>
+                  onUpdate(market.id, "audience", e.target.value)
+                }
+                className="flex-1 min-w-0 bg-transparent border-b border-slate-200 pb-1 text-sm outline-none focus:border-slate-400"
+              />
+              <button
+                onClick={() => onRemove(market.id)}
+                className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors"
+                title="Remove Market"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <div className="grid grid-cols-4 gap-2">
+              <Field label="Price">
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Product"
+                  value={market.price}
+                  onChange={(e) => onUpdate(market.id, "price", e.target.value)}
+                  className={`${inputClass} font-mono`}
+                />
+              </Field>
+              <Field label="Currency">
+                <select
+                  value={market.currency}
+                  onChange={(e) =>
+                    onUpdate(market.id, "currency", e.target.value)
+                  }
+                  className={inputClass}
+                >
+                  {!currencies.includes(market.currency) && (
+                    <option value={market.currency}>{market.currency}</option>
+                  )}
+                  {currencies.map((code) => (
+                    <option key={code} value={code}>
+                      {code}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="VAT / GST %">
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="0"
+                  value={market.vatRate}
+                  onChange={(e) =>
+                    onUpdate(market.id, "vatRate", e.target.value)
+                  }
+                  className={`${inputClass} font-mono`}
+                />
+              </Field>
+              <Field label="Shipping">
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Product"
+                  value={market.shippingCost}
+                  onChange={(e) =>
+                    onUpdate(market.id, "shippingCost", e.target.value)
+                  }
+                  className={`${inputClass} font-mono`}
+                />
+              </Field>
+            </div>
+            {result ? (
+              <div className="grid grid-cols-4 gap-2 pt-2 border-t border-slate-200/50">
+                <Stat label="Net Price">
+                  {formatCurrency(result.localNetPrice, result.currency)}
+                </Stat>
+                <Stat label="Margin">
+                  {formatCurrency(result.localMargin, result.currency)}
+                  {result.currency !== reportingCurrency && (
+                    <div className="text-[10px] text-slate-400">
+                      {inReporting(result.contributionMargin)}
+                    </div>
+                  )}
+                </Stat>
+                <Stat label="Margin %">
+                  {formatPercent(result.marginPercent)}
+                </Stat>
+                <Stat label="B/E ROAS">
+                  <span
+                    className={`font-medium ${
+                      ROAS_TONE_CLASSES[
+                        getRoasTone(result.breakEvenRoas, roasThresholds)
+                      ]
+                    }`}
+                  >
+                    {result.breakEvenRoas > 0
+                      ? `${result.breakEvenRoas.toFixed(2)}x`
+                      : "Loss"}
+                  </span>
+                </Stat>
+              </div>
+            ) : (
+              <p className="text-[11px] text-slate-400">
+                {market.currency !== BASE_CURRENCY &&
+                convert(1, market.currency, BASE_CURRENCY, rates) === null
+                  ? `Add a ${market.currency} rate in Workspace Settings to see this market's margin.`
+                  : "Add COGs and a price to see this market's margin."}
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MarketList;
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { Plus, ChevronDown, FileText, Trash2 } from "lucide-react";
+import { sortTemplates } from "../lib/templates";
+
+// "New Product" with a picker for starting from a saved template.
+const NewProductMenu = ({ templates, onCreate, onDeleteTemplate }) => {
+  const [open, setOpen] = useState(false);
+  const sorted = sortTemplates(templates);
+
+  const create = (template) => {
+    onCreate(template);
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative flex">
+      <button
+        onClick={() => onCreate(null)}
+        className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white pl-4 pr-3 py-1.5 rounded-l-md text-sm font-medium transition-all shadow-sm active:scale-95"
+      >
+        <Plus size={16} /> New Product
+      </button>
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center bg-slate-900 hover:bg-slate-800 text-white px-2 py-1.5 rounded-r-md border-l border-slate-700 transition-all shadow-sm"
+        title="New product from a template"
+      >
+        <ChevronDown size={14} />
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-20" onClick={() => setOpen(false)} />
+          <div className="absolute top-full right-0 mt-1 w-72 bg-white border border-slate-200 rounded-lg shadow-xl z-30 py-2 text-sm">
+            <button
+              onClick={() => create(null)}
+              className="w-full flex items-center gap-2 px-3 py-1.5 text-left text-slate-700 hover:bg-slate-50"
+            >
+              <Plus size={14} /> Blank product
+            </button>
+            <div className="border-t border-slate-100 mt-1 pt-1">
+              <div className="px-3 py-1 text-[10px] font-bold uppercase tracking-wider text-slate-400">
+                Templates
+              </div>
+              {sorted.length === 0 ? (
+                <div className="px-3 py-2 text-xs text-slate-400 italic">
+                  No templates yet. Save one from a product's inspector.
+                </div>
+              ) : (
+                <div className="max-h-64 overflow-y-auto">
+                  {sorted.map((template) => (
+                    <div
+                      key={template.id}
+                      className="flex items-center gap-2 px-3 py-1.5 hover:bg-slate-50"
+                    >
+                      <button
+                        onClick={() => create(template)}
+                        className="flex-1 min-w-0 flex items-center gap-2 text-left text-slate-700"
+                        title={
+                          template.createdBy
+                            ? `Saved by ${template.createdBy}`
+                            : undefined
+                        }
+                      >
+                        <FileText size={14} className="shrink-0" />
+                        <span className="truncate">{template.name}</span>
+                      </button>
+                      <button
+                        onClick={() => {
+                          if (
+                            window.confirm(
+                              `Delete template "${template.name}"?`
+                            )
+                          ) {
+                            onDeleteTemplate(template);
+                          }
+                        }}
+                        className="p-1 text-slate-400 hover:text-rose-500"
+                        title="Delete template"
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NewProductMenu;
@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+
+// Button with a dropdown panel. Clicking outside the panel closes it.
+const Popover = ({
+  label,
+  title,
+  align = "left",
+  width = "w-64",
+  children,
+}) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        title={title}
+        className={`flex items-center gap-1.5 px-3 py-1 rounded-md text-xs font-medium transition-all ${
+          open
+            ? "bg-slate-200 text-slate-900"
+            : "bg-slate-100 hover:bg-slate-200 text-slate-700"
+        }`}
+      >
+        {label}
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-20" onClick={() => setOpen(false)} />
+          <div
+            className={`absolute top-full mt-1 ${
+              align === "right" ? "right-0" : "left-0"
+            } ${width} bg-white border border-slate-200 rounded-lg shadow-xl z-30 py-2 text-sm`}
+          >
+            {typeof children === "function"
+              ? children(() => setOpen(false))
+              : children}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Popover;
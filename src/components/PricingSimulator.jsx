@@ -0,0 +1,234 @@
+import React from "react";
+import { FlaskConical, ArrowUpCircle, X } from "lucide-react";
+import {
+  CHARM_ENDINGS,
+  createScenario,
+  getScenarios,
+  currentScenario,
+  scenarioEconomics,
+  charmPrice,
+  canPromote,
+} from "../lib/pricing";
+import { getRoasTone, ROAS_TONE_CLASSES } from "../lib/economics";
+import { formatCurrency, formatPercent } from "../lib/format";
+
+const inputClass =
+  "w-full bg-white px-1.5 py-1 border border-slate-200 rounded text-xs font-mono text-right outline-none focus:border-slate-400";
+
+const INPUT_ROWS = [
+  { key: "price", label: "Order Price ($)" },
+  { key: "compareAt", label: "Compare-at ($)" },
+  { key: "quantity", label: "Units / Order" },
+  { key: "upsellPrice", label: "Upsell Price ($)" },
+  { key: "upsellCogs", label: "Upsell COGs ($)" },
+  { key: "upsellRate", label: "Upsell Take (%)" },
+];
+
+// What-if offers next to the live price: charm prices, compare-at anchors,
+// bundles and upsells, each with its margin and break-even.
+const PricingSimulator = ({
+  product,
+  economicsDefaults,
+  roasThresholds,
+  onChange,
+  onPromote,
+}) => {
+  const scenarios = getScenarios(product);
+  const columns = [currentScenario(product), ...scenarios];
+
+  const update = (id, key, value) =>
+    onChange(scenarios.map((s) => (s.id === id ? { ...s, [key]: value } : s)));
+
+  const add = (overrides) =>
+    onChange([
+      ...scenarios,
+      createScenario({
+        name: `Scenario ${scenarios.length + 1}`,
+        price: product.price ?? "",
+        compareAt: product.compareAtPrice ?? "",
+        ...overrides,
+      }),
+    ]);
+
+  const results = columns.map((scenario) =>
+    scenarioEconomics(product, scenario, economicsDefaults)
+  );
+
+  const resultRows = [
+    {
+      label: "Unit Price",
+      render: (r) => formatCurrency(r.unitPrice),
+    },
+    {
+      label: "Margin",
+      render: (r) => formatCurrency(r.contributionMargin),
+    },
+    { label: "Margin %", render: (r) => formatPercent(r.marginPercent) },
+    {
+      label: "B/E ROAS",
+      render: (r) => (
+        <span
+          className={`font-medium ${
+            ROAS_TONE_CLASSES[getRoasTone(r.breakEvenRoas, roasThresholds)]
+          }`}
+        >
+          {r.breakEvenRoas <= 0 ? "Loss" : `${r.breakEvenRoas.toFixed(2)}x`}
+        </span>
+      ),
+    },
+    { label: "B/E CPA", render: (r) => formatCurrency(r.breakEvenCpa) },
+    {
+      label: "Shown Discount",
+      render: (r) =>
+        r.discountPercent === null ? "-" : formatPercent(r.discountPercent),
+    },
+  ];
+
+  return (
+    <div className="space-y-2 pt-2 border-t border-slate-200/50">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-xs font-semibold uppercase text-slate-500">
+          <FlaskConical size={12} /> What-If Pricing
+        </div>
+        <div className="flex items-center gap-3 text-xs">
+          {CHARM_ENDINGS.map((ending) => (
+            <button
+              key={ending}
+              onClick={() =>
+                add({
+                  name: `Charm ${ending}`,
+                  price: charmPrice(product.price, ending),
+                })
+              }
+              disabled={charmPrice(product.price, ending) === null}
+              className="text-indigo-600 font-semibold hover:underline disabled:opacity-50 disabled:no-underline"
+              title={`Current price ending in ${ending}`}
+            >
+              {ending}
+            </button>
+          ))}
+          <button
+            onClick={() => add({ name: "Buy 2", quantity: "2" })}
+            className="text-indigo-600 font-semibold hover:underline"
+          >
+            + Bundle
+          </button>
+          <button
+            onClick={() => add()}
+            className="text-indigo-600 font-semibold hover:underline"
+          >
+            + Scenario
+          </button>
+        </div>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <p className="text-xs text-slate-400">
+          Add a scenario to compare prices, bundles and upsells with the live
+          price.
+        </p>
+      ) : (
+        <div className="overflow-x-auto border border-slate-200 rounded-lg bg-white">
+          <table className="w-full text-xs">
+            <thead className="bg-slate-50 text-slate-500">
+              <tr>
+                <th />
+                {columns.map((scenario) => (
+                  <th
+                    key={scenario.id}
+                    className="px-1.5 py-1.5 min-w-[5.5rem]"
+                  >
+                    {scenario.id === "current" ? (
+                      <div className="text-right font-semibold text-slate-700">
+                        Current
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-1">
+                        <input
+                          type="text"
+                          value={scenario.name}
+                          onChange={(e) =>
+                            update(scenario.id, "name", e.target.value)
+                          }
+                          className="w-full min-w-0 bg-transparent text-right font-semibold text-slate-700 outline-none"
+                        />
+                        <button
+                          onClick={() => onPromote(scenario)}
+                          disabled={!canPromote(scenario)}
+                          className="text-slate-400 hover:text-emerald-600 disabled:opacity-30 disabled:hover:text-slate-400"
+                          title={
+                            canPromote(scenario)
+                              ? "Make this the live price"
+                              : "Only single-unit offers can become the live price"
+                          }
+                        >
+                          <ArrowUpCircle size={14} />
+                        </button>
+                        <button
+                          onClick={() =>
+                            onChange(
+                              scenarios.filter((s) => s.id !== scenario.id)
+                            )
+                          }
+                          className="text-slate-400 hover:text-rose-500"
+                          title="Remove scenario"
+                        >
+                          <X size={12} />
+                        </button>
+                      </div>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {INPUT_ROWS.map((row) => (
+                <tr key={row.key}>
+                  <td className="px-2 py-1 text-slate-500 whitespace-nowrap">
+                    {row.label}
+                  </td>
+                  {columns.map((scenario) => (
+                    <td key={scenario.id} className="px-1.5 py-1">
+                      {scenario.id === "current" ? (
+                        <div className="text-right font-mono text-slate-700">
+                          {scenario[row.key] === "" ? "-" : scenario[row.key]}
+                        </div>
+                      ) : (
+                        <input
+                          type="number"
+                          min="0"
+                          value={scenario[row.key]}
+                          onChange={(e) =>
+                            update(scenario.id, row.key, e.target.value)
+                          }
+                          className={inputClass}
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              {resultRows.map((row) => (
+                <tr key={row.label} className="bg-slate-50/50">
+                  <td className="px-2 py-1.5 text-slate-500 whitespace-nowrap">
+                    {row.label}
+                  </td>
+                  {results.map((result, idx) => (
+                    <td
+                      key={columns[idx].id}
+                      className="px-1.5 py-1.5 text-right font-mono text-slate-700"
+                    >
+                      {result ? row.render(result) : "-"}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PricingSimulator;
@@ -0,0 +1,351 @@
+import React from "react";
+import { ChevronRight, ArrowUp, ArrowDown } from "lucide-react";
+import {
+  calculateUnitEconomics,
+  getRoasTone,
+  ROAS_TONE_CLASSES,
+} from "../lib/economics";
+import {
+  formatCurrency,
+  formatPercent,
+  formatCompactNumber,
+} from "../lib/format";
+import { getStatusSince, daysSince } from "../lib/statusHistory";
+import { getColumn, resolveColumns, nextSort } from "../lib/columns";
+import { getNiche, getTags } from "../lib/tags";
+import { recentAdTestResult, VERDICT_CLASSES } from "../lib/adTests";
+import { BASE_CURRENCY, convert } from "../lib/currency";
+import StatusBadge from "./StatusBadge";
+import ScorePill from "./ScorePill";
+import TagChip from "./TagChip";
+
+const mono = "font-mono text-slate-600";
+
+const formatDays = (time) => {
+  const days = daysSince(time);
+  return days !== null ? `${days}d` : "-";
+};
+
+// Cell renderers keyed by column id. `row` carries values computed once per
+// product ({ economics }) plus the table context. Money goes through
+// `row.money`, which shows USD amounts in the reporting currency.
+const CELLS = {
+  name: (product, row) => (
+    <>
+      {row.isSelected && (
+        <div className="absolute left-0 top-0 bottom-0 w-1 bg-slate-900" />
+      )}
+      {product.name || (
+        <span className="text-slate-400 italic">Untitled Product</span>
+      )}
+    </>
+  ),
+  status: (product, row) => (
+    <StatusBadge status={product.status} statuses={row.statuses} />
+  ),
+  cogs: (product, { money }) => (
+    <span className={mono}>{product.cogs ? money(product.cogs) : "-"}</span>
+  ),
+  price: (product, { money }) => (
+    <span className={mono}>{product.price ? money(product.price) : "-"}</span>
+  ),
+  margin: (product, { economics, money }) => (
+    <span className={mono}>
+      {economics ? money(economics.contributionMargin) : "-"}
+    </span>
+  ),
+  marginPercent: (product, { economics }) => (
+    <span className={mono}>
+      {economics ? formatPercent(economics.marginPercent) : "-"}
+    </span>
+  ),
+  breakEvenCpa: (product, { economics, money }) => (
+    <span className={mono}>
+      {economics ? money(economics.breakEvenCpa) : "-"}
+    </span>
+  ),
+  breakEvenRoas: (product, { economics, roasThresholds }) => {
+    const roas = economics ? economics.breakEvenRoas : null;
+    if (roas === null) return "-";
+    return (
+      <span
+        className={`font-mono font-medium ${
+          ROAS_TONE_CLASSES[getRoasTone(roas, roasThresholds)]
+        }`}
+      >
+        {roas <= 0 ? "Loss" : `${roas.toFixed(2)}x`}
+      </span>
+    );
+  },
+  testRoas: (product, { economicsDefaults, adTestWindowDays }) => {
+    const { summary, verdict } = recentAdTestResult(
+      product,
+      economicsDefaults,
+      adTestWindowDays
+    );
+    if (summary.roas === null) return <span className="text-slate-300">-</span>;
+    return (
+      <span
+        className={`font-mono font-medium ${VERDICT_CLASSES[verdict] || ""}`}
+        title={`${
+          verdict
+            ? `${verdict === "above" ? "Above" : "Below"} break-even`
+            : "No break-even to compare with"
+        }, ${summary.days} day${summary.days === 1 ? "" : "s"} logged`}
+      >
+        {summary.roas.toFixed(2)}x{" "}
+        {verdict === "above" ? "▲" : verdict === "below" ? "▼" : ""}
+      </span>
+    );
+  },
+  score: (product, row) => <ScorePill score={row.getValue("score")} />,
+  daysInStatus: (product) => (
+    <span className={mono}>{formatDays(getStatusSince(product))}</span>
+  ),
+  age: (product) => (
+    <span className={mono}>{formatDays(product.createdAt)}</span>
+  ),
+  niche: (product) =>
+    getNiche(product) ? (
+      <span className="px-2 py-0.5 rounded text-xs font-medium bg-violet-50 text-violet-700 border border-violet-200 whitespace-nowrap">
+        {getNiche(product)}
+      </span>
+    ) : (
+      <span className="text-slate-300">-</span>
+    ),
+  tags: (product) => {
+    const tags = getTags(product);
+    if (tags.length === 0) return <span className="text-slate-300">-</span>;
+    return (
+      <div className="flex flex-wrap gap-1 max-w-[16rem]">
+        {tags.map((tag) => (
+          <TagChip key={tag} tag={tag} />
+        ))}
+      </div>
+    );
+  },
+  targetMarket: (product) => (
+    <span className="text-slate-600">{product.targetMarket || "-"}</span>
+  ),
+  hasContent: (product) => (
+    <span
+      className={`flex items-center gap-1.5 text-xs ${
+        product.hasContent ? "text-indigo-700" : "text-slate-400"
+      }`}
+    >
+      <span
+        className={`w-1.5 h-1.5 rounded-full ${
+          product.hasContent ? "bg-indigo-500" : "bg-slate-300"
+        }`}
+      />
+      {product.hasContent ? "Ready" : "Not Ready"}
+    </span>
+  ),
+  competitorAds: (product, row) => (
+    <span className={mono}>{row.getValue("competitorAds") ?? "-"}</span>
+  ),
+  competitorTraffic: (product, row) => (
+    <span className={mono}>
+      {formatCompactNumber(row.getValue("competitorTraffic"))}
+    </span>
+  ),
+  competitorCount: (product, row) => (
+    <span className={mono}>{row.getValue("competitorCount")}</span>
+  ),
+  supplierLink: (product) => (
+    <span className="text-blue-600 truncate block max-w-[12rem]">
+      {product.supplierLink || "-"}
+    </span>
+  ),
+  createdAt: (product) => (
+    <span className={mono}>
+      {product.createdAt
+        ? new Date(product.createdAt).toLocaleDateString()
+        : "-"}
+    </span>
+  ),
+};
+
+const ProductTable = ({
+  products,
+  columnIds,
+  sort,
+  onSortChange,
+  selectedId,
+  onSelect,
+  economicsDefaults,
+  statuses,
+  scorecard,
+  roasThresholds,
+  adTestWindowDays,
+  reportingCurrency = BASE_CURRENCY,
+  exchangeRates,
+  groups,
+  selectedIds,
+  onToggleSelect,
+  onToggleAll,
+}) => {
+  const columns = resolveColumns(columnIds);
+  const context = { economicsDefaults, statuses, scorecard, adTestWindowDays };
+  // Falls back to USD while the reporting currency has no usable rate.
+  const converted = convert(1, BASE_CURRENCY, reportingCurrency, exchangeRates);
+  const money = (usd) =>
+    converted === null
+      ? formatCurrency(usd)
+      : formatCurrency(parseFloat(usd) * converted, reportingCurrency);
+  const selectable = !!onToggleSelect;
+  const selectedCount = selectable
+    ? products.filter((p) => selectedIds.includes(p.id)).length
+    : 0;
+  const allSelected = products.length > 0 && selectedCount === products.length;
+
+  const cellClass = (column, idx) =>
+    `${idx === 0 && !selectable ? "px-8" : "px-4"} py-3 ${
+      column.align === "right" ? "text-right" : ""
+    } ${column.id === "name" ? "font-medium text-slate-900 relative" : ""}`;
+
+  const renderRow = (product) => {
+    const isSelected = selectedId === product.id;
+    const isChecked = selectable && selectedIds.includes(product.id);
+    const row = {
+      isSelected,
+      statuses,
+      roasThresholds,
+      economicsDefaults,
+      adTestWindowDays,
+      money,
+      economics: calculateUnitEconomics(product, economicsDefaults),
+      getValue: (id) => getColumn(id).getValue(product, context),
+    };
+
+    return (
+      <tr
+        key={product.id}
+        onClick={() => onSelect(product.id)}
+        className={`group cursor-pointer transition-colors text-sm ${
+          isSelected || isChecked ? "bg-slate-50" : "hover:bg-slate-50"
+        }`}
+      >
+        {selectable && (
+          <td
+            className="pl-8 pr-0 py-3 w-4"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <input
+              type="checkbox"
+              checked={isChecked}
+              onChange={(e) =>
+                onToggleSelect(product.id, e.nativeEvent.shiftKey)
+              }
+              className="align-middle"
+              title="Select (shift-click for a range)"
+            />
+          </td>
+        )}
+        {columns.map((column, idx) => (
+          <td key={column.id} className={cellClass(column, idx)}>
+            {CELLS[column.id](product, row)}
+          </td>
+        ))}
+        <td className="px-4 py-3 text-right">
+          <div className="opacity-0 group-hover:opacity-100 transition-opacity">
+            <ChevronRight size={16} className="text-slate-400" />
+          </div>
+        </td>
+      </tr>
+    );
+  };
+
+  return (
+    <table className="w-full text-left border-collapse">
+      <thead className="sticky top-0 bg-white z-10 text-xs font-semibold text-slate-500 uppercase tracking-wider border-b border-slate-100">
+        <tr>
+          {selectable && (
+            <th className="pl-8 pr-0 py-3 w-4">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                ref={(el) => {
+                  if (el) el.indeterminate = selectedCount > 0 && !allSelected;
+                }}
+                onChange={onToggleAll}
+                disabled={products.length === 0}
+                className="align-middle"
+                title={
+                  allSelected
+                    ? "Clear selection"
+                    : "Select all filtered products"
+                }
+              />
+            </th>
+          )}
+          {columns.map((column, idx) => {
+            const isSorted = sort && sort.column === column.id;
+            return (
+              <th
+                key={column.id}
+                title={column.title}
+                onClick={() => onSortChange(nextSort(sort, column.id))}
+                className={`${
+                  idx === 0 && !selectable ? "px-8" : "px-4"
+                } py-3 cursor-pointer select-none hover:text-slate-800 transition-colors whitespace-nowrap ${
+                  column.align === "right" ? "text-right" : ""
+                } ${isSorted ? "text-slate-900" : ""}`}
+              >
+                <span
+                  className={`inline-flex items-center gap-1 ${
+                    column.align === "right" ? "flex-row-reverse" : ""
+                  }`}
+                >
+                  {column.label}
+                  {isSorted &&
+                    (sort.direction === "asc" ? (
+                      <ArrowUp size={12} />
+                    ) : (
+                      <ArrowDown size={12} />
+                    ))}
+                </span>
+              </th>
+            );
+          })}
+          <th className="px-4 py-3 w-12"></th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-slate-50">
+        {products.length === 0 ? (
+          <tr>
+            <td
+              colSpan={columns.length + (selectable ? 2 : 1)}
+              className="px-8 py-12 text-center text-slate-400"
+            >
+              No products found.
+            </td>
+          </tr>
+        ) : (
+          (groups || [{ products }]).map((group) => (
+            <React.Fragment key={group.key ?? "all"}>
+              {groups && (
+                <tr className="bg-slate-50/80">
+                  <td
+                    colSpan={columns.length + (selectable ? 2 : 1)}
+                    className="px-8 py-2 text-xs font-semibold text-slate-600"
+                  >
+                    {group.niche}
+                    <span className="ml-2 font-normal text-slate-400">
+                      {group.count} product{group.count === 1 ? "" : "s"}
+                      {group.averageMargin !== null &&
+                        ` · avg. margin ${formatPercent(group.averageMargin)}`}
+                    </span>
+                  </td>
+                </tr>
+              )}
+              {group.products.map(renderRow)}
+            </React.Fragment>
+          ))
+        )}
+      </tbody>
+    </table>
+  );
+};
+
+export default ProductTable;
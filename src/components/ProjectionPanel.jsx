@@ -0,0 +1,246 @@
+import React from "react";
+import { LineChart, Download, X } from "lucide-react";
+import {
+  PROJECTION_BASES,
+  MAX_PROJECTION_WEEKS,
+  createScalingStep,
+  getProjectionInputs,
+  projectProduct,
+  projectionProblem,
+  projectionToCsv,
+} from "../lib/projection";
+import { downloadFile } from "../lib/csv";
+import { formatCurrency } from "../lib/format";
+import ProjectionTable from "./ProjectionTable";
+
+const inputClass =
+  "w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs font-mono outline-none focus:border-slate-400";
+
+const Field = ({ label, children }) => (
+  <div className="space-y-1">
+    <label className="text-[10px] uppercase text-slate-400 font-bold">
+      {label}
+    </label>
+    {children}
+  </div>
+);
+
+const Stat = ({ label, value, tone = "text-slate-700" }) => (
+  <div>
+    <div className="text-[10px] uppercase text-slate-400 font-bold">
+      {label}
+    </div>
+    <div className={`text-sm font-mono font-semibold ${tone}`}>{value}</div>
+  </div>
+);
+
+// Profit and cash-flow projection for an approved product, run on its unit
+// economics. `onChange` receives the whole `projection` object.
+const ProjectionPanel = ({ product, economicsDefaults, onChange }) => {
+  const inputs = getProjectionInputs(product);
+  const problem = projectionProblem(product, economicsDefaults);
+  const projection = projectProduct(product, economicsDefaults);
+
+  const update = (key, value) => onChange({ ...inputs, [key]: value });
+
+  const updateStep = (id, key, value) =>
+    update(
+      "scaling",
+      inputs.scaling.map((s) => (s.id === id ? { ...s, [key]: value } : s))
+    );
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    const name = (product.name || "product")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+    downloadFile(
+      `projection-${name || "product"}-${date}.csv`,
+      `\uFEFF${projectionToCsv(projection.weeks)}`
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between border-b border-slate-100 pb-1">
+        <div className="flex items-center gap-2 font-medium text-slate-800">
+          <LineChart size={16} /> Projection
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={!projection}
+          className="flex items-center gap-1 text-xs text-indigo-600 font-semibold hover:underline disabled:opacity-50 disabled:no-underline"
+        >
+          <Download size={12} /> Export CSV
+        </button>
+      </div>
+
+      <div className="p-4 bg-slate-50 rounded-lg border border-slate-100 space-y-3">
+        <div className="grid grid-cols-3 gap-2">
+          <Field label="Daily Budget ($)">
+            <input
+              type="number"
+              min="0"
+              value={inputs.dailyBudget}
+              onChange={(e) => update("dailyBudget", e.target.value)}
+              className={inputClass}
+              placeholder="50"
+            />
+          </Field>
+          <Field
+            label={`Expected ${inputs.basis === "cpa" ? "CPA ($)" : "ROAS"}`}
+          >
+            <div className="flex gap-1">
+              <select
+                value={inputs.basis}
+                onChange={(e) => update("basis", e.target.value)}
+                className="bg-white px-1 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400"
+              >
+                {PROJECTION_BASES.map((basis) => (
+                  <option key={basis.id} value={basis.id}>
+                    {basis.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={inputs[inputs.basis]}
+                onChange={(e) => update(inputs.basis, e.target.value)}
+                className={inputClass}
+                placeholder={inputs.basis === "cpa" ? "15" : "2.5"}
+              />
+            </div>
+          </Field>
+          <Field label="Weeks">
+            <input
+              type="number"
+              min="1"
+              max={MAX_PROJECTION_WEEKS}
+              value={inputs.weeks}
+              onChange={(e) => update("weeks", e.target.value)}
+              className={inputClass}
+            />
+          </Field>
+          <Field label="Supplier Terms (days)">
+            <input
+              type="number"
+              min="0"
+              value={inputs.supplierTermsDays}
+              onChange={(e) => update("supplierTermsDays", e.target.value)}
+              className={inputClass}
+              title="Days after an order that the supplier is paid. 0 means paid on order."
+            />
+          </Field>
+          <Field label="Payout Delay (days)">
+            <input
+              type="number"
+              min="0"
+              value={inputs.payoutDelayDays}
+              onChange={(e) => update("payoutDelayDays", e.target.value)}
+              className={inputClass}
+              title="Days after a sale that the payout reaches the bank."
+            />
+          </Field>
+        </div>
+
+        <div className="space-y-1.5">
+          <div className="flex items-center justify-between">
+            <span className="text-[10px] uppercase text-slate-400 font-bold">
+              Scaling Schedule
+            </span>
+            <button
+              onClick={() =>
+                update("scaling", [...inputs.scaling, createScalingStep()])
+              }
+              className="text-xs text-indigo-600 font-semibold hover:underline"
+            >
+              + Add Step
+            </button>
+          </div>
+          {inputs.scaling.length === 0 && (
+            <p className="text-[11px] text-slate-400">
+              The daily budget stays the same every week.
+            </p>
+          )}
+          {inputs.scaling.map((step) => (
+            <div key={step.id} className="flex items-center gap-2 text-xs">
+              <span className="text-slate-500">From week</span>
+              <input
+                type="number"
+                min="1"
+                value={step.week}
+                onChange={(e) => updateStep(step.id, "week", e.target.value)}
+                className="w-16 bg-white px-2 py-1 border border-slate-200 rounded font-mono outline-none focus:border-slate-400"
+              />
+              <span className="text-slate-500">spend $</span>
+              <input
+                type="number"
+                min="0"
+                value={step.dailyBudget}
+                onChange={(e) =>
+                  updateStep(step.id, "dailyBudget", e.target.value)
+                }
+                className="w-20 bg-white px-2 py-1 border border-slate-200 rounded font-mono outline-none focus:border-slate-400"
+              />
+              <span className="text-slate-500">/ day</span>
+              <button
+                onClick={() =>
+                  update(
+                    "scaling",
+                    inputs.scaling.filter((s) => s.id !== step.id)
+                  )
+                }
+                className="ml-auto text-slate-400 hover:text-rose-500"
+                title="Remove step"
+              >
+                <X size={12} />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {projection ? (
+        <>
+          <div className="grid grid-cols-4 gap-2">
+            <Stat
+              label="Revenue"
+              value={formatCurrency(projection.totals.revenue)}
+            />
+            <Stat
+              label="Profit"
+              value={formatCurrency(projection.totals.profit)}
+              tone={
+                projection.totals.profit < 0
+                  ? "text-rose-600"
+                  : "text-emerald-600"
+              }
+            />
+            <Stat
+              label="Peak Cash Tied Up"
+              value={formatCurrency(projection.totals.peakCashTiedUp)}
+              tone="text-amber-600"
+            />
+            <Stat
+              label="Cash at End"
+              value={formatCurrency(projection.totals.endingCash)}
+            />
+          </div>
+          <ProjectionTable weeks={projection.weeks} />
+          <p className="text-[11px] text-slate-400">
+            Ads are paid daily, suppliers after their terms and payouts after
+            the delay. Cash at End leaves out supplier bills and payouts still
+            due after the last week.
+          </p>
+        </>
+      ) : (
+        <p className="text-xs text-slate-400">{problem}</p>
+      )}
+    </div>
+  );
+};
+
+export default ProjectionPanel;
@@ -0,0 +1,57 @@
+import React from "react";
+import { formatCurrency } from "../lib/format";
+
+const COLUMNS = [
+  { key: "dailyBudget", label: "Budget / Day" },
+  { key: "spend", label: "Ad Spend" },
+  { key: "revenue", label: "Revenue" },
+  { key: "profit", label: "Profit" },
+  { key: "cumulativeProfit", label: "Total Profit" },
+  { key: "cashTiedUp", label: "Cash Tied Up" },
+];
+
+// Weekly rows from projectProduct() or projectPortfolio().
+const ProjectionTable = ({ weeks }) => (
+  <div className="overflow-x-auto border border-slate-200 rounded-lg bg-white">
+    <table className="w-full text-xs">
+      <thead className="bg-slate-50 text-slate-500">
+        <tr>
+          <th className="px-2 py-1.5 text-left font-semibold">Week</th>
+          {COLUMNS.map((column) => (
+            <th
+              key={column.key}
+              className="px-2 py-1.5 text-right font-semibold whitespace-nowrap"
+            >
+              {column.label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-slate-100">
+        {weeks.map((week) => (
+          <tr key={week.week}>
+            <td className="px-2 py-1 text-slate-500">{week.week}</td>
+            {COLUMNS.map((column) => (
+              <td
+                key={column.key}
+                className={`px-2 py-1 text-right font-mono ${
+                  (column.key === "profit" ||
+                    column.key === "cumulativeProfit") &&
+                  week[column.key] < 0
+                    ? "text-rose-600"
+                    : column.key === "cashTiedUp" && week.cashTiedUp > 0
+                    ? "text-amber-600"
+                    : "text-slate-700"
+                }`}
+              >
+                {formatCurrency(week[column.key])}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default ProjectionTable;
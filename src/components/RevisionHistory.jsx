@@ -0,0 +1,100 @@
+import React from "react";
+import { History, RotateCcw } from "lucide-react";
+import { fieldLabel, formatFieldValue } from "../lib/revisions";
+
+const sameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const formatTime = (time) =>
+  time
+    ? new Date(time).toLocaleString(undefined, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      })
+    : "";
+
+// Inspector History tab: one card per editing session, newest first, with
+// the before/after of every field it changed.
+const RevisionHistory = ({
+  product,
+  revisions,
+  loading,
+  readOnly,
+  onRevertField,
+  onRestoreVersion,
+}) => {
+  if (loading) {
+    return <p className="text-sm text-slate-400">Loading history...</p>;
+  }
+  if (revisions.length === 0) {
+    return (
+      <p className="text-sm text-slate-400">
+        No edits recorded yet. Changes made from now on show up here.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+        <History size={16} /> Edit History
+      </div>
+      {revisions.map((revision, idx) => (
+        <div
+          key={revision.id}
+          className="border border-slate-200 rounded-lg overflow-hidden"
+        >
+          <div className="flex items-center justify-between gap-2 px-3 py-2 bg-slate-50 border-b border-slate-100 text-xs">
+            <div className="min-w-0">
+              <span className="font-medium text-slate-700">
+                {revision.author?.email || "Unknown"}
+              </span>
+              <span className="text-slate-400">
+                {" "}
+                · {formatTime(revision.updatedAt)}
+              </span>
+            </div>
+            {idx > 0 && !readOnly && (
+              <button
+                onClick={() => onRestoreVersion(revision.id)}
+                className="shrink-0 flex items-center gap-1 text-indigo-600 font-semibold hover:underline"
+                title="Undo every later change"
+              >
+                <RotateCcw size={12} /> Restore this version
+              </button>
+            )}
+          </div>
+          <div className="divide-y divide-slate-100">
+            {Object.entries(revision.changes || {}).map(([field, change]) => (
+              <div key={field} className="px-3 py-2 space-y-1 text-xs">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-semibold text-slate-600">
+                    {fieldLabel(field)}
+                  </span>
+                  {!readOnly && (
+                    <button
+                      onClick={() => onRevertField(field, change.from)}
+                      disabled={sameValue(product[field], change.from)}
+                      className="text-slate-400 hover:text-slate-700 disabled:opacity-30 disabled:hover:text-slate-400"
+                      title={`Set ${fieldLabel(field)} back to the old value`}
+                    >
+                      Revert
+                    </button>
+                  )}
+                </div>
+                <div className="text-rose-600 line-through break-words line-clamp-3">
+                  {formatFieldValue(change.from)}
+                </div>
+                <div className="text-emerald-700 break-words line-clamp-3">
+                  {formatFieldValue(change.to)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,56 @@
+import React from "react";
+
+// Save state of the product open in the inspector. Products without local
+// edits are in sync with the cloud.
+const SaveStatus = ({ status, onRetry }) => {
+  const state = status?.state || "saved";
+
+  if (state === "error") {
+    return (
+      <span
+        className="flex items-center gap-1 text-[10px] uppercase font-bold tracking-wider text-rose-600"
+        title={status.error}
+      >
+        Failed –
+        <button onClick={onRetry} className="uppercase hover:underline">
+          Retry
+        </button>
+      </span>
+    );
+  }
+
+  if (state === "conflict") {
+    return (
+      <span className="text-[10px] uppercase font-bold tracking-wider text-rose-600">
+        Conflict
+      </span>
+    );
+  }
+
+  if (state === "offline") {
+    return (
+      <span
+        className="text-[10px] uppercase font-bold tracking-wider text-amber-600"
+        title="Saved on this device; syncs when you are back online"
+      >
+        Queued Offline
+      </span>
+    );
+  }
+
+  if (state === "pending" || state === "saving") {
+    return (
+      <span className="text-[10px] uppercase font-bold tracking-wider text-amber-600 animate-pulse">
+        Saving...
+      </span>
+    );
+  }
+
+  return (
+    <span className="text-[10px] uppercase font-bold tracking-wider text-emerald-600">
+      Saved
+    </span>
+  );
+};
+
+export default SaveStatus;
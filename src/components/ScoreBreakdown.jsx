@@ -0,0 +1,86 @@
+import React from "react";
+import { Award } from "lucide-react";
+import { formatPercent } from "../lib/format";
+import ScorePill from "./ScorePill";
+
+const formatRaw = ({ criterion, raw }) => {
+  if (raw === null || raw === undefined) return "n/a";
+  switch (criterion.metric) {
+    case "margin":
+      return formatPercent(raw);
+    case "breakEvenRoas":
+      return raw === Infinity ? "Loss" : `${raw.toFixed(2)}x`;
+    case "hasContent":
+      return raw ? "Yes" : "No";
+    default:
+      return String(raw);
+  }
+};
+
+// Inspector scorecard: total, one bar per criterion and the 1-5 rating
+// buttons for manual criteria.
+const ScoreBreakdown = ({ result, ratings = {}, onRate }) => (
+  <div className="space-y-3">
+    <div className="flex items-center justify-between border-b border-slate-100 pb-1">
+      <div className="flex items-center gap-2 font-medium text-slate-800">
+        <Award size={16} /> Scorecard
+      </div>
+      <ScorePill score={result.total} />
+    </div>
+
+    <div className="space-y-2">
+      {result.breakdown.map((item) => {
+        const { criterion, score, weight } = item;
+        const rating = ratings[criterion.id];
+        return (
+          <div key={criterion.id} className="space-y-1">
+            <div className="flex items-center justify-between text-xs">
+              <span className="text-slate-600">
+                {criterion.label}
+                <span className="text-slate-400"> ×{weight}</span>
+              </span>
+              {criterion.type === "rating" ? (
+                <div className="flex gap-0.5">
+                  {[1, 2, 3, 4, 5].map((n) => (
+                    <button
+                      key={n}
+                      onClick={() =>
+                        onRate(criterion.id, rating === n ? null : n)
+                      }
+                      className={`w-6 h-6 rounded text-[11px] font-semibold transition-colors ${
+                        rating >= n
+                          ? "bg-slate-900 text-white"
+                          : "bg-slate-100 text-slate-400 hover:bg-slate-200"
+                      }`}
+                      title={
+                        criterion.invert
+                          ? "1 = best, 5 = worst"
+                          : "1 = worst, 5 = best"
+                      }
+                    >
+                      {n}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <span className="font-mono text-slate-700">
+                  {formatRaw(item)}
+                </span>
+              )}
+            </div>
+            <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+              {score !== null && (
+                <div
+                  className="h-full bg-slate-700 rounded-full"
+                  style={{ width: `${Math.round(score * 100)}%` }}
+                />
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default ScoreBreakdown;
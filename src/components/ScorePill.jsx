@@ -0,0 +1,25 @@
+import React from "react";
+
+const scoreClass = (score) => {
+  if (score >= 70) return "bg-emerald-50 text-emerald-700 border-emerald-200";
+  if (score >= 40) return "bg-amber-50 text-amber-700 border-amber-200";
+  return "bg-rose-50 text-rose-700 border-rose-200";
+};
+
+// Scorecard total (0-100) as a colored pill.
+const ScorePill = ({ score }) => {
+  if (score === null || score === undefined) {
+    return <span className="font-mono text-slate-400">-</span>;
+  }
+  return (
+    <span
+      className={`inline-block min-w-[2.5rem] text-center px-1.5 py-0.5 rounded border font-mono text-xs font-semibold ${scoreClass(
+        score
+      )}`}
+    >
+      {score}
+    </span>
+  );
+};
+
+export default ScorePill;
@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+import { Award, Trash2 } from "lucide-react";
+import { SCORE_METRICS, createRatingCriterion } from "../lib/scorecard";
+
+const inputClass =
+  "w-full bg-white border border-slate-200 rounded px-2 py-1.5 text-sm font-mono outline-none focus:border-slate-400";
+
+// Scorecard criteria and weights. Like the economics defaults, every change
+// is saved as it is made.
+const ScorecardSettings = ({ criteria, onChange }) => {
+  const [newLabel, setNewLabel] = useState("");
+
+  const update = (id, key, value) =>
+    onChange(criteria.map((c) => (c.id === id ? { ...c, [key]: value } : c)));
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newLabel.trim()) return;
+    onChange([...criteria, createRatingCriterion(newLabel.trim())]);
+    setNewLabel("");
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+        <Award size={16} /> Scorecard
+      </div>
+      <p className="text-xs text-slate-500">
+        Each criterion scores 0–1 and counts by its weight. Computed criteria
+        scale linearly from the worst to the best value; ratings are set per
+        product from 1 to 5.
+      </p>
+
+      <div className="space-y-2">
+        <div className="grid grid-cols-[1fr_4rem_5rem_5rem_2rem] gap-2 text-[10px] uppercase font-bold text-slate-400">
+          <span>Criterion</span>
+          <span>Weight</span>
+          <span>Worst</span>
+          <span>Best</span>
+          <span />
+        </div>
+        {criteria.map((criterion) => {
+          const metric = SCORE_METRICS[criterion.metric];
+          return (
+            <div
+              key={criterion.id}
+              className="grid grid-cols-[1fr_4rem_5rem_5rem_2rem] gap-2 items-center"
+            >
+              <div className="min-w-0">
+                {criterion.type === "rating" ? (
+                  <input
+                    type="text"
+                    value={criterion.label}
+                    onChange={(e) =>
+                      update(criterion.id, "label", e.target.value)
+                    }
+                    className="w-full bg-white border border-slate-200 rounded px-2 py-1.5 text-sm outline-none focus:border-slate-400"
+                  />
+                ) : (
+                  <span className="text-sm text-slate-700">
+                    {metric?.label || criterion.label}
+                  </span>
+                )}
+              </div>
+              <input
+                type="number"
+                min="0"
+                value={criterion.weight}
+                onChange={(e) => update(criterion.id, "weight", e.target.value)}
+                className={inputClass}
+              />
+              {criterion.type === "rating" ? (
+                <label className="col-span-2 flex items-center gap-2 text-xs text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={!!criterion.invert}
+                    onChange={(e) =>
+                      update(criterion.id, "invert", e.target.checked)
+                    }
+                  />
+                  Lower rating is better
+                </label>
+              ) : metric?.boolean ? (
+                <span className="col-span-2 text-xs text-slate-400">
+                  Yes = full score
+                </span>
+              ) : (
+                <>
+                  <input
+                    type="number"
+                    value={criterion.worst ?? ""}
+                    onChange={(e) =>
+                      update(criterion.id, "worst", e.target.value)
+                    }
+                    className={inputClass}
+                  />
+                  <input
+                    type="number"
+                    value={criterion.best ?? ""}
+                    onChange={(e) =>
+                      update(criterion.id, "best", e.target.value)
+                    }
+                    className={inputClass}
+                  />
+                </>
+              )}
+              {criterion.type === "rating" ? (
+                <button
+                  onClick={() =>
+                    onChange(criteria.filter((c) => c.id !== criterion.id))
+                  }
+                  className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors"
+                  title="Remove criterion"
+                >
+                  <Trash2 size={14} />
+                </button>
+              ) : (
+                <span />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          placeholder="New rating, e.g. Impulse Buy"
+          className="flex-1 bg-white border border-slate-200 rounded px-3 py-1.5 text-sm outline-none focus:border-slate-400"
+        />
+        <button
+          type="submit"
+          disabled={!newLabel.trim()}
+          className="bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1.5 rounded-md text-sm font-medium transition-all disabled:opacity-50"
+        >
+          Add Rating
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ScorecardSettings;
@@ -0,0 +1,40 @@
+import React from "react";
+
+// Tiny line chart of a series of numbers, scaled to its own min/max.
+const Sparkline = ({ values, width = 80, height = 24, className = "" }) => {
+  if (values.length < 2) {
+    return (
+      <svg width={width} height={height} className={className}>
+        {values.length === 1 && (
+          <circle cx={width / 2} cy={height / 2} r={2} fill="currentColor" />
+        )}
+      </svg>
+    );
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const step = (width - 4) / (values.length - 1);
+  const points = values.map((v, i) => [
+    2 + i * step,
+    height - 2 - ((v - min) / range) * (height - 4),
+  ]);
+  const [lastX, lastY] = points[points.length - 1];
+
+  return (
+    <svg width={width} height={height} className={className}>
+      <polyline
+        points={points.map((p) => p.join(",")).join(" ")}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+        strokeLinejoin="round"
+        strokeLinecap="round"
+      />
+      <circle cx={lastX} cy={lastY} r={2} fill="currentColor" />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,17 @@
+import React from "react";
+import { getStatusColor } from "../lib/statuses";
+
+const StatusBadge = ({ status, statuses }) => {
+  const color = getStatusColor(statuses, status);
+
+  return (
+    <span
+      className={`px-2 py-0.5 rounded text-xs font-medium border ${color.badge} flex items-center gap-1 w-fit`}
+    >
+      <span className={`w-1.5 h-1.5 rounded-full ${color.dot}`}></span>
+      {status || "No Status"}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,219 @@
+import React, { useState } from "react";
+import { ArrowUp, ArrowDown, Trash2, Kanban } from "lucide-react";
+import {
+  STATUS_COLORS,
+  sortStatuses,
+  validateStatuses,
+  planStatusMigration,
+} from "../lib/statuses";
+import { generateId } from "../lib/products";
+
+const StatusSettings = ({ statuses, productCounts, onSave }) => {
+  const [draft, setDraft] = useState(() => sortStatuses(statuses));
+  const [replacements, setReplacements] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const removed = statuses.filter((s) => !draft.some((d) => d.id === s.id));
+  const missingReplacement = removed.find(
+    (s) => productCounts[s.name] && !replacements[s.id]
+  );
+  const withOrder = (list) => list.map((s, order) => ({ ...s, order }));
+  const isDirty =
+    JSON.stringify(withOrder(sortStatuses(statuses))) !==
+    JSON.stringify(withOrder(draft));
+
+  const updateStatus = (id, field, value) => {
+    setDraft(draft.map((s) => (s.id === id ? { ...s, [field]: value } : s)));
+  };
+
+  const moveStatus = (idx, delta) => {
+    const next = [...draft];
+    const [item] = next.splice(idx, 1);
+    next.splice(idx + delta, 0, item);
+    setDraft(next);
+  };
+
+  const handleAdd = () => {
+    setDraft([
+      ...draft,
+      {
+        id: generateId(),
+        name: "",
+        color: "slate",
+        order: draft.length,
+        terminal: false,
+      },
+    ]);
+  };
+
+  const handleSave = async () => {
+    const next = draft.map((s, order) => ({
+      ...s,
+      name: s.name.trim(),
+      order,
+    }));
+    const validationError = validateStatuses(next);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    if (missingReplacement) {
+      setError(`Choose where "${missingReplacement.name}" products should go.`);
+      return;
+    }
+
+    setError("");
+    setSaving(true);
+    try {
+      await onSave(next, planStatusMigration(statuses, next, replacements));
+      setReplacements({});
+    } catch (err) {
+      setError(`Could not save pipeline: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between border-b border-slate-100 pb-1">
+        <div className="flex items-center gap-2 font-medium text-slate-800">
+          <Kanban size={16} /> Research Pipeline
+        </div>
+        <button
+          onClick={handleAdd}
+          className="text-xs text-indigo-600 font-semibold hover:underline"
+        >
+          + Add Status
+        </button>
+      </div>
+      <p className="text-xs text-slate-500">
+        Terminal statuses end the pipeline (e.g. Killed). Renaming or removing a
+        status moves its products when you save.
+      </p>
+
+      <div className="space-y-2">
+        {draft.map((status, idx) => (
+          <div key={status.id} className="flex items-center gap-2">
+            <div className="flex flex-col">
+              <button
+                onClick={() => moveStatus(idx, -1)}
+                disabled={idx === 0}
+                className="text-slate-400 hover:text-slate-700 disabled:opacity-30"
+              >
+                <ArrowUp size={12} />
+              </button>
+              <button
+                onClick={() => moveStatus(idx, 1)}
+                disabled={idx === draft.length - 1}
+                className="text-slate-400 hover:text-slate-700 disabled:opacity-30"
+              >
+                <ArrowDown size={12} />
+              </button>
+            </div>
+            <div
+              className={`w-2.5 h-2.5 rounded-full shrink-0 ${
+                (STATUS_COLORS[status.color] || STATUS_COLORS.slate).dot
+              }`}
+            />
+            <input
+              type="text"
+              value={status.name}
+              onChange={(e) => updateStatus(status.id, "name", e.target.value)}
+              placeholder="Status name"
+              className="flex-1 min-w-0 bg-white border border-slate-200 rounded px-2 py-1.5 text-sm outline-none focus:border-slate-400"
+            />
+            <select
+              value={status.color}
+              onChange={(e) => updateStatus(status.id, "color", e.target.value)}
+              className="bg-slate-50 border border-slate-200 rounded px-1 py-1.5 text-xs outline-none capitalize"
+            >
+              {Object.keys(STATUS_COLORS).map((color) => (
+                <option key={color} value={color}>
+                  {color}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1 text-xs text-slate-500">
+              <input
+                type="checkbox"
+                checked={!!status.terminal}
+                onChange={(e) =>
+                  updateStatus(status.id, "terminal", e.target.checked)
+                }
+              />
+              Terminal
+            </label>
+            <button
+              onClick={() => setDraft(draft.filter((s) => s.id !== status.id))}
+              disabled={draft.length === 1}
+              className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors disabled:opacity-30"
+              title="Remove Status"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {removed.map((status) => (
+        <div
+          key={status.id}
+          className="flex items-center gap-2 text-xs bg-amber-50 border border-amber-200 rounded px-3 py-2"
+        >
+          <span className="flex-1 text-amber-800">
+            Removing "{status.name}" ({productCounts[status.name] || 0}{" "}
+            products). Move them to:
+          </span>
+          <select
+            value={replacements[status.id] || ""}
+            onChange={(e) =>
+              setReplacements({ ...replacements, [status.id]: e.target.value })
+            }
+            className="bg-white border border-amber-200 rounded px-1 py-1 outline-none"
+          >
+            <option value="">Choose...</option>
+            {draft
+              .filter((s) => s.name.trim())
+              .map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.name}
+                </option>
+              ))}
+          </select>
+        </div>
+      ))}
+
+      {error && (
+        <div className="bg-rose-50 border border-rose-200 text-rose-700 px-3 py-2 rounded-lg text-xs">
+          {error}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        {isDirty && (
+          <button
+            onClick={() => {
+              setDraft(sortStatuses(statuses));
+              setReplacements({});
+              setError("");
+            }}
+            className="bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1.5 rounded-md text-xs font-medium transition-all"
+          >
+            Discard
+          </button>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={!isDirty || saving}
+          className="bg-slate-900 hover:bg-slate-800 text-white px-3 py-1.5 rounded-md text-xs font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? "Saving..." : "Save Pipeline"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StatusSettings;
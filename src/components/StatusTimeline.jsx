@@ -0,0 +1,55 @@
+import React from "react";
+import { History } from "lucide-react";
+import { formatDuration, withStageDurations } from "../lib/statusHistory";
+import StatusBadge from "./StatusBadge";
+
+const StatusTimeline = ({ history, statuses }) => {
+  const entries = withStageDurations(history || []);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+        <History size={16} /> Status History
+      </div>
+      {entries.length === 0 ? (
+        <div className="text-xs text-slate-400 italic">
+          No status changes recorded yet.
+        </div>
+      ) : (
+        <ol className="relative border-l border-slate-200 ml-1.5 space-y-4">
+          {[...entries].reverse().map((entry) => (
+            <li key={entry.id} className="ml-4">
+              <div
+                className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white ${
+                  entry.isCurrent ? "bg-slate-900" : "bg-slate-300"
+                }`}
+              />
+              <div className="flex items-center gap-2 flex-wrap">
+                <StatusBadge status={entry.to} statuses={statuses} />
+                {entry.from && (
+                  <span className="text-xs text-slate-400">
+                    from {entry.from}
+                  </span>
+                )}
+                <span className="text-xs text-slate-400 ml-auto">
+                  {formatDuration(entry.duration)}
+                  {entry.isCurrent ? " so far" : " in stage"}
+                </span>
+              </div>
+              <div className="text-[10px] text-slate-400 mt-0.5">
+                {new Date(entry.at).toLocaleString()}
+              </div>
+              {entry.reason && (
+                <div className="text-xs text-slate-600 mt-1 bg-slate-50 border border-slate-100 rounded px-2 py-1">
+                  {entry.reason}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default StatusTimeline;
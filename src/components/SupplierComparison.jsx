@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { Scale } from "lucide-react";
+import { compareSuppliers, shippingCountries } from "../lib/suppliers";
+import { findCountry } from "../lib/markets";
+import { formatCurrency } from "../lib/format";
+
+const formatDays = (days) => (days === null ? "-" : `${days}d`);
+
+// Suppliers side by side for one destination country. Defaults to the first
+// country that is also one of the product's target markets.
+const SupplierComparison = ({ suppliers, preferredId, markets }) => {
+  const [picked, setPicked] = useState("");
+  const countries = shippingCountries(suppliers);
+  const marketCodes = markets
+    .map((m) => findCountry(m.country)?.code)
+    .filter(Boolean);
+  const country = countries.includes(picked)
+    ? picked
+    : countries.find((c) => marketCodes.includes(findCountry(c)?.code)) ||
+      countries[0] ||
+      "";
+  const rows = compareSuppliers(suppliers, country);
+
+  const metrics = [
+    { label: "Platform", render: (row) => row.supplier.platform || "-" },
+    { label: "Unit @ MOQ", render: (row) => formatCurrency(row.unitCost) },
+    { label: "MOQ", render: (row) => row.moq },
+    {
+      label: country ? `Ship to ${country}` : "Shipping",
+      render: (row) =>
+        row.shipping === null ? "-" : formatCurrency(row.shipping),
+    },
+    {
+      label: "Landed Cost",
+      render: (row) => (
+        <span className={row.cheapest ? "text-emerald-600 font-semibold" : ""}>
+          {formatCurrency(row.landedCost)}
+        </span>
+      ),
+    },
+    {
+      label: "Lead Time",
+      render: (row) => (
+        <span className={row.fastest ? "text-emerald-600 font-semibold" : ""}>
+          {formatDays(row.leadTime)}
+        </span>
+      ),
+    },
+  ];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-xs font-semibold uppercase text-slate-500">
+          <Scale size={12} /> Compare Suppliers
+        </div>
+        {countries.length > 0 && (
+          <select
+            value={country}
+            onChange={(e) => setPicked(e.target.value)}
+            className="bg-white border border-slate-200 rounded px-1.5 py-1 text-xs outline-none"
+          >
+            {countries.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="overflow-x-auto border border-slate-200 rounded-lg">
+        <table className="w-full text-xs">
+          <thead className="bg-slate-50 text-slate-500">
+            <tr>
+              <th />
+              {rows.map((row, idx) => (
+                <th
+                  key={row.supplier.id}
+                  className={`px-2 py-1.5 text-right font-semibold truncate max-w-[8rem] ${
+                    row.supplier.id === preferredId ? "text-amber-600" : ""
+                  }`}
+                >
+                  {row.supplier.name || `Supplier ${idx + 1}`}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {metrics.map((metric) => (
+              <tr key={metric.label}>
+                <td className="px-2 py-1.5 text-slate-500 whitespace-nowrap">
+                  {metric.label}
+                </td>
+                {rows.map((row) => (
+                  <td
+                    key={row.supplier.id}
+                    className="px-2 py-1.5 text-right font-mono text-slate-700"
+                  >
+                    {metric.render(row)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SupplierComparison;
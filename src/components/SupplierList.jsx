@@ -0,0 +1,240 @@
+import React from "react";
+import { ShoppingCart, Trash2, Star, X } from "lucide-react";
+import { SUPPLIER_PLATFORMS } from "../lib/suppliers";
+import { generateId } from "../lib/products";
+
+const inputClass =
+  "w-full bg-white px-2 py-1.5 border border-slate-200 rounded text-xs outline-none focus:border-slate-400";
+
+const Field = ({ label, children }) => (
+  <div className="space-y-1">
+    <label className="text-[10px] uppercase text-slate-400 font-bold">
+      {label}
+    </label>
+    {children}
+  </div>
+);
+
+// Editable rows of one nested list (shipping per country, price breaks).
+const RowList = ({ label, rows, columns, addLabel, onChange }) => {
+  const update = (id, key, value) =>
+    onChange(
+      rows.map((row) => (row.id === id ? { ...row, [key]: value } : row))
+    );
+
+  return (
+    <Field label={label}>
+      <div className="space-y-1.5">
+        {rows.map((row) => (
+          <div key={row.id} className="flex items-center gap-2">
+            {columns.map((col) => (
+              <input
+                key={col.key}
+                type={col.type}
+                placeholder={col.placeholder}
+                value={row[col.key]}
+                onChange={(e) => update(row.id, col.key, e.target.value)}
+                className={`${inputClass} ${
+                  col.type === "number" ? "font-mono" : ""
+                }`}
+              />
+            ))}
+            <button
+              onClick={() => onChange(rows.filter((r) => r.id !== row.id))}
+              className="p-1 text-slate-400 hover:text-rose-500"
+              title="Remove"
+            >
+              <X size={12} />
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() =>
+            onChange([
+              ...rows,
+              Object.fromEntries([
+                ["id", generateId()],
+                ...columns.map((col) => [col.key, ""]),
+              ]),
+            ])
+          }
+          className="text-xs text-indigo-600 font-semibold hover:underline"
+        >
+          {addLabel}
+        </button>
+      </div>
+    </Field>
+  );
+};
+
+// Supplier cards for the inspector. The starred supplier is the preferred
+// one; its cost feeds the product's COGs.
+const SupplierList = ({
+  suppliers,
+  preferredId,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onPrefer,
+}) => (
+  <div className="space-y-3">
+    <div className="flex items-center justify-between border-b border-slate-100 pb-1">
+      <div className="flex items-center gap-2 font-medium text-slate-800">
+        <ShoppingCart size={16} /> Suppliers
+        <span className="text-xs font-normal text-slate-400">
+          {suppliers.length}
+        </span>
+      </div>
+      <button
+        onClick={onAdd}
+        className="text-xs text-indigo-600 font-semibold hover:underline"
+      >
+        + Add Supplier
+      </button>
+    </div>
+
+    {suppliers.length === 0 && (
+      <p className="text-xs text-slate-400">No suppliers added yet.</p>
+    )}
+
+    {suppliers.map((supplier, idx) => {
+      const preferred = supplier.id === preferredId;
+      return (
+        <div
+          key={supplier.id}
+          className={`p-4 bg-slate-50 rounded-lg border space-y-3 ${
+            preferred ? "border-amber-300" : "border-slate-100"
+          }`}
+        >
+          <div className="flex items-center justify-between gap-2">
+            <button
+              onClick={() => onPrefer(supplier.id)}
+              className={`p-1 transition-colors ${
+                preferred
+                  ? "text-amber-500"
+                  : "text-slate-300 hover:text-amber-500"
+              }`}
+              title={preferred ? "Preferred supplier" : "Make preferred"}
+            >
+              <Star size={14} fill={preferred ? "currentColor" : "none"} />
+            </button>
+            <input
+              type="text"
+              placeholder={`Supplier ${idx + 1}`}
+              value={supplier.name}
+              onChange={(e) => onUpdate(supplier.id, "name", e.target.value)}
+              className="flex-1 bg-transparent border-b border-slate-200 pb-1 font-semibold text-sm outline-none focus:border-slate-400"
+            />
+            <select
+              value={supplier.platform}
+              onChange={(e) =>
+                onUpdate(supplier.id, "platform", e.target.value)
+              }
+              className="bg-white border border-slate-200 rounded px-1.5 py-1 text-xs outline-none"
+            >
+              {!SUPPLIER_PLATFORMS.includes(supplier.platform) && (
+                <option value={supplier.platform}>{supplier.platform}</option>
+              )}
+              {SUPPLIER_PLATFORMS.map((platform) => (
+                <option key={platform} value={platform}>
+                  {platform}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => onRemove(supplier.id)}
+              className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors"
+              title="Remove Supplier"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+          <Field label="URL">
+            <input
+              type="text"
+              placeholder="Product or agent link"
+              value={supplier.url}
+              onChange={(e) => onUpdate(supplier.id, "url", e.target.value)}
+              className={`${inputClass} text-blue-600`}
+            />
+          </Field>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="Unit Cost ($)">
+              <input
+                type="number"
+                placeholder="0.00"
+                value={supplier.unitCost}
+                onChange={(e) =>
+                  onUpdate(supplier.id, "unitCost", e.target.value)
+                }
+                className={`${inputClass} font-mono`}
+              />
+            </Field>
+            <Field label="MOQ">
+              <input
+                type="number"
+                placeholder="1"
+                value={supplier.moq}
+                onChange={(e) => onUpdate(supplier.id, "moq", e.target.value)}
+                className={`${inputClass} font-mono`}
+              />
+            </Field>
+            <Field label="Processing (days)">
+              <input
+                type="number"
+                placeholder="0"
+                value={supplier.processingDays}
+                onChange={(e) =>
+                  onUpdate(supplier.id, "processingDays", e.target.value)
+                }
+                className={`${inputClass} font-mono`}
+              />
+            </Field>
+            <Field label="Delivery (days)">
+              <input
+                type="number"
+                placeholder="0"
+                value={supplier.deliveryDays}
+                onChange={(e) =>
+                  onUpdate(supplier.id, "deliveryDays", e.target.value)
+                }
+                className={`${inputClass} font-mono`}
+              />
+            </Field>
+          </div>
+          <RowList
+            label="Shipping per Country ($)"
+            rows={supplier.shipping || []}
+            columns={[
+              { key: "country", type: "text", placeholder: "Country" },
+              { key: "cost", type: "number", placeholder: "0.00" },
+            ]}
+            addLabel="+ Add Country"
+            onChange={(rows) => onUpdate(supplier.id, "shipping", rows)}
+          />
+          <RowList
+            label="Price Breaks"
+            rows={supplier.priceBreaks || []}
+            columns={[
+              { key: "minQty", type: "number", placeholder: "From qty" },
+              { key: "unitCost", type: "number", placeholder: "Unit cost" },
+            ]}
+            addLabel="+ Add Price Break"
+            onChange={(rows) => onUpdate(supplier.id, "priceBreaks", rows)}
+          />
+          <Field label="Notes">
+            <textarea
+              placeholder="Quality, communication, samples..."
+              value={supplier.notes}
+              onChange={(e) => onUpdate(supplier.id, "notes", e.target.value)}
+              rows={2}
+              className={`${inputClass} resize-none`}
+            />
+          </Field>
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default SupplierList;
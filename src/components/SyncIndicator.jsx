@@ -0,0 +1,58 @@
+import React from "react";
+import { Wifi, WifiOff, RefreshCw, AlertTriangle } from "lucide-react";
+
+// Connection state for the header: offline, changes still waiting for the
+// server, sync errors and unresolved edit conflicts.
+const SyncIndicator = ({ online, pendingCount, conflictCount, error }) => {
+  if (error) {
+    return (
+      <span
+        className="flex items-center gap-1.5 text-[10px] text-rose-600 bg-rose-50 px-2 py-0.5 rounded border border-rose-100"
+        title={error}
+      >
+        <AlertTriangle size={12} /> Sync error
+      </span>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      {online ? (
+        <span
+          className={`flex items-center gap-1.5 text-[10px] px-2 py-0.5 rounded border ${
+            pendingCount
+              ? "text-amber-600 bg-amber-50 border-amber-100"
+              : "text-emerald-600 bg-emerald-50 border-emerald-100"
+          }`}
+        >
+          {pendingCount ? (
+            <>
+              <RefreshCw size={12} className="animate-spin" />
+              Syncing {pendingCount}
+            </>
+          ) : (
+            <>
+              <Wifi size={12} /> Online
+            </>
+          )}
+        </span>
+      ) : (
+        <span
+          className="flex items-center gap-1.5 text-[10px] text-slate-600 bg-slate-100 px-2 py-0.5 rounded border border-slate-200"
+          title="Edits are kept on this device and sync when the connection returns"
+        >
+          <WifiOff size={12} /> Offline
+          {pendingCount > 0 && ` • ${pendingCount} queued`}
+        </span>
+      )}
+      {conflictCount > 0 && (
+        <span className="flex items-center gap-1.5 text-[10px] text-rose-600 bg-rose-50 px-2 py-0.5 rounded border border-rose-100">
+          <AlertTriangle size={12} />
+          {conflictCount} {conflictCount === 1 ? "conflict" : "conflicts"}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SyncIndicator;
@@ -0,0 +1,22 @@
+import React from "react";
+import { X } from "lucide-react";
+
+const TagChip = ({ tag, onRemove }) => (
+  <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded bg-slate-100 border border-slate-200 text-[11px] font-medium text-slate-600 whitespace-nowrap">
+    #{tag}
+    {onRemove && (
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onRemove(tag);
+        }}
+        className="text-slate-400 hover:text-rose-500"
+        title={`Remove ${tag}`}
+      >
+        <X size={10} />
+      </button>
+    )}
+  </span>
+);
+
+export default TagChip;
@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+import { addTag, parseTags, removeTag, suggestTags } from "../lib/tags";
+import TagChip from "./TagChip";
+
+// Chip input for a product's tags. Enter or comma adds the typed tag, or the
+// suggestion picked with the arrow keys; Tab completes the first suggestion.
+// Backspace on an empty input removes the last tag.
+const TagInput = ({ tags, knownTags, onChange }) => {
+  const [input, setInput] = useState("");
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(-1);
+
+  const suggestions = open ? suggestTags(knownTags, input, tags) : [];
+
+  // Pasted "a, b, c" adds all three.
+  const commit = (text) => {
+    const next = parseTags(text).reduce(addTag, tags);
+    if (next !== tags) onChange(next);
+    setInput("");
+    setHighlight(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      commit(suggestions[highlight]?.tag ?? input);
+    } else if (e.key === "Tab" && input.trim() && suggestions.length) {
+      e.preventDefault();
+      commit(suggestions[Math.max(highlight, 0)].tag);
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlight(Math.min(highlight + 1, suggestions.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlight(Math.max(highlight - 1, -1));
+    } else if (e.key === "Backspace" && !input && tags.length) {
+      onChange(tags.slice(0, -1));
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="w-full min-h-[38px] bg-slate-50 border border-slate-200 rounded px-2 py-1.5 flex flex-wrap items-center gap-1 focus-within:bg-white focus-within:border-slate-400 transition-all">
+        {tags.map((tag) => (
+          <TagChip
+            key={tag}
+            tag={tag}
+            onRemove={(t) => onChange(removeTag(tags, t))}
+          />
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value);
+            setHighlight(-1);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            setOpen(false);
+            if (input.trim()) commit(input);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={tags.length ? "" : "Add tags..."}
+          className="flex-1 min-w-[6rem] bg-transparent text-sm outline-none"
+        />
+      </div>
+      {suggestions.length > 0 && (
+        <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-slate-200 rounded-lg shadow-xl z-30 py-1 text-sm">
+          {suggestions.map(({ tag, count }, idx) => (
+            <button
+              key={tag}
+              // Keep focus in the input so onBlur does not commit the text.
+              onMouseDown={(e) => {
+                e.preventDefault();
+                commit(tag);
+              }}
+              className={`w-full flex items-center justify-between px-3 py-1 text-left ${
+                idx === highlight ? "bg-slate-100" : "hover:bg-slate-50"
+              }`}
+            >
+              <span className="text-slate-700">#{tag}</span>
+              <span className="text-xs text-slate-400">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import { X, Tags, Pencil, Check, Merge } from "lucide-react";
+import { collectTags, normalizeTag } from "../lib/tags";
+
+// Rename and merge tags across every product in the workspace. Renaming a
+// tag onto one that already exists merges the two.
+const TagManager = ({ products, onMerge, onClose, readOnly }) => {
+  const tags = collectTags(products);
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const exists = (name) =>
+    tags.some((t) => t.tag.toLowerCase() === normalizeTag(name).toLowerCase());
+
+  const run = async (sources, to) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const count = await onMerge(sources, to);
+      setMessage(`Updated ${count} product${count === 1 ? "" : "s"}.`);
+      setEditing(null);
+      setSelected([]);
+      setMergeTarget("");
+    } catch (e) {
+      console.error("Error updating tags:", e);
+      setMessage("Could not update tags. Try again.");
+    }
+    setBusy(false);
+  };
+
+  const toggle = (tag) =>
+    setSelected(
+      selected.includes(tag)
+        ? selected.filter((t) => t !== tag)
+        : [...selected, tag]
+    );
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-900/20 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg bg-white rounded-xl shadow-2xl border border-slate-200 flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <div className="flex items-center gap-2 font-semibold text-slate-900">
+            <Tags size={16} /> Manage Tags
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <fieldset
+          disabled={readOnly || busy}
+          className="flex-1 overflow-y-auto px-6 py-4 space-y-4 min-w-0"
+        >
+          {tags.length === 0 ? (
+            <p className="text-sm text-slate-400">
+              No tags yet. Add them to products in the inspector.
+            </p>
+          ) : (
+            <div className="divide-y divide-slate-100">
+              {tags.map(({ tag, count }) => (
+                <div key={tag} className="flex items-center gap-3 py-2">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(tag)}
+                    onChange={() => toggle(tag)}
+                  />
+                  {editing === tag ? (
+                    <form
+                      className="flex-1 flex items-center gap-2"
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        if (normalizeTag(draft) && draft !== tag) {
+                          run([tag], draft);
+                        }
+                      }}
+                    >
+                      <input
+                        type="text"
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        autoFocus
+                        className="flex-1 bg-white border border-slate-200 rounded px-2 py-1 text-sm outline-none focus:border-slate-400"
+                      />
+                      <button
+                        type="submit"
+                        className="text-xs text-indigo-600 font-semibold hover:underline"
+                      >
+                        {exists(draft) &&
+                        normalizeTag(draft).toLowerCase() !== tag.toLowerCase()
+                          ? "Merge"
+                          : "Rename"}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditing(null)}
+                        className="text-xs text-slate-400 hover:text-slate-700"
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <>
+                      <span className="flex-1 text-sm text-slate-700">
+                        #{tag}
+                      </span>
+                      <span className="text-xs text-slate-400">{count}</span>
+                      <button
+                        onClick={() => {
+                          setEditing(tag);
+                          setDraft(tag);
+                        }}
+                        className="p-1 text-slate-400 hover:text-slate-700"
+                        title="Rename tag"
+                      >
+                        <Pencil size={12} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {selected.length > 1 && (
+            <form
+              className="flex items-center gap-2 bg-slate-50 border border-slate-200 rounded-md p-3"
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (normalizeTag(mergeTarget)) run(selected, mergeTarget);
+              }}
+            >
+              <Merge size={14} className="text-slate-500" />
+              <span className="text-xs text-slate-600 whitespace-nowrap">
+                Merge {selected.length} tags into
+              </span>
+              <input
+                type="text"
+                list="tag-merge-targets"
+                value={mergeTarget}
+                onChange={(e) => setMergeTarget(e.target.value)}
+                placeholder={selected[0]}
+                className="flex-1 bg-white border border-slate-200 rounded px-2 py-1 text-sm outline-none focus:border-slate-400"
+              />
+              <datalist id="tag-merge-targets">
+                {selected.map((tag) => (
+                  <option key={tag} value={tag} />
+                ))}
+              </datalist>
+              <button
+                type="submit"
+                disabled={!normalizeTag(mergeTarget)}
+                className="flex items-center gap-1 bg-slate-900 hover:bg-slate-800 text-white px-3 py-1 rounded-md text-xs font-medium disabled:opacity-50"
+              >
+                <Check size={12} /> Merge
+              </button>
+            </form>
+          )}
+
+          {message && <p className="text-xs text-slate-500">{message}</p>}
+        </fieldset>
+      </div>
+    </div>
+  );
+};
+
+export default TagManager;
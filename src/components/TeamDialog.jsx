@@ -0,0 +1,202 @@
+import React, { useState } from "react";
+import { X, Users, Trash2, Mail } from "lucide-react";
+import { ROLE_LABELS, normalizeEmail } from "../lib/workspaces";
+
+const TeamDialog = ({
+  workspace,
+  userId,
+  role,
+  sentInvites,
+  onRename,
+  onInvite,
+  onRevokeInvite,
+  onChangeRole,
+  onRemoveMember,
+  onLeave,
+  onClose,
+}) => {
+  const [email, setEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("editor");
+  const [error, setError] = useState("");
+  const isOwner = role === "owner";
+
+  const members = (workspace.memberIds || []).map((uid) => ({
+    uid,
+    email: workspace.memberEmails?.[uid] || uid,
+    role: workspace.roles?.[uid],
+  }));
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const normalized = normalizeEmail(email);
+    if (!/^\S+@\S+\.\S+$/.test(normalized)) {
+      setError("Enter a valid email address.");
+      return;
+    }
+    if (members.some((m) => m.email === normalized)) {
+      setError(`${normalized} is already a member.`);
+      return;
+    }
+
+    setError("");
+    try {
+      await onInvite(normalized, inviteRole);
+      setEmail("");
+    } catch (err) {
+      setError(`Could not send invite: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-900/20 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg bg-white rounded-xl shadow-2xl border border-slate-200 flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <div className="flex items-center gap-2 font-semibold text-slate-900">
+            <Users size={16} /> Members & Invites
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-6 space-y-8 text-sm">
+          <div className="space-y-1.5">
+            <label className="text-xs font-semibold uppercase text-slate-500">
+              Workspace Name
+            </label>
+            <input
+              type="text"
+              defaultValue={workspace.name}
+              disabled={!isOwner}
+              onBlur={(e) => {
+                const name = e.target.value.trim();
+                if (name && name !== workspace.name) onRename(name);
+              }}
+              className="w-full bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm outline-none focus:bg-white transition-all disabled:text-slate-500"
+            />
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+              <Users size={16} /> Members ({members.length})
+            </div>
+            {members.map((member) => (
+              <div key={member.uid} className="flex items-center gap-3">
+                <span className="flex-1 truncate text-slate-700">
+                  {member.email}
+                  {member.uid === userId && (
+                    <span className="text-slate-400"> (you)</span>
+                  )}
+                </span>
+                {isOwner && member.role !== "owner" ? (
+                  <>
+                    <select
+                      value={member.role}
+                      onChange={(e) => onChangeRole(member.uid, e.target.value)}
+                      className="bg-slate-50 border border-slate-200 rounded px-2 py-1 text-xs outline-none"
+                    >
+                      <option value="editor">Editor</option>
+                      <option value="viewer">Viewer</option>
+                    </select>
+                    <button
+                      onClick={() => {
+                        if (
+                          window.confirm(
+                            `Remove ${member.email} from ${workspace.name}?`
+                          )
+                        ) {
+                          onRemoveMember(member.uid);
+                        }
+                      }}
+                      className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors"
+                      title="Remove member"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-[10px] uppercase font-bold tracking-wider text-slate-400">
+                    {ROLE_LABELS[member.role]}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {isOwner && (
+            <div className="space-y-3">
+              <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+                <Mail size={16} /> Invite by Email
+              </div>
+              <form onSubmit={handleInvite} className="flex gap-2">
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="teammate@example.com"
+                  className="flex-1 min-w-0 bg-white border border-slate-200 rounded px-3 py-1.5 text-sm outline-none focus:border-slate-400"
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className="bg-slate-50 border border-slate-200 rounded px-2 py-1.5 text-sm outline-none"
+                >
+                  <option value="editor">Editor</option>
+                  <option value="viewer">Viewer</option>
+                </select>
+                <button
+                  type="submit"
+                  className="bg-slate-900 hover:bg-slate-800 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-all"
+                >
+                  Invite
+                </button>
+              </form>
+              {error && (
+                <div className="bg-rose-50 border border-rose-200 text-rose-700 px-3 py-2 rounded-lg text-xs">
+                  {error}
+                </div>
+              )}
+              {sentInvites.length > 0 && (
+                <div className="space-y-1">
+                  <div className="text-xs text-slate-500">Pending invites</div>
+                  {sentInvites.map((invite) => (
+                    <div key={invite.id} className="flex items-center gap-3">
+                      <span className="flex-1 truncate text-slate-600">
+                        {invite.email}
+                      </span>
+                      <span className="text-[10px] uppercase font-bold tracking-wider text-slate-400">
+                        {ROLE_LABELS[invite.role]}
+                      </span>
+                      <button
+                        onClick={() => onRevokeInvite(invite.id)}
+                        className="text-xs text-rose-600 hover:underline"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {!isOwner && (
+            <button
+              onClick={() => {
+                if (window.confirm(`Leave ${workspace.name}?`)) onLeave();
+              }}
+              className="text-xs text-rose-600 font-semibold hover:underline"
+            >
+              Leave workspace
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamDialog;
@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import { X, Trash2, RotateCcw } from "lucide-react";
+import { getPurgeAt, sortTrash } from "../lib/trash";
+import { daysSince } from "../lib/statusHistory";
+
+// Trashed products with restore and permanent delete. Products are purged
+// automatically once they have been here longer than the retention period.
+const TrashDialog = ({
+  products,
+  retentionDays,
+  onRestore,
+  onPurge,
+  onClose,
+  readOnly,
+}) => {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const trash = sortTrash(products);
+
+  const run = async (action, ids, verb) => {
+    setBusy(true);
+    setMessage(null);
+    const result = await action(ids);
+    if (result?.failed.length) {
+      setMessage(`Could not ${verb}: ${result.errors.join("; ")}`);
+    }
+    setBusy(false);
+  };
+
+  const handleEmpty = () => {
+    if (
+      window.confirm(
+        `Permanently delete ${trash.length} product${
+          trash.length === 1 ? "" : "s"
+        }? This cannot be undone.`
+      )
+    ) {
+      run(
+        onPurge,
+        trash.map((p) => p.id),
+        "empty the trash"
+      );
+    }
+  };
+
+  const purgeLabel = (product) => {
+    const purgeAt = getPurgeAt(product, retentionDays);
+    if (purgeAt === null) return "Kept until deleted";
+    const daysLeft = Math.max(0, -daysSince(purgeAt));
+    return daysLeft === 0
+      ? "Deleted today"
+      : `Deleted in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`;
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-900/20 flex items-center justify-center p-4">
+      <div className="w-full max-w-2xl bg-white rounded-xl shadow-2xl border border-slate-200 flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <div className="flex items-center gap-2 font-semibold text-slate-900">
+            <Trash2 size={16} /> Trash
+            <span className="text-xs font-normal text-slate-400">
+              {trash.length}
+            </span>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <fieldset
+          disabled={readOnly || busy}
+          className="flex-1 overflow-y-auto px-6 py-4 space-y-4 min-w-0"
+        >
+          <p className="text-xs text-slate-500">
+            {retentionDays
+              ? `Products are deleted for good ${retentionDays} days after being moved here. Change this in Workspace Settings.`
+              : "Products stay here until they are deleted for good."}
+          </p>
+
+          {trash.length === 0 ? (
+            <p className="text-sm text-slate-400 py-6 text-center">
+              Trash is empty.
+            </p>
+          ) : (
+            <div className="divide-y divide-slate-100">
+              {trash.map((product) => (
+                <div key={product.id} className="flex items-center gap-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm text-slate-800 truncate">
+                      {product.name || (
+                        <span className="text-slate-400 italic">
+                          Untitled Product
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-[11px] text-slate-400">
+                      Moved {new Date(product.deletedAt).toLocaleString()}
+                      {product.deletedBy && ` by ${product.deletedBy}`} ·{" "}
+                      {purgeLabel(product)}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => run(onRestore, [product.id], "restore")}
+                    className="flex items-center gap-1 text-xs text-indigo-600 font-semibold hover:underline"
+                  >
+                    <RotateCcw size={12} /> Restore
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (
+                        window.confirm(
+                          `Permanently delete "${
+                            product.name || "Untitled Product"
+                          }"? This cannot be undone.`
+                        )
+                      ) {
+                        run(onPurge, [product.id], "delete");
+                      }
+                    }}
+                    className="p-1.5 text-slate-400 hover:text-rose-500 transition-colors"
+                    title="Delete forever"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {message && <p className="text-xs text-rose-600">{message}</p>}
+        </fieldset>
+
+        {trash.length > 0 && !readOnly && (
+          <div className="px-6 py-3 border-t border-slate-100 flex justify-between">
+            <button
+              onClick={() =>
+                run(
+                  onRestore,
+                  trash.map((p) => p.id),
+                  "restore"
+                )
+              }
+              disabled={busy}
+              className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-1.5 rounded-md text-sm font-medium transition-all disabled:opacity-50"
+            >
+              <RotateCcw size={14} /> Restore All
+            </button>
+            <button
+              onClick={handleEmpty}
+              disabled={busy}
+              className="flex items-center gap-2 bg-rose-600 hover:bg-rose-500 text-white px-4 py-1.5 rounded-md text-sm font-medium transition-all disabled:opacity-50"
+            >
+              <Trash2 size={14} /> Empty Trash
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrashDialog;
@@ -0,0 +1,35 @@
+import React, { useEffect, useRef } from "react";
+import { RotateCcw, X } from "lucide-react";
+
+const UNDO_TIMEOUT = 6000;
+
+// Bottom toast with an Undo button that dismisses itself after a few
+// seconds. Give it a new `key` to restart the timer for a new action.
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  // The parent re-renders often; keep the timer running across new callbacks.
+  const dismissRef = useRef(onDismiss);
+  useEffect(() => {
+    dismissRef.current = onDismiss;
+  });
+  useEffect(() => {
+    const timer = setTimeout(() => dismissRef.current(), UNDO_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, []);
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 bg-slate-900 text-white text-sm px-4 py-2.5 rounded-lg shadow-2xl">
+      <span>{message}</span>
+      <button
+        onClick={onUndo}
+        className="flex items-center gap-1.5 font-semibold text-indigo-300 hover:text-indigo-200"
+      >
+        <RotateCcw size={14} /> Undo
+      </button>
+      <button onClick={onDismiss} className="text-slate-400 hover:text-white">
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
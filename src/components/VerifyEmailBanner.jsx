@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+import { MailCheck } from "lucide-react";
+
+// Shown until the signed-in address is verified; invites sent to it stay
+// hidden until then. `onCheck` resolves to whether it is verified now.
+const VerifyEmailBanner = ({ email, onResend, onCheck }) => {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage("");
+    try {
+      setMessage(await action());
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleResend = () =>
+    run(async () => {
+      await onResend();
+      return `Sent a new link to ${email}.`;
+    });
+
+  const handleCheck = () =>
+    run(async () =>
+      (await onCheck())
+        ? ""
+        : "Not verified yet. Open the link in the email, then try again."
+    );
+
+  return (
+    <div className="flex items-center gap-3 px-8 py-2 bg-amber-50 border-b border-amber-100 text-xs text-amber-800">
+      <MailCheck size={14} className="shrink-0" />
+      <span>
+        Verify {email} to see workspace invites sent to it.
+        {message && <span className="ml-2 text-amber-600">{message}</span>}
+      </span>
+      <div className="ml-auto flex gap-2">
+        <button
+          onClick={handleResend}
+          disabled={busy}
+          className="text-amber-700 font-semibold hover:underline disabled:opacity-50"
+        >
+          Resend email
+        </button>
+        <button
+          onClick={handleCheck}
+          disabled={busy}
+          className="bg-amber-600 hover:bg-amber-700 text-white px-2 py-1 rounded font-medium disabled:opacity-50"
+        >
+          I've verified
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
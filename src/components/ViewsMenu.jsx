@@ -0,0 +1,99 @@
+import React, { useState } from "react";
+import { Bookmark, Trash2, Save } from "lucide-react";
+import Popover from "./Popover";
+
+const ViewsMenu = ({ views, activeViewId, onApply, onSave, onDelete }) => {
+  const [name, setName] = useState("");
+  const activeView = views.find((v) => v.id === activeViewId);
+
+  const handleSaveNew = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave({ name: name.trim() });
+    setName("");
+  };
+
+  return (
+    <Popover
+      label={
+        <>
+          <Bookmark size={14} /> {activeView ? activeView.name : "Views"}
+        </>
+      }
+      title="Saved views"
+      width="w-72"
+    >
+      {(close) => (
+        <>
+          {views.length === 0 ? (
+            <div className="px-3 py-2 text-xs text-slate-400 italic">
+              No saved views yet.
+            </div>
+          ) : (
+            <div className="max-h-64 overflow-y-auto">
+              {views.map((view) => (
+                <div
+                  key={view.id}
+                  className={`flex items-center gap-2 px-3 py-1.5 hover:bg-slate-50 ${
+                    view.id === activeViewId ? "bg-slate-50" : ""
+                  }`}
+                >
+                  <button
+                    onClick={() => {
+                      onApply(view);
+                      close();
+                    }}
+                    className={`flex-1 text-left truncate ${
+                      view.id === activeViewId
+                        ? "font-semibold text-slate-900"
+                        : "text-slate-700"
+                    }`}
+                  >
+                    {view.name}
+                  </button>
+                  {view.id === activeViewId && (
+                    <button
+                      onClick={() => onSave({ id: view.id, name: view.name })}
+                      className="p-1 text-slate-400 hover:text-slate-700"
+                      title="Update with current layout"
+                    >
+                      <Save size={12} />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onDelete(view.id)}
+                    className="p-1 text-slate-400 hover:text-rose-500"
+                    title="Delete view"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          <form
+            onSubmit={handleSaveNew}
+            className="flex gap-2 border-t border-slate-100 mt-1 pt-2 px-3"
+          >
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Save current as..."
+              className="flex-1 min-w-0 bg-white border border-slate-200 rounded px-2 py-1 text-xs outline-none focus:border-slate-400"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="bg-slate-900 hover:bg-slate-800 text-white px-2 py-1 rounded text-xs font-medium disabled:opacity-50"
+            >
+              Save
+            </button>
+          </form>
+        </>
+      )}
+    </Popover>
+  );
+};
+
+export default ViewsMenu;
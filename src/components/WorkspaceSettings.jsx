@@ -0,0 +1,191 @@
+import React from "react";
+import { X, Settings, DollarSign, Target, Trash2 } from "lucide-react";
+import { ECONOMICS_FIELDS, DEFAULT_ROAS_THRESHOLDS } from "../lib/economics";
+import StatusSettings from "./StatusSettings";
+import ScorecardSettings from "./ScorecardSettings";
+import CurrencySettings from "./CurrencySettings";
+import { BASE_CURRENCY } from "../lib/currency";
+
+const WorkspaceSettings = ({
+  settings,
+  productCounts,
+  onUpdate,
+  onSaveStatuses,
+  onClose,
+  readOnly,
+}) => {
+  const economicsDefaults = settings.economicsDefaults || {};
+  const roasThresholds = settings.roasThresholds || DEFAULT_ROAS_THRESHOLDS;
+
+  const handleUpdateDefault = (key, value) => {
+    onUpdate("economicsDefaults", { ...economicsDefaults, [key]: value });
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-900/20 flex items-center justify-center p-4">
+      <div className="w-full max-w-2xl bg-white rounded-xl shadow-2xl border border-slate-200 flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <div className="flex items-center gap-2 font-semibold text-slate-900">
+            <Settings size={16} /> Workspace Settings
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-slate-100 text-slate-400 hover:text-slate-700 rounded-md transition-colors"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <fieldset
+          disabled={readOnly}
+          className="flex-1 overflow-y-auto px-6 py-6 space-y-8 min-w-0"
+        >
+          {readOnly && (
+            <p className="text-xs text-slate-500 bg-slate-50 border border-slate-200 rounded-md px-3 py-2">
+              Only owners and editors can change workspace settings.
+            </p>
+          )}
+          <StatusSettings
+            key={JSON.stringify(settings.statuses)}
+            statuses={settings.statuses}
+            productCounts={productCounts}
+            onSave={onSaveStatuses}
+          />
+
+          <div className="space-y-3">
+            <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+              <DollarSign size={16} /> Unit Economics Defaults
+            </div>
+            <p className="text-xs text-slate-500">
+              Used for any product that leaves the field empty.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              {ECONOMICS_FIELDS.map((field) => (
+                <div key={field.key} className="space-y-1">
+                  <label className="text-xs text-slate-500">
+                    {field.label}
+                  </label>
+                  <input
+                    type="number"
+                    value={economicsDefaults[field.key] ?? ""}
+                    onChange={(e) =>
+                      handleUpdateDefault(field.key, e.target.value)
+                    }
+                    className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
+                    placeholder="0"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+              <Target size={16} /> Break-Even ROAS Colors
+            </div>
+            <p className="text-xs text-slate-500">
+              Green up to the first value, amber up to the second, red above it.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              {[
+                { key: "good", label: "Green Up To" },
+                { key: "warning", label: "Amber Up To" },
+              ].map((field) => (
+                <div key={field.key} className="space-y-1">
+                  <label className="text-xs text-slate-500">
+                    {field.label}
+                  </label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={roasThresholds[field.key] ?? ""}
+                    onChange={(e) =>
+                      onUpdate("roasThresholds", {
+                        ...roasThresholds,
+                        [field.key]: e.target.value,
+                      })
+                    }
+                    className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <label className="text-xs text-slate-500">
+                  Ad Test Window (days)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.adTestWindowDays ?? ""}
+                  onChange={(e) => onUpdate("adTestWindowDays", e.target.value)}
+                  className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
+                  placeholder="All time"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-slate-500">
+              The table's Test ROAS column and the test:above / test:below
+              filter look at this many recent days of ad test results.
+            </p>
+          </div>
+
+          <CurrencySettings
+            reportingCurrency={settings.reportingCurrency || BASE_CURRENCY}
+            rates={settings.exchangeRates || []}
+            onUpdate={onUpdate}
+          />
+
+          <ScorecardSettings
+            criteria={settings.scorecard || []}
+            onChange={(next) => onUpdate("scorecard", next)}
+          />
+
+          <div className="space-y-3">
+            <div className="flex items-center gap-2 font-medium text-slate-800 border-b border-slate-100 pb-1">
+              <Trash2 size={16} /> Trash
+            </div>
+            <p className="text-xs text-slate-500">
+              Deleted products are purged for good after this many days. Leave
+              empty to keep them until the trash is emptied.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <label className="text-xs text-slate-500">
+                  Retention (days)
+                </label>
+                {/* Saved on blur: a half-typed "3" for "30" would purge.
+                    Under a day is refused: it would purge right after Delete. */}
+                <input
+                  key={settings.trashRetentionDays ?? ""}
+                  type="number"
+                  min="1"
+                  defaultValue={settings.trashRetentionDays ?? ""}
+                  onBlur={(e) => {
+                    if (
+                      e.target.value !== "" &&
+                      !(parseFloat(e.target.value) >= 1)
+                    ) {
+                      e.target.value = settings.trashRetentionDays ?? "";
+                      return;
+                    }
+                    if (
+                      e.target.value !== (settings.trashRetentionDays ?? "")
+                    ) {
+                      onUpdate("trashRetentionDays", e.target.value);
+                    }
+                  }}
+                  className="w-full bg-white border border-slate-200 rounded px-3 py-2 text-sm font-mono outline-none focus:border-slate-400"
+                  placeholder="Keep forever"
+                />
+              </div>
+            </div>
+          </div>
+        </fieldset>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceSettings;
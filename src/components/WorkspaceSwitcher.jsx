@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { ChevronDown, Check, Users, Mail } from "lucide-react";
+import { ROLE_LABELS } from "../lib/workspaces";
+import Popover from "./Popover";
+
+const WorkspaceSwitcher = ({
+  workspaces,
+  activeWorkspace,
+  role,
+  receivedInvites,
+  userId,
+  onSwitch,
+  onCreate,
+  onManage,
+  onAcceptInvite,
+  onDeclineInvite,
+}) => {
+  const [name, setName] = useState("");
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onCreate(name.trim());
+    setName("");
+  };
+
+  return (
+    <Popover
+      label={
+        <>
+          <span className="max-w-[10rem] truncate">
+            {activeWorkspace?.name || "Workspace"}
+          </span>
+          {role && (
+            <span className="text-[10px] uppercase tracking-wider text-slate-400">
+              {ROLE_LABELS[role]}
+            </span>
+          )}
+          {receivedInvites.length > 0 && (
+            <span className="bg-indigo-600 text-white rounded-full px-1.5 text-[10px]">
+              {receivedInvites.length}
+            </span>
+          )}
+          <ChevronDown size={12} />
+        </>
+      }
+      title="Switch workspace"
+      width="w-72"
+    >
+      {(close) => (
+        <>
+          <div className="px-3 pb-1 text-[10px] uppercase font-bold tracking-wider text-slate-400">
+            Workspaces
+          </div>
+          {workspaces.map((ws) => (
+            <button
+              key={ws.id}
+              onClick={() => {
+                onSwitch(ws.id);
+                close();
+              }}
+              className="w-full flex items-center gap-2 px-3 py-1.5 hover:bg-slate-50 text-left"
+            >
+              <span className="w-4">
+                {ws.id === activeWorkspace?.id && <Check size={14} />}
+              </span>
+              <span className="flex-1 truncate text-slate-700">{ws.name}</span>
+              <span className="text-[10px] uppercase tracking-wider text-slate-400">
+                {ROLE_LABELS[ws.roles?.[userId]]}
+              </span>
+            </button>
+          ))}
+
+          {receivedInvites.length > 0 && (
+            <div className="border-t border-slate-100 mt-1 pt-1">
+              <div className="px-3 py-1 text-[10px] uppercase font-bold tracking-wider text-slate-400">
+                Invitations
+              </div>
+              {receivedInvites.map((invite) => (
+                <div key={invite.id} className="px-3 py-1.5 space-y-1">
+                  <div className="flex items-center gap-2 text-slate-700">
+                    <Mail size={12} className="text-slate-400" />
+                    <span className="truncate">{invite.workspaceName}</span>
+                    <span className="text-[10px] uppercase tracking-wider text-slate-400">
+                      {ROLE_LABELS[invite.role]}
+                    </span>
+                  </div>
+                  <div className="text-[10px] text-slate-400">
+                    from {invite.invitedBy}
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => onAcceptInvite(invite)}
+                      className="bg-slate-900 hover:bg-slate-800 text-white px-2 py-0.5 rounded text-xs font-medium"
+                    >
+                      Accept
+                    </button>
+                    <button
+                      onClick={() => onDeclineInvite(invite)}
+                      className="bg-slate-100 hover:bg-slate-200 text-slate-700 px-2 py-0.5 rounded text-xs font-medium"
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="border-t border-slate-100 mt-1 pt-1">
+            <button
+              onClick={() => {
+                onManage();
+                close();
+              }}
+              className="w-full flex items-center gap-2 px-3 py-1.5 hover:bg-slate-50 text-left text-slate-700"
+            >
+              <Users size={14} /> Members & Invites
+            </button>
+          </div>
+
+          <form
+            onSubmit={handleCreate}
+            className="flex gap-2 border-t border-slate-100 mt-1 pt-2 px-3"
+          >
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="New workspace name"
+              className="flex-1 min-w-0 bg-white border border-slate-200 rounded px-2 py-1 text-xs outline-none focus:border-slate-400"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="bg-slate-900 hover:bg-slate-800 text-white px-2 py-1 rounded text-xs font-medium disabled:opacity-50"
+            >
+              Create
+            </button>
+          </form>
+        </>
+      )}
+    </Popover>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,123 @@
+// --- Ad Test Log ---
+// What actually happened when a product was tested with paid ads. One entry
+// per day and platform:
+//   adTests: [{ id, date: "YYYY-MM-DD", platform, spend, revenue, orders,
+//               clicks, impressions }]
+// Values are kept as typed. Results are compared with the product's
+// theoretical break-even: profit is revenue at the product's margin minus ad
+// spend, so a test is profitable exactly when its ROAS beats B/E ROAS.
+
+import { calculateUnitEconomics } from "./economics";
+import { daysAgoIso } from "./analytics";
+import { generateId } from "./products";
+
+export const AD_PLATFORMS = [
+  "Facebook",
+  "TikTok",
+  "Google",
+  "Pinterest",
+  "Snapchat",
+  "Other",
+];
+
+export const DEFAULT_AD_TEST_WINDOW_DAYS = "7";
+
+export const createAdTestEntry = (overrides = {}) => ({
+  id: generateId(),
+  date: "",
+  platform: AD_PLATFORMS[0],
+  spend: "",
+  revenue: "",
+  orders: "",
+  clicks: "",
+  impressions: "",
+  ...overrides,
+});
+
+const toNumber = (val) => {
+  const n = parseFloat(val);
+  return isNaN(n) ? 0 : n;
+};
+
+// Newest day first.
+export const getAdTestEntries = (product) =>
+  [...(product.adTests || [])].sort((a, b) =>
+    (b.date || "").localeCompare(a.date || "")
+  );
+
+// Entries from the last `days` calendar days, today included. An empty or
+// invalid window means all entries.
+export const entriesInWindow = (entries, days) => {
+  const n = parseInt(days, 10);
+  if (isNaN(n) || n <= 0) return entries;
+  const from = daysAgoIso(n - 1);
+  return entries.filter((e) => e.date && e.date >= from);
+};
+
+/**
+ * Totals and ratios for `entries`. Ratios are null when their denominator is
+ * zero; `profit` is null when the product's economics are incomplete.
+ */
+export const summarizeAdTests = (entries, economics) => {
+  const totals = { spend: 0, revenue: 0, orders: 0, clicks: 0, impressions: 0 };
+  entries.forEach((entry) =>
+    Object.keys(totals).forEach((key) => {
+      totals[key] += toNumber(entry[key]);
+    })
+  );
+  const marginRatio =
+    economics && economics.revenue > 0
+      ? economics.contributionMargin / economics.revenue
+      : null;
+  return {
+    ...totals,
+    days: new Set(entries.map((e) => e.date).filter(Boolean)).size,
+    roas: totals.spend > 0 ? totals.revenue / totals.spend : null,
+    cpa: totals.orders > 0 ? totals.spend / totals.orders : null,
+    ctr:
+      totals.impressions > 0
+        ? (totals.clicks / totals.impressions) * 100
+        : null,
+    profit:
+      marginRatio === null ? null : totals.revenue * marginRatio - totals.spend,
+  };
+};
+
+/**
+ * "above" or "below" break-even, or null when there is no spend or no
+ * break-even to compare with. A loss-making product is always below.
+ */
+export const breakEvenVerdict = (summary, economics) => {
+  if (!economics || summary.roas === null) return null;
+  if (economics.breakEvenRoas <= 0) return "below";
+  return summary.roas >= economics.breakEvenRoas ? "above" : "below";
+};
+
+// Test results over the workspace's window, for the table column.
+export const recentAdTestResult = (product, economicsDefaults, days) => {
+  const economics = calculateUnitEconomics(product, economicsDefaults);
+  const summary = summarizeAdTests(
+    entriesInWindow(getAdTestEntries(product), days),
+    economics
+  );
+  return { summary, verdict: breakEvenVerdict(summary, economics) };
+};
+
+export const VERDICT_CLASSES = {
+  above: "text-emerald-600",
+  below: "text-rose-600",
+};
+
+// One line per platform, biggest spend first.
+export const summarizeByPlatform = (entries, economics) => {
+  const platforms = [...new Set(entries.map((e) => e.platform || "Other"))];
+  return platforms
+    .map((platform) => ({
+      platform,
+      ...summarizeAdTests(
+        entries.filter((e) => (e.platform || "Other") === platform),
+        economics
+      ),
+    }))
+    .sort((a, b) => b.spend - a.spend);
+};
@@ -0,0 +1,245 @@
+// --- Portfolio Analytics ---
+// Aggregates for the dashboard, computed from the same product list the
+// table shows. Dates are local calendar days ("YYYY-MM-DD") so the range
+// filter matches what the date inputs display.
+
+import { calculateUnitEconomics } from "./economics";
+import { sortStatuses } from "./statuses";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d).getTime();
+};
+
+/**
+ * Keeps products created inside [from, to], both inclusive and optional.
+ * Products without a `createdAt` only pass when no range is set.
+ */
+export const filterByCreatedAt = (products, { from, to } = {}) => {
+  if (!from && !to) return products;
+  const start = from ? startOfDay(from) : -Infinity;
+  const end = to ? startOfDay(to) + DAY_MS : Infinity;
+  return products.filter(
+    (p) => p.createdAt && p.createdAt >= start && p.createdAt < end
+  );
+};
+
+// Workspace statuses in pipeline order with how many products sit in each.
+// Products in a status that no longer exists are counted under their name.
+export const countByStatus = (products, statuses) => {
+  const counts = {};
+  products.forEach((p) => {
+    counts[p.status] = (counts[p.status] || 0) + 1;
+  });
+  const rows = sortStatuses(statuses).map((status) => ({
+    name: status.name,
+    color: status.color,
+    count: counts[status.name] || 0,
+  }));
+  Object.keys(counts)
+    .filter((name) => !statuses.some((s) => s.name === name))
+    .forEach((name) =>
+      rows.push({
+        name: name || "No status",
+        color: "slate",
+        count: counts[name],
+      })
+    );
+  return rows;
+};
+
+const reachedStatuses = (product) => {
+  const names = new Set((product.statusHistory || []).map((entry) => entry.to));
+  names.add(product.status);
+  return names;
+};
+
+/**
+ * Funnel through the non-terminal stages. A product has reached a stage when
+ * it has ever been in it or in any later stage, so skipping a stage still
+ * counts as passing through it. `rate` is the share of the previous stage
+ * that made it this far (null for the first stage).
+ */
+export const pipelineConversion = (products, statuses) => {
+  const stages = sortStatuses(statuses).filter((s) => !s.terminal);
+  const furthest = products.map((p) => {
+    const reached = reachedStatuses(p);
+    let index = -1;
+    stages.forEach((stage, i) => {
+      if (reached.has(stage.name)) index = i;
+    });
+    return index;
+  });
+
+  return stages.map((stage, i) => {
+    const count = furthest.filter((index) => index >= i).length;
+    const previous = i > 0 ? furthest.filter((index) => index >= i - 1) : null;
+    return {
+      name: stage.name,
+      color: stage.color,
+      count,
+      rate:
+        previous === null
+          ? null
+          : previous.length
+          ? (count / previous.length) * 100
+          : null,
+    };
+  });
+};
+
+export const MARGIN_BUCKETS = [
+  { label: "< 0%", max: 0 },
+  { label: "0–10%", max: 10 },
+  { label: "10–20%", max: 20 },
+  { label: "20–30%", max: 30 },
+  { label: "30–40%", max: 40 },
+  { label: "40%+", max: Infinity },
+];
+
+export const ROAS_BUCKETS = [
+  { label: "Loss", max: 0 },
+  { label: "< 1.5x", max: 1.5 },
+  { label: "1.5–2x", max: 2 },
+  { label: "2–2.5x", max: 2.5 },
+  { label: "2.5–3x", max: 3 },
+  { label: "3x+", max: Infinity },
+];
+
+// Counts values into the first bucket whose `max` they stay below; the first
+// bucket also takes its own upper bound (0 margin or a 0 "loss" ROAS).
+export const histogram = (values, buckets) => {
+  const counts = buckets.map((bucket) => ({ ...bucket, count: 0 }));
+  values.forEach((value) => {
+    const index = counts.findIndex((bucket, i) =>
+      i === 0 ? value <= bucket.max : value < bucket.max
+    );
+    if (index !== -1) counts[index].count += 1;
+  });
+  return counts;
+};
+
+// Monday of the week `time` falls in, as local midnight.
+const weekStart = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+};
+
+/**
+ * Products created per week, oldest first, with empty weeks filled in so the
+ * chart keeps its time scale.
+ */
+export const addedPerWeek = (products) => {
+  const times = products.map((p) => p.createdAt).filter(Boolean);
+  if (times.length === 0) return [];
+
+  const counts = new Map();
+  times.forEach((time) => {
+    const week = weekStart(time);
+    counts.set(week, (counts.get(week) || 0) + 1);
+  });
+
+  const weeks = [];
+  const last = weekStart(Math.max(...times));
+  for (
+    let date = new Date(weekStart(Math.min(...times)));
+    date.getTime() <= last;
+    date.setDate(date.getDate() + 7)
+  ) {
+    weeks.push({
+      week: date.getTime(),
+      count: counts.get(date.getTime()) || 0,
+    });
+  }
+  return weeks;
+};
+
+/**
+ * Average time from creation to the first decision. A decision is moving
+ * into a terminal status or into the last active stage of the pipeline
+ * (e.g. Rejected or Approved with the default statuses). Returns
+ * { average (ms) | null, decided, undecided }.
+ */
+export const timeToDecision = (products, statuses) => {
+  const sorted = sortStatuses(statuses);
+  const active = sorted.filter((s) => !s.terminal);
+  const decisions = new Set(
+    sorted
+      .filter((s) => s.terminal || s === active[active.length - 1])
+      .map((s) => s.name)
+  );
+
+  const durations = [];
+  products.forEach((p) => {
+    const history = p.statusHistory || [];
+    const start = p.createdAt || history[0]?.at;
+    const decision = history.find(
+      (entry) => entry.from !== null && decisions.has(entry.to)
+    );
+    if (start && decision) durations.push(Math.max(0, decision.at - start));
+  });
+
+  return {
+    average: durations.length
+      ? durations.reduce((a, b) => a + b, 0) / durations.length
+      : null,
+    decided: durations.length,
+    undecided: products.length - durations.length,
+  };
+};
+
+// Highest margin % first; products without complete economics are skipped.
+export const topByMargin = (products, economicsDefaults, limit = 5) =>
+  products
+    .map((product) => ({
+      product,
+      economics: calculateUnitEconomics(product, economicsDefaults),
+    }))
+    .filter((row) => row.economics)
+    .sort((a, b) => b.economics.marginPercent - a.economics.marginPercent)
+    .slice(0, limit);
+
+/**
+ * Everything the dashboard shows for a list of products. `context` is
+ * { statuses, economicsDefaults }.
+ */
+export const buildPortfolioStats = (products, context) => {
+  const economics = products
+    .map((p) => calculateUnitEconomics(p, context.economicsDefaults))
+    .filter(Boolean);
+
+  return {
+    total: products.length,
+    statusCounts: countByStatus(products, context.statuses),
+    pipeline: pipelineConversion(products, context.statuses),
+    margins: histogram(
+      economics.map((e) => e.marginPercent),
+      MARGIN_BUCKETS
+    ),
+    roas: histogram(
+      economics.map((e) => e.breakEvenRoas),
+      ROAS_BUCKETS
+    ),
+    averageMargin: economics.length
+      ? economics.reduce((sum, e) => sum + e.marginPercent, 0) /
+        economics.length
+      : null,
+    weekly: addedPerWeek(products),
+    decision: timeToDecision(products, context.statuses),
+    topByMargin: topByMargin(products, context.economicsDefaults),
+  };
+};
+
+// Local calendar date `days` before today, for the range presets.
+export const daysAgoIso = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+};
@@ -0,0 +1,102 @@
+// --- Workspace Backup & Restore ---
+
+export const BACKUP_FORMAT = "dropship-tracker-backup";
+export const BACKUP_VERSION = 1;
+
+export const createBackup = ({ products, settings }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  settings,
+  products,
+});
+
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON.");
+  }
+
+  if (!data || data.format !== BACKUP_FORMAT) {
+    throw new Error("File is not a product research backup.");
+  }
+  if (typeof data.version !== "number" || data.version > BACKUP_VERSION) {
+    throw new Error(
+      `Backup version ${data.version} is not supported by this app (max ${BACKUP_VERSION}).`
+    );
+  }
+  if (!Array.isArray(data.products)) {
+    throw new Error("Backup is missing its product list.");
+  }
+
+  return data;
+};
+
+// Key order differs between Firestore reads and parsed files, so compare on a
+// normalized form.
+const stableStringify = (val) => {
+  if (Array.isArray(val)) return `[${val.map(stableStringify).join(",")}]`;
+  if (val && typeof val === "object") {
+    return `{${Object.keys(val)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(val[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(val);
+};
+
+/**
+ * Works out what a restore would do without writing anything.
+ *
+ * mode: "merge"   - backup products are created or overwrite the same ID,
+ *                   products missing from the backup are kept.
+ * mode: "replace" - the workspace ends up matching the backup exactly, so
+ *                   products missing from the backup are deleted.
+ */
+export const planRestore = ({ backup, products, mode }) => {
+  const existingById = new Map(products.map((p) => [p.id, p]));
+  const seen = new Set();
+  const plan = {
+    create: [],
+    overwrite: [],
+    skip: [],
+    remove: [],
+  };
+
+  backup.products.forEach((product, idx) => {
+    if (!product || typeof product !== "object" || !product.id) {
+      plan.skip.push({ index: idx, name: "", reason: "Missing product ID" });
+      return;
+    }
+    if (seen.has(product.id)) {
+      plan.skip.push({
+        index: idx,
+        name: product.name || "",
+        reason: `Duplicate ID "${product.id}"`,
+      });
+      return;
+    }
+    seen.add(product.id);
+
+    const existing = existingById.get(product.id);
+    if (!existing) {
+      plan.create.push(product);
+    } else if (stableStringify(existing) === stableStringify(product)) {
+      plan.skip.push({
+        index: idx,
+        name: product.name || "",
+        reason: "Unchanged",
+      });
+    } else {
+      plan.overwrite.push(product);
+    }
+  });
+
+  if (mode === "replace") {
+    plan.remove = products.filter((p) => !seen.has(p.id));
+  }
+
+  return plan;
+};
@@ -0,0 +1,86 @@
+// --- Bulk Product Actions ---
+// Table multi-select helpers and chunked batched writes. Firestore batches
+// hold at most 500 writes and are atomic, so each chunk either lands as a
+// whole or fails as a whole; the summary reports products, not chunks.
+
+import { writeBatch } from "firebase/firestore";
+import { db } from "./firebase";
+
+export const BATCH_LIMIT = 500;
+
+// Ids from `anchorId` to `targetId` (inclusive) in display order. Without a
+// visible anchor the range is just the target.
+export const selectRange = (orderedIds, anchorId, targetId) => {
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(targetId);
+  if (from === -1 || to === -1) return [targetId];
+  return orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+};
+
+/**
+ * Checkbox click on `id`. A shift-click applies the clicked row's new state
+ * to the whole range from the last clicked row.
+ */
+export const updateSelection = (selected, orderedIds, id, anchorId, shift) => {
+  const checked = !selected.includes(id);
+  const ids = shift ? selectRange(orderedIds, anchorId, id) : [id];
+  return checked
+    ? [...selected, ...ids.filter((i) => !selected.includes(i))]
+    : selected.filter((i) => !ids.includes(i));
+};
+
+// `items` split so that `writesPerItem` writes each fit in one batch.
+const toChunks = (items, writesPerItem) => {
+  const size = Math.floor(BATCH_LIMIT / writesPerItem);
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const commitChunk = (chunk, apply) => {
+  const batch = writeBatch(db);
+  chunk.forEach((item) => apply(batch, item));
+  return batch.commit();
+};
+
+/**
+ * Runs `apply(batch, item)` for every item, committing in chunks. Returns
+ * { succeeded: [items], failed: [items], errors: [messages] }; a failed chunk
+ * does not stop the chunks after it. Pass `writesPerItem` when `apply` makes
+ * more than one write so chunks stay under the batch limit.
+ */
+export const commitInChunks = async (items, apply, writesPerItem = 1) => {
+  const result = { succeeded: [], failed: [], errors: [] };
+  for (const chunk of toChunks(items, writesPerItem)) {
+    try {
+      await commitChunk(chunk, apply);
+      result.succeeded.push(...chunk);
+    } catch (e) {
+      console.error("Error committing batch:", e);
+      result.failed.push(...chunk);
+      if (!result.errors.includes(e.message)) result.errors.push(e.message);
+    }
+  }
+  return result;
+};
+
+/**
+ * Same chunking, but the first chunk that fails stops the rest and its error
+ * is thrown; the chunks before it stay written. For writes whose later
+ * chunks rely on the earlier ones having landed.
+ */
+export const commitChunksInOrder = async (items, apply, writesPerItem = 1) => {
+  for (const chunk of toChunks(items, writesPerItem)) {
+    await commitChunk(chunk, apply);
+  }
+};
+
+// One line for the bulk action bar, e.g. "Deleted 12 products. 3 failed: ...".
+export const summarizeBulkResult = (verb, { succeeded, failed, errors }) => {
+  const plural = (n) => `${n} product${n === 1 ? "" : "s"}`;
+  if (failed.length === 0) return `${verb} ${plural(succeeded.length)}.`;
+  const done = succeeded.length ? `${verb} ${plural(succeeded.length)}. ` : "";
+  return `${done}${plural(failed.length)} failed: ${errors.join("; ")}`;
+};
@@ -0,0 +1,239 @@
+// --- Product Table Columns ---
+// Column registry for the product table. `getValue` feeds sorting, and an
+// optional `isLast(value)` marks values that sort after the rest (but before
+// empty ones) in either direction; the table component decides how each
+// column renders. The context passed to getValue is
+// { economicsDefaults, statuses, scorecard, adTestWindowDays }.
+
+import { calculateUnitEconomics } from "./economics";
+import { getStatusSince } from "./statusHistory";
+import { sortStatuses } from "./statuses";
+import { sumTraffic } from "./competitorMetrics";
+import { scoreProduct } from "./scorecard";
+import { getNiche, getTags } from "./tags";
+import { recentAdTestResult } from "./adTests";
+
+const economicsValue = (key) => (p, ctx) =>
+  calculateUnitEconomics(p, ctx.economicsDefaults)?.[key] ?? null;
+
+const numberValue = (val) => {
+  const n = parseFloat(val);
+  return isNaN(n) ? null : n;
+};
+
+export const TABLE_COLUMNS = [
+  { id: "name", label: "Product Name", getValue: (p) => p.name || "" },
+  {
+    id: "status",
+    label: "Status",
+    // Sort by pipeline order, not alphabetically.
+    getValue: (p, ctx) => {
+      const idx = sortStatuses(ctx.statuses).findIndex(
+        (s) => s.name === p.status
+      );
+      return idx === -1 ? null : idx;
+    },
+  },
+  {
+    id: "cogs",
+    label: "COGs",
+    align: "right",
+    getValue: (p) => numberValue(p.cogs),
+  },
+  {
+    id: "price",
+    label: "Selling Price",
+    align: "right",
+    getValue: (p) => numberValue(p.price),
+  },
+  {
+    id: "margin",
+    label: "Margin",
+    align: "right",
+    getValue: economicsValue("contributionMargin"),
+  },
+  {
+    id: "marginPercent",
+    label: "Margin %",
+    align: "right",
+    getValue: economicsValue("marginPercent"),
+  },
+  {
+    id: "breakEvenCpa",
+    label: "B/E CPA",
+    align: "right",
+    getValue: economicsValue("breakEvenCpa"),
+  },
+  {
+    id: "breakEvenRoas",
+    label: "B/E ROAS",
+    align: "right",
+    getValue: economicsValue("breakEvenRoas"),
+    // Losses (0) can never break even, so they sort after every real ROAS.
+    isLast: (roas) => roas <= 0,
+  },
+  {
+    id: "testRoas",
+    label: "Test ROAS",
+    title: "Actual ROAS over the ad test window vs break-even",
+    align: "right",
+    // Sort by how far above (or below) break-even the test ran.
+    getValue: (p, ctx) => {
+      const { summary } = recentAdTestResult(
+        p,
+        ctx.economicsDefaults,
+        ctx.adTestWindowDays
+      );
+      const breakEven = economicsValue("breakEvenRoas")(p, ctx);
+      if (summary.roas === null) return null;
+      return breakEven > 0 ? summary.roas / breakEven : -Infinity;
+    },
+  },
+  {
+    id: "daysInStatus",
+    label: "In Status",
+    title: "Days in current status",
+    align: "right",
+    // Older timestamp = longer in status, so sort on negated time.
+    getValue: (p) => {
+      const since = getStatusSince(p);
+      return since ? -since : null;
+    },
+  },
+  {
+    id: "age",
+    label: "Age",
+    title: "Days since created",
+    align: "right",
+    getValue: (p) => (p.createdAt ? -p.createdAt : null),
+  },
+  {
+    id: "score",
+    label: "Score",
+    title: "Weighted scorecard total (0-100)",
+    align: "right",
+    getValue: (p, ctx) => scoreProduct(p, ctx.scorecard, ctx).total,
+  },
+  {
+    id: "niche",
+    label: "Niche",
+    getValue: (p) => getNiche(p),
+  },
+  {
+    id: "tags",
+    label: "Tags",
+    getValue: (p) => getTags(p).join(", "),
+  },
+  {
+    id: "targetMarket",
+    label: "Target Market",
+    getValue: (p) => p.targetMarket || "",
+  },
+  {
+    id: "hasContent",
+    label: "Content",
+    getValue: (p) => (p.hasContent ? 1 : 0),
+  },
+  {
+    id: "competitorAds",
+    label: "Competitor Ads",
+    title: "Total active ads across competitors",
+    align: "right",
+    getValue: (p) => {
+      const counts = (p.competitors || [])
+        .map((c) => numberValue(c.adsCount))
+        .filter((n) => n !== null);
+      return counts.length ? counts.reduce((a, b) => a + b, 0) : null;
+    },
+  },
+  {
+    id: "competitorTraffic",
+    label: "Competitor Traffic",
+    title: "Total monthly traffic across competitors",
+    align: "right",
+    getValue: (p) => sumTraffic(p.competitors),
+  },
+  {
+    id: "competitorCount",
+    label: "Competitors",
+    align: "right",
+    getValue: (p) => (p.competitors || []).filter((c) => c.brand).length,
+  },
+  {
+    id: "supplierLink",
+    label: "Supplier",
+    getValue: (p) => p.supplierLink || "",
+  },
+  {
+    id: "createdAt",
+    label: "Created",
+    align: "right",
+    getValue: (p) => p.createdAt || null,
+  },
+];
+
+export const DEFAULT_COLUMNS = [
+  "name",
+  "status",
+  "niche",
+  "tags",
+  "cogs",
+  "price",
+  "margin",
+  "marginPercent",
+  "breakEvenCpa",
+  "breakEvenRoas",
+  "testRoas",
+  "score",
+  "daysInStatus",
+  "age",
+];
+
+export const getColumn = (id) => TABLE_COLUMNS.find((c) => c.id === id);
+
+// Drops ids that no longer exist (e.g. from an older saved view).
+export const resolveColumns = (ids) => ids.map(getColumn).filter(Boolean);
+
+const compareValues = (a, b) => {
+  if (typeof a === "string" && typeof b === "string") {
+    return a.localeCompare(b, undefined, { sensitivity: "base" });
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Sorts by `sort` ({ column, direction: "asc" | "desc" }). Empty values always
+ * sink to the bottom, with the column's `isLast` values just above them. Without a sort, newest products come first.
+ */
+export const sortProducts = (products, sort, context) => {
+  // Newest-first base order also breaks ties for the column sort below.
+  const newestFirst = [...products].sort(
+    (a, b) => (b.createdAt || 0) - (a.createdAt || 0)
+  );
+  const column = sort && getColumn(sort.column);
+  if (!column) return newestFirst;
+
+  const dir = sort.direction === "desc" ? -1 : 1;
+  return newestFirst
+    .map((product) => ({ product, value: column.getValue(product, context) }))
+    .sort((a, b) => {
+      const aEmpty = a.value === null || a.value === "";
+      const bEmpty = b.value === null || b.value === "";
+      if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+      const aLast = !!column.isLast?.(a.value);
+      const bLast = !!column.isLast?.(b.value);
+      if (aLast !== bLast) return aLast ? 1 : -1;
+      return compareValues(a.value, b.value) * dir;
+    })
+    .map(({ product }) => product);
+};
+
+// Header click cycles ascending → descending → off.
+export const nextSort = (sort, columnId) => {
+  if (!sort || sort.column !== columnId) {
+    return { column: columnId, direction: "asc" };
+  }
+  return sort.direction === "asc"
+    ? { column: columnId, direction: "desc" }
+    : null;
+};
@@ -0,0 +1,92 @@
+// --- Competitor Metric Snapshots ---
+// Each competitor keeps a dated log of its active ad count and monthly
+// traffic:
+//   snapshots: [{ id, date: "YYYY-MM-DD", adsCount, traffic }]
+// Values are stored as numbers (or null when not recorded). The competitor's
+// plain `adsCount` / `traffic` fields keep holding the latest reading so
+// filters, columns and CSV export keep working unchanged.
+
+import { generateId } from "./products";
+import { daysAgoIso } from "./analytics";
+
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Local calendar date as "YYYY-MM-DD".
+export const todayIso = () => daysAgoIso(0);
+
+/**
+ * Parses traffic as typed by people: "50k", "1.2M", "12,500", "~3.4k/mo".
+ * Returns null for anything without a number in it.
+ */
+export const parseTraffic = (input) => {
+  if (typeof input === "number") return isFinite(input) ? input : null;
+  if (!input) return null;
+  const match = String(input)
+    .toLowerCase()
+    .replace(/,/g, "")
+    .match(/(\d+(?:\.\d+)?)\s*([kmb])?/);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * (SUFFIXES[match[2]] || 1));
+};
+
+export const parseAdsCount = (input) => {
+  if (input === "" || input === null || input === undefined) return null;
+  const n = parseFloat(input);
+  return isNaN(n) ? null : n;
+};
+
+export const getSnapshots = (competitor) =>
+  [...(competitor.snapshots || [])].sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+
+/**
+ * Records the competitor's current ads and traffic values for `date`. A
+ * second reading on the same day replaces the first.
+ */
+export const logSnapshot = (competitor, date) => {
+  const snapshot = {
+    id: generateId(),
+    date,
+    adsCount: parseAdsCount(competitor.adsCount),
+    traffic: parseTraffic(competitor.traffic),
+  };
+  return [
+    ...getSnapshots(competitor).filter((s) => s.date !== date),
+    snapshot,
+  ].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+export const removeSnapshot = (competitor, snapshotId) =>
+  getSnapshots(competitor).filter((s) => s.id !== snapshotId);
+
+// Dated values for one metric ("adsCount" | "traffic"), skipping readings
+// where it was not recorded.
+export const getMetricSeries = (competitor, metric) =>
+  getSnapshots(competitor)
+    .filter((s) => s[metric] !== null && s[metric] !== undefined)
+    .map((s) => ({ date: s.date, value: s[metric] }));
+
+/**
+ * Change between the last two readings of a series, or null with fewer than
+ * two. `percent` is null when the previous reading was zero.
+ */
+export const getLatestDelta = (series) => {
+  if (series.length < 2) return null;
+  const latest = series[series.length - 1];
+  const previous = series[series.length - 2];
+  const delta = latest.value - previous.value;
+  return {
+    latest,
+    previous,
+    delta,
+    percent: previous.value ? (delta / previous.value) * 100 : null,
+  };
+};
+
+export const sumTraffic = (competitors = []) => {
+  const values = competitors
+    .map((c) => parseTraffic(c.traffic))
+    .filter((n) => n !== null);
+  return values.length ? values.reduce((a, b) => a + b, 0) : null;
+};
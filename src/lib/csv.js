@@ -0,0 +1,88 @@
+// --- CSV Helpers ---
+// Minimal RFC 4180 reader/writer: quoted fields, escaped quotes ("") and
+// line breaks inside quotes are supported. The writer guards against CSV
+// formula injection.
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop fully empty lines (trailing newline, blank spacer rows).
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+};
+
+// Spreadsheets run a cell starting with one of these as a formula, so
+// exported text that does gets a leading ' and opens as plain text. Numbers
+// such as "-12.50" are left alone.
+const FORMULA_START = /^[=+\-@]/;
+const PLAIN_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+const protectFormula = (str) =>
+  FORMULA_START.test(str) && !PLAIN_NUMBER.test(str) ? `'${str}` : str;
+
+// Undoes protectFormula() when a file we exported is imported again.
+export const unprotectFormula = (str) =>
+  /^'[=+\-@]/.test(str) ? str.slice(1) : str;
+
+const escapeCell = (val) => {
+  const str = protectFormula(
+    val === undefined || val === null ? "" : String(val)
+  );
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+
+export const downloadFile = (filename, content, type = "text/csv") => {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,60 @@
+// --- Currencies & Exchange Rates ---
+// Product costs and prices are entered in USD. Markets can sell in their own
+// currency, and the product list can show money in a workspace reporting
+// currency. Conversion uses the workspace's own rate table, so it works
+// offline and never changes unless someone edits it:
+//   exchangeRates: [{ currency, rate }]   units of the currency per 1 USD
+// It is a list rather than a map so a removed currency is really gone after
+// a merged settings write.
+
+export const BASE_CURRENCY = "USD";
+
+export const DEFAULT_REPORTING_CURRENCY = BASE_CURRENCY;
+
+// Rough starting values; every workspace should keep its own up to date.
+export const DEFAULT_EXCHANGE_RATES = [
+  { currency: "EUR", rate: "0.92" },
+  { currency: "GBP", rate: "0.79" },
+  { currency: "CAD", rate: "1.37" },
+  { currency: "AUD", rate: "1.52" },
+  { currency: "NZD", rate: "1.66" },
+  { currency: "CHF", rate: "0.88" },
+  { currency: "SEK", rate: "10.5" },
+  { currency: "NOK", rate: "10.7" },
+  { currency: "DKK", rate: "6.87" },
+  { currency: "PLN", rate: "3.95" },
+];
+
+// Currencies a workspace can pick: the base plus every rate it has.
+export const getCurrencies = (rates = []) => [
+  BASE_CURRENCY,
+  ...rates
+    .map((r) => r.currency)
+    .filter((code) => code !== BASE_CURRENCY)
+    .sort(),
+];
+
+// Units of `currency` per 1 USD, or null without a usable rate.
+export const getRate = (currency, rates = []) => {
+  if (!currency || currency === BASE_CURRENCY) return 1;
+  const rate = parseFloat(rates.find((r) => r.currency === currency)?.rate);
+  return isNaN(rate) || rate <= 0 ? null : rate;
+};
+
+/**
+ * Converts `amount` between currencies through USD. Null when the amount is
+ * missing or either rate is unknown.
+ */
+export const convert = (amount, from, to, rates) => {
+  if (amount === null || amount === undefined || isNaN(amount)) return null;
+  const fromRate = getRate(from, rates);
+  const toRate = getRate(to, rates);
+  if (fromRate === null || toRate === null) return null;
+  return (amount / fromRate) * toRate;
+};
+
+// Three-letter code as typed ("eur " -> "EUR"), or "" when it isn't one.
+export const normalizeCurrencyCode = (input) => {
+  const code = (input || "").trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : "";
+};
@@ -0,0 +1,94 @@
+// --- Unit Economics ---
+// Per-order cost model. Every field below can be set on a product; anything a
+// product leaves empty falls back to the workspace default.
+
+export const ECONOMICS_FIELDS = [
+  { key: "shippingCost", label: "Shipping ($)", unit: "currency" },
+  { key: "processorFeePercent", label: "Processor Fee (%)", unit: "percent" },
+  { key: "processorFeeFixed", label: "Processor Fee ($)", unit: "currency" },
+  { key: "platformFees", label: "Platform / App Fees ($)", unit: "currency" },
+  { key: "returnRate", label: "Return / Refund Rate (%)", unit: "percent" },
+  { key: "discountRate", label: "Discount Rate (%)", unit: "percent" },
+];
+
+export const DEFAULT_ECONOMICS = {
+  shippingCost: "",
+  processorFeePercent: "2.9",
+  processorFeeFixed: "0.30",
+  platformFees: "",
+  returnRate: "",
+  discountRate: "",
+};
+
+const isBlank = (val) => val === undefined || val === null || val === "";
+
+const toNumber = (val) => {
+  const n = parseFloat(val);
+  return isNaN(n) ? 0 : n;
+};
+
+// Product value wins when set, otherwise the workspace default is used.
+export const resolveEconomicsInputs = (product, defaults = {}) => {
+  const resolved = {};
+  ECONOMICS_FIELDS.forEach(({ key }) => {
+    resolved[key] = toNumber(
+      isBlank(product?.[key]) ? defaults[key] : product[key]
+    );
+  });
+  return resolved;
+};
+
+export const calculateUnitEconomics = (product, defaults = {}) => {
+  const price = parseFloat(product?.price);
+  const cogs = parseFloat(product?.cogs);
+  if (isNaN(price) || isNaN(cogs)) return null;
+
+  const inputs = resolveEconomicsInputs(product, defaults);
+  const revenue = price * (1 - inputs.discountRate / 100);
+  const processorFees =
+    revenue * (inputs.processorFeePercent / 100) + inputs.processorFeeFixed;
+  const refunds = revenue * (inputs.returnRate / 100);
+  const totalCosts =
+    cogs + inputs.shippingCost + processorFees + inputs.platformFees + refunds;
+  const contributionMargin = revenue - totalCosts;
+
+  return {
+    revenue,
+    cogs,
+    shippingCost: inputs.shippingCost,
+    processorFees,
+    platformFees: inputs.platformFees,
+    refunds,
+    totalCosts,
+    contributionMargin,
+    marginPercent: revenue > 0 ? (contributionMargin / revenue) * 100 : 0,
+    // A margin at or below zero can never break even, whatever the ROAS.
+    breakEvenRoas: contributionMargin > 0 ? revenue / contributionMargin : 0,
+    breakEvenCpa: Math.max(contributionMargin, 0),
+  };
+};
+
+// --- Break-Even ROAS Thresholds ---
+// Workspace setting. A B/E ROAS at or below `good` is easy to beat, up to
+// `warning` is workable, anything above it (or a loss) is risky.
+
+export const DEFAULT_ROAS_THRESHOLDS = {
+  good: "1.5",
+  warning: "2",
+};
+
+export const ROAS_TONE_CLASSES = {
+  good: "text-emerald-600",
+  warning: "text-amber-600",
+  bad: "text-rose-600",
+};
+
+export const getRoasTone = (roas, thresholds = DEFAULT_ROAS_THRESHOLDS) => {
+  if (roas === null || roas === undefined) return null;
+  if (roas <= 0) return "bad";
+  const good = parseFloat(thresholds.good);
+  const warning = parseFloat(thresholds.warning);
+  if (!isNaN(good) && roas <= good) return "good";
+  if (!isNaN(warning) && roas <= warning) return "warning";
+  return "bad";
+};
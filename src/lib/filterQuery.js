@@ -0,0 +1,307 @@
+// --- Product Filter Query Language ---
+// Parses search box input such as
+//   status:approved roas<1.6 margin>=15 market:US tag:gadget content:ready
+//   test:above lamp
+// into structured filters plus free text, and matches products against it.
+//
+// Syntax:
+//   field:value / field=value   text contains (numbers: equals)
+//   field!=value                negated match
+//   field<n field<=n field>n field>=n   numeric comparisons
+//   -field:value                negate any filter
+//   "quoted value"              values (and free text) with spaces
+//   traffic>50k                 numbers accept k / m / b suffixes
+// Anything without an operator is free text; every term must match.
+
+import { calculateUnitEconomics } from "./economics";
+import { sumTraffic, parseTraffic } from "./competitorMetrics";
+import { scoreProduct } from "./scorecard";
+import { getNiche, getTags } from "./tags";
+import { recentAdTestResult } from "./adTests";
+import { findCountry, getMarkets } from "./markets";
+
+const TEXT_OPS = [":", "=", "!="];
+const NUMBER_OPS = [":", "=", "!=", "<", "<=", ">", ">="];
+
+const includesText = (haystack, needle) =>
+  String(haystack ?? "")
+    .toLowerCase()
+    .includes(needle.toLowerCase());
+
+const economicsOf = (product, context) =>
+  calculateUnitEconomics(product, context.economicsDefaults);
+
+/**
+ * Filterable fields. `get` receives the product and the match context
+ * ({ economicsDefaults, scorecard, adTestWindowDays }) and returns the value
+ * to compare; `null` means the product has no value and never matches. A
+ * text field may add `match(product, value)` to replace the contains check.
+ */
+export const FILTER_FIELDS = {
+  name: { type: "text", get: (p) => p.name },
+  status: { type: "text", get: (p) => p.status },
+  market: {
+    type: "text",
+    get: (p) => p.targetMarket,
+    // A country value ("UK", "gb", "United Kingdom") matches markets in that
+    // country, however they were typed; anything else is matched as text.
+    match: (p, value) => {
+      const country = findCountry(value);
+      if (!country) return includesText(p.targetMarket, value);
+      return getMarkets(p).some(
+        (m) => findCountry(m.country)?.code === country.code
+      );
+    },
+  },
+  niche: { type: "text", get: (p) => getNiche(p) },
+  tag: { type: "text", get: (p) => getTags(p).join("\n") },
+  supplier: {
+    type: "text",
+    get: (p) =>
+      [
+        p.supplierLink,
+        ...(p.suppliers || []).flatMap((s) => [s.name, s.platform, s.url]),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+  },
+  competitor: {
+    type: "text",
+    get: (p) => (p.competitors || []).map((c) => c.brand).join(" "),
+  },
+  content: {
+    type: "boolean",
+    get: (p) => !!p.hasContent,
+    values: {
+      ready: true,
+      yes: true,
+      true: true,
+      "not-ready": false,
+      notready: false,
+      no: false,
+      false: false,
+    },
+  },
+  // "above" / "below" break-even over the ad test window.
+  test: {
+    type: "text",
+    get: (p, ctx) =>
+      recentAdTestResult(p, ctx.economicsDefaults, ctx.adTestWindowDays)
+        .verdict,
+  },
+  price: { type: "number", get: (p) => parseFloat(p.price) },
+  cogs: { type: "number", get: (p) => parseFloat(p.cogs) },
+  roas: {
+    type: "number",
+    // A loss-making product never breaks even, so it matches no roas
+    // comparison; profit<=0 finds those.
+    get: (p, ctx) => {
+      const roas = economicsOf(p, ctx)?.breakEvenRoas;
+      return roas > 0 ? roas : null;
+    },
+  },
+  margin: {
+    type: "number",
+    get: (p, ctx) => economicsOf(p, ctx)?.marginPercent ?? null,
+  },
+  profit: {
+    type: "number",
+    get: (p, ctx) => economicsOf(p, ctx)?.contributionMargin ?? null,
+  },
+  cpa: {
+    type: "number",
+    get: (p, ctx) => economicsOf(p, ctx)?.breakEvenCpa ?? null,
+  },
+  ads: {
+    type: "number",
+    get: (p) =>
+      (p.competitors || []).reduce(
+        (sum, c) => sum + (parseFloat(c.adsCount) || 0),
+        0
+      ),
+  },
+  traffic: {
+    type: "number",
+    get: (p) => sumTraffic(p.competitors),
+  },
+  score: {
+    type: "number",
+    get: (p, ctx) => scoreProduct(p, ctx.scorecard, ctx).total,
+  },
+};
+
+export const FILTER_ALIASES = {
+  be: "roas",
+  cm: "profit",
+  supplierlink: "supplier",
+  targetmarket: "market",
+  brand: "competitor",
+  tags: "tag",
+  category: "niche",
+};
+
+// Split on whitespace, keeping "quoted strings" (and field:"quoted") intact.
+export const tokenize = (input) => {
+  const tokens = [];
+  const re = /(-?[^\s"]*"[^"]*"?)|(\S+)/g;
+  let match;
+  while ((match = re.exec(input)) !== null) {
+    tokens.push(match[0]);
+  }
+  return tokens;
+};
+
+const unquote = (val) => val.replace(/^"/, "").replace(/"$/, "");
+
+const FILTER_TOKEN = /^(-?)([a-zA-Z]+)(<=|>=|!=|:|=|<|>)(.*)$/;
+
+/**
+ * @param {string} input raw search box text
+ * @returns {{ text: string[], filters: object[], errors: object[] }}
+ *   text    - free text terms (lowercase)
+ *   filters - { field, op, value, negate, token }
+ *   errors  - { token, message } for tokens that looked like filters but
+ *             could not be used; they are ignored when matching
+ */
+export const parseFilterQuery = (input = "") => {
+  const result = { text: [], filters: [], errors: [] };
+
+  tokenize(input.trim()).forEach((token) => {
+    const match = token.match(FILTER_TOKEN);
+    if (!match) {
+      const term = unquote(token).trim();
+      if (term) result.text.push(term.toLowerCase());
+      return;
+    }
+
+    const [, neg, rawField, op, rawValue] = match;
+    const key = rawField.toLowerCase();
+    const field = FILTER_ALIASES[key] || key;
+    const def = FILTER_FIELDS[field];
+    const value = unquote(rawValue).trim();
+    const negate = neg === "-";
+
+    if (!def) {
+      result.errors.push({ token, message: `Unknown filter "${rawField}"` });
+      return;
+    }
+    if (value === "") {
+      result.errors.push({ token, message: `"${rawField}" needs a value` });
+      return;
+    }
+
+    if (def.type === "number") {
+      if (!NUMBER_OPS.includes(op)) {
+        result.errors.push({ token, message: `Unsupported operator "${op}"` });
+        return;
+      }
+      const cleaned = value.replace(/[$%x,]/gi, "");
+      const num = /^\d+(\.\d+)?[kmb]$/i.test(cleaned)
+        ? parseTraffic(cleaned)
+        : parseFloat(cleaned);
+      if (isNaN(num)) {
+        result.errors.push({
+          token,
+          message: `"${rawField}" expects a number`,
+        });
+        return;
+      }
+      result.filters.push({ field, op, value: num, negate, token });
+      return;
+    }
+
+    if (!TEXT_OPS.includes(op)) {
+      result.errors.push({
+        token,
+        message: `"${rawField}" only supports : or !=`,
+      });
+      return;
+    }
+
+    if (def.type === "boolean") {
+      const bool = def.values[value.toLowerCase()];
+      if (bool === undefined) {
+        result.errors.push({
+          token,
+          message: `"${rawField}" expects ${Object.keys(def.values).join("/")}`,
+        });
+        return;
+      }
+      result.filters.push({ field, op, value: bool, negate, token });
+      return;
+    }
+
+    result.filters.push({ field, op, value, negate, token });
+  });
+
+  return result;
+};
+
+const compareNumber = (actual, op, expected) => {
+  switch (op) {
+    case "<":
+      return actual < expected;
+    case "<=":
+      return actual <= expected;
+    case ">":
+      return actual > expected;
+    case ">=":
+      return actual >= expected;
+    case "!=":
+      return actual !== expected;
+    default:
+      return actual === expected;
+  }
+};
+
+const matchesFilter = (product, filter, context) => {
+  const def = FILTER_FIELDS[filter.field];
+  const actual = def.get(product, context);
+
+  let result;
+  if (def.type === "number") {
+    result =
+      actual !== null &&
+      !isNaN(actual) &&
+      compareNumber(actual, filter.op, filter.value);
+  } else if (def.type === "boolean") {
+    result = (actual === filter.value) !== (filter.op === "!=");
+  } else {
+    const found = def.match
+      ? def.match(product, filter.value)
+      : includesText(actual, filter.value);
+    result = found !== (filter.op === "!=");
+  }
+
+  return filter.negate ? !result : result;
+};
+
+const searchableText = (product) =>
+  [
+    product.name,
+    product.status,
+    product.niche,
+    ...getTags(product),
+    product.valueProp,
+    product.internalNotes,
+    product.personalNotes,
+    ...(product.competitors || []).map((c) => c.brand),
+  ]
+    .filter(Boolean)
+    .join("\n")
+    .toLowerCase();
+
+/**
+ * @param {object} product
+ * @param {ReturnType<typeof parseFilterQuery>} query
+ * @param {{ economicsDefaults?: object }} context
+ */
+export const matchesQuery = (product, query, context = {}) => {
+  if (query.text.length) {
+    const haystack = searchableText(product);
+    if (!query.text.every((term) => haystack.includes(term))) return false;
+  }
+  return query.filters.every((filter) =>
+    matchesFilter(product, filter, context)
+  );
+};
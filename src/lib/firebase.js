@@ -0,0 +1,75 @@
+// --- Firebase Config & Initialization ---
+import { initializeApp } from "firebase/app";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
+  doc,
+  collection,
+} from "firebase/firestore";
+
+const firebaseConfig = JSON.parse(import.meta.env.VITE_FIREBASE_CONFIG);
+
+export const app = initializeApp(firebaseConfig);
+export const auth = getAuth(app);
+// Data is cached in IndexedDB so the app keeps working offline, shared
+// between open tabs.
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({
+    tabManager: persistentMultipleTabManager(),
+  }),
+});
+export const appId = "dropship-tracker-app";
+
+// `npm run emulators` + VITE_USE_EMULATORS=true runs the app (and the
+// security rules) against the local Firebase emulator suite.
+if (import.meta.env.VITE_USE_EMULATORS === "true") {
+  connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+  connectFirestoreEmulator(db, "127.0.0.1", 8080);
+}
+
+// --- Document Paths ---
+// Products and settings belong to a workspace; saved views stay per user.
+
+export const workspacesCol = () =>
+  collection(db, "artifacts", appId, "workspaces");
+
+export const workspaceRef = (workspaceId) =>
+  doc(db, "artifacts", appId, "workspaces", workspaceId);
+
+export const productsCol = (workspaceId) =>
+  collection(db, "artifacts", appId, "workspaces", workspaceId, "products");
+
+export const productRef = (workspaceId, productId) =>
+  doc(db, "artifacts", appId, "workspaces", workspaceId, "products", productId);
+
+export const settingsRef = (workspaceId) =>
+  doc(
+    db,
+    "artifacts",
+    appId,
+    "workspaces",
+    workspaceId,
+    "settings",
+    "workspace"
+  );
+
+export const invitesCol = () => collection(db, "artifacts", appId, "invites");
+
+export const inviteRef = (inviteId) =>
+  doc(db, "artifacts", appId, "invites", inviteId);
+
+export const userViewsCol = (uid) =>
+  collection(db, "artifacts", appId, "users", uid, "views");
+
+export const userViewRef = (uid, viewId) =>
+  doc(db, "artifacts", appId, "users", uid, "views", viewId);
+
+// Pre-workspace location of a user's data, read once for migration.
+export const legacyProductsCol = (uid) =>
+  collection(db, "artifacts", appId, "users", uid, "products");
+
+export const legacySettingsRef = (uid) =>
+  doc(db, "artifacts", appId, "users", uid, "settings", "workspace");
@@ -0,0 +1,29 @@
+// --- Formatting ---
+
+// `currency` is an ISO code; amounts default to USD like the product fields.
+export const formatCurrency = (val, currency = "USD") => {
+  if (!val && val !== 0) return "-";
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+    }).format(val);
+  } catch {
+    // Not a currency Intl knows: plain number with the code.
+    return `${Number(val).toFixed(2)} ${currency}`;
+  }
+};
+
+export const formatPercent = (val) => {
+  if (val === null || val === undefined || isNaN(val)) return "-";
+  return `${val.toFixed(1)}%`;
+};
+
+// 1234 -> "1.2K", 1500000 -> "1.5M"
+export const formatCompactNumber = (val) => {
+  if (val === null || val === undefined || isNaN(val)) return "-";
+  return new Intl.NumberFormat("en-US", {
+    notation: "compact",
+    maximumFractionDigits: 1,
+  }).format(val);
+};
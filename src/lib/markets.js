@@ -0,0 +1,173 @@
+// --- Target Markets ---
+// Structured replacement for the free-text `targetMarket`:
+//   markets: [{ id, country, audience, price, currency, vatRate,
+//               shippingCost }]
+// `price` and `shippingCost` are in the market's `currency`; `price` is what
+// shoppers there pay, VAT/GST included. Empty price or shipping fall back to
+// the product's own (USD) values; the fallback price is taken as VAT
+// included too. `targetMarket` keeps a readable summary of
+// the list so filters, the table column and CSV keep working.
+
+import { calculateUnitEconomics } from "./economics";
+import { BASE_CURRENCY, convert } from "./currency";
+import { generateId } from "./products";
+
+// Common markets with their currency and standard VAT/GST rate (%).
+export const COUNTRIES = [
+  { code: "US", name: "United States", currency: "USD", vatRate: "0" },
+  { code: "CA", name: "Canada", currency: "CAD", vatRate: "5" },
+  { code: "GB", name: "United Kingdom", currency: "GBP", vatRate: "20" },
+  { code: "IE", name: "Ireland", currency: "EUR", vatRate: "23" },
+  { code: "DE", name: "Germany", currency: "EUR", vatRate: "19" },
+  { code: "FR", name: "France", currency: "EUR", vatRate: "20" },
+  { code: "NL", name: "Netherlands", currency: "EUR", vatRate: "21" },
+  { code: "BE", name: "Belgium", currency: "EUR", vatRate: "21" },
+  { code: "AT", name: "Austria", currency: "EUR", vatRate: "20" },
+  { code: "ES", name: "Spain", currency: "EUR", vatRate: "21" },
+  { code: "IT", name: "Italy", currency: "EUR", vatRate: "22" },
+  { code: "CH", name: "Switzerland", currency: "CHF", vatRate: "8.1" },
+  { code: "SE", name: "Sweden", currency: "SEK", vatRate: "25" },
+  { code: "NO", name: "Norway", currency: "NOK", vatRate: "25" },
+  { code: "DK", name: "Denmark", currency: "DKK", vatRate: "25" },
+  { code: "PL", name: "Poland", currency: "PLN", vatRate: "23" },
+  { code: "AU", name: "Australia", currency: "AUD", vatRate: "10" },
+  { code: "NZ", name: "New Zealand", currency: "NZD", vatRate: "15" },
+];
+
+// Names people type for a country, beyond its code and full name.
+const COUNTRY_ALIASES = { UK: "GB", USA: "US" };
+
+export const findCountry = (input) => {
+  const value = (input || "").trim().toUpperCase();
+  if (!value) return null;
+  const code = COUNTRY_ALIASES[value] || value;
+  return (
+    COUNTRIES.find((c) => c.code === code || c.name.toUpperCase() === value) ||
+    null
+  );
+};
+
+export const createMarket = (overrides = {}) => ({
+  id: generateId(),
+  country: "",
+  audience: "",
+  price: "",
+  currency: BASE_CURRENCY,
+  vatRate: "",
+  shippingCost: "",
+  ...overrides,
+});
+
+// A market for `country` with that country's currency and VAT filled in.
+export const marketForCountry = (country, overrides = {}) => {
+  const known = findCountry(country);
+  return createMarket({
+    country: known ? known.code : country,
+    currency: known ? known.currency : BASE_CURRENCY,
+    vatRate: known ? known.vatRate : "",
+    ...overrides,
+  });
+};
+
+/**
+ * Splits a legacy free-text market ("US, UK, 25-40 Females") into markets:
+ * parts naming a country become markets, the rest becomes their audience
+ * notes. Text without any country is kept as a single market's audience.
+ */
+export const parseTargetMarket = (text) => {
+  const parts = (text || "")
+    .split(/[,;/]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  const countries = parts.filter((part) => findCountry(part));
+  const audience = parts.filter((part) => !findCountry(part)).join(", ");
+  if (countries.length === 0) {
+    return audience ? [createMarket({ id: "legacy-1", audience })] : [];
+  }
+  return countries.map((country, idx) =>
+    marketForCountry(country, { id: `legacy-${idx + 1}`, audience })
+  );
+};
+
+// Markets of a product; products from before the list are parsed from their
+// `targetMarket` text until the list is first edited.
+export const getMarkets = (product) =>
+  product.markets && product.markets.length
+    ? product.markets.map((m) => ({ ...createMarket(), ...m }))
+    : parseTargetMarket(product.targetMarket);
+
+// "US (25-40 Females), GB" for the `targetMarket` field.
+export const summarizeMarkets = (markets) =>
+  markets
+    .map((m) => {
+      const country = m.country.trim();
+      const audience = m.audience.trim();
+      if (country && audience) return `${country} (${audience})`;
+      return country || audience;
+    })
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * `market` with `field` set. Picking a known country before any price is
+ * entered also fills in its currency and VAT rate.
+ */
+export const updateMarket = (market, field, value) => {
+  const next = { ...market, [field]: value };
+  const known = field === "country" && findCountry(value);
+  if (known && market.price === "") {
+    next.currency = known.currency;
+    next.vatRate = known.vatRate;
+  }
+  return next;
+};
+
+export const marketFields = (markets) => ({
+  markets,
+  targetMarket: summarizeMarkets(markets),
+});
+
+const toNumber = (val) => {
+  const n = parseFloat(val);
+  return isNaN(n) ? null : n;
+};
+
+/**
+ * Unit economics for one market, in USD like the product's own numbers,
+ * plus the same figures in the market's currency. The VAT share of the shelf
+ * price is never revenue, so margin and B/E ROAS are on the net price.
+ * Null when a price or a needed exchange rate is missing.
+ */
+export const marketEconomics = (product, market, defaults, rates) => {
+  const currency = market.currency || BASE_CURRENCY;
+  const localPrice = toNumber(market.price);
+  const vat = toNumber(market.vatRate) || 0;
+  // Shelf price in USD, VAT included either way.
+  const shelfPrice =
+    localPrice === null
+      ? toNumber(product.price)
+      : convert(localPrice, currency, BASE_CURRENCY, rates);
+  const price = shelfPrice === null ? null : shelfPrice / (1 + vat / 100);
+  const localShipping = toNumber(market.shippingCost);
+  const shippingCost =
+    localShipping === null
+      ? product.shippingCost
+      : convert(localShipping, currency, BASE_CURRENCY, rates);
+  if (price === null || (localShipping !== null && shippingCost === null)) {
+    return null;
+  }
+
+  const economics = calculateUnitEconomics(
+    { ...product, price, shippingCost },
+    defaults
+  );
+  if (!economics) return null;
+  const toLocal = (amount) => convert(amount, BASE_CURRENCY, currency, rates);
+  return {
+    ...economics,
+    currency,
+    netPrice: price,
+    localNetPrice: toLocal(price),
+    localMargin: toLocal(economics.contributionMargin),
+  };
+};
@@ -0,0 +1,96 @@
+// --- Pricing Scenarios ---
+// What-if offers for the Financial Breakdown, stored on the product:
+//   pricingScenarios: [{ id, name, price, compareAt, quantity,
+//                        upsellPrice, upsellCogs, upsellRate }]
+// `price` is what the customer pays for the whole order of `quantity` units
+// (a "buy 2" bundle is quantity 2). An upsell taken by `upsellRate` percent
+// of buyers adds its expected revenue and cost to every order. Each scenario
+// runs through the same unit economics as the live price.
+
+import { calculateUnitEconomics } from "./economics";
+import { generateId } from "./products";
+
+export const CHARM_ENDINGS = [".99", ".95"];
+
+export const createScenario = (overrides = {}) => ({
+  id: generateId(),
+  name: "",
+  price: "",
+  compareAt: "",
+  quantity: "1",
+  upsellPrice: "",
+  upsellCogs: "",
+  upsellRate: "",
+  ...overrides,
+});
+
+const toNumber = (val) => {
+  const n = parseFloat(val);
+  return isNaN(n) ? 0 : n;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * The charm price just under the next whole amount: 30 -> 29.99,
+ * 34.20 -> 34.99 (".99"), 30 -> 29.95 (".95").
+ */
+export const charmPrice = (price, ending = ".99") => {
+  const n = parseFloat(price);
+  if (isNaN(n) || n <= 0) return null;
+  const cents = parseFloat(`0${ending}`);
+  const whole = Math.ceil(n) === n ? n - 1 : Math.floor(n);
+  return round2(Math.max(whole, 0) + cents).toFixed(2);
+};
+
+export const getScenarios = (product) => product.pricingScenarios || [];
+
+// The live price as a scenario, for the first comparison column.
+export const currentScenario = (product) =>
+  createScenario({
+    id: "current",
+    name: "Current",
+    price: product.price ?? "",
+    compareAt: product.compareAtPrice ?? "",
+  });
+
+/**
+ * Unit economics for one order under `scenario`, plus the per-unit price and
+ * the discount shown against the compare-at price.
+ */
+export const scenarioEconomics = (product, scenario, defaults) => {
+  const quantity = Math.max(1, toNumber(scenario.quantity) || 1);
+  const rate = Math.min(Math.max(toNumber(scenario.upsellRate), 0), 100) / 100;
+  const price = parseFloat(scenario.price);
+  const cogs = parseFloat(product.cogs);
+  if (isNaN(price) || isNaN(cogs)) return null;
+
+  const economics = calculateUnitEconomics(
+    {
+      ...product,
+      price: price + toNumber(scenario.upsellPrice) * rate,
+      cogs: cogs * quantity + toNumber(scenario.upsellCogs) * rate,
+    },
+    defaults
+  );
+  const compareAt = parseFloat(scenario.compareAt);
+  return {
+    ...economics,
+    quantity,
+    unitPrice: price / quantity,
+    discountPercent:
+      compareAt > price ? ((compareAt - price) / compareAt) * 100 : null,
+  };
+};
+
+// Only a single-unit offer can become the live price; a bundle's price
+// covers several units and the product's COGs is per unit.
+export const canPromote = (scenario) =>
+  !isNaN(parseFloat(scenario.price)) &&
+  Math.max(1, toNumber(scenario.quantity) || 1) === 1;
+
+// Fields to write when a scenario becomes the live price.
+export const promoteFields = (scenario) => ({
+  price: scenario.price,
+  compareAtPrice: scenario.compareAt,
+});
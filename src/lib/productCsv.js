@@ -0,0 +1,319 @@
+// --- Product CSV Mapping ---
+// Flattens products into CSV columns and turns mapped CSV rows back into
+// create/update operations. Competitors and other links are spread across
+// numbered columns (competitor_1_brand, link_2_url, ...).
+
+import { ECONOMICS_FIELDS } from "./economics";
+import { createCompetitor, getCompetitors, generateId } from "./products";
+import { toCsv, unprotectFormula } from "./csv";
+import { getTags, parseTags } from "./tags";
+
+const BASE_FIELDS = [
+  { key: "id", label: "ID" },
+  { key: "name", label: "Product Name" },
+  { key: "status", label: "Status", type: "status" },
+  { key: "cogs", label: "COGs", type: "number" },
+  { key: "price", label: "Selling Price", type: "number" },
+  ...ECONOMICS_FIELDS.map(({ key, label }) => ({ key, label, type: "number" })),
+  { key: "valueProp", label: "Value Prop" },
+  { key: "targetMarket", label: "Target Market" },
+  { key: "niche", label: "Niche" },
+  { key: "tags", label: "Tags", type: "tags" },
+  { key: "supplierLink", label: "Supplier Link" },
+  { key: "hasContent", label: "Content Ready", type: "boolean" },
+  { key: "internalNotes", label: "Internal Notes" },
+  { key: "personalNotes", label: "Scratchpad" },
+  { key: "createdAt", label: "Created At", type: "date" },
+];
+
+const COMPETITOR_FIELDS = [
+  { key: "brand", label: "Brand" },
+  { key: "adLink", label: "Ad Library" },
+  { key: "storeLink", label: "Store URL" },
+  { key: "adsCount", label: "Active Ads", type: "number" },
+  { key: "traffic", label: "Traffic" },
+  { key: "pricePoint", label: "Price Point", type: "number" },
+  { key: "firstSeen", label: "First Seen" },
+  { key: "notes", label: "Notes" },
+];
+
+const LINK_FIELDS = [
+  { key: "title", label: "Title" },
+  { key: "url", label: "URL" },
+];
+
+const COMPETITOR_KEY = /^competitor_(\d+)_(\w+)$/;
+const LINK_KEY = /^link_(\d+)_(\w+)$/;
+
+export const getCsvFields = ({ competitorSlots = 3, linkSlots = 1 } = {}) => {
+  const fields = [...BASE_FIELDS];
+  for (let n = 1; n <= competitorSlots; n++) {
+    COMPETITOR_FIELDS.forEach((f) =>
+      fields.push({
+        key: `competitor_${n}_${f.key}`,
+        label: `Competitor ${n} ${f.label}`,
+        type: f.type,
+      })
+    );
+  }
+  for (let n = 1; n <= linkSlots; n++) {
+    LINK_FIELDS.forEach((f) =>
+      fields.push({ key: `link_${n}_${f.key}`, label: `Link ${n} ${f.label}` })
+    );
+  }
+  return fields;
+};
+
+// --- Export ---
+
+const cellValue = (product, key) => {
+  const compMatch = key.match(COMPETITOR_KEY);
+  if (compMatch) {
+    const comp = (product.competitors || [])[compMatch[1] - 1];
+    return comp ? comp[compMatch[2]] : "";
+  }
+  const linkMatch = key.match(LINK_KEY);
+  if (linkMatch) {
+    const link = (product.otherLinks || [])[linkMatch[1] - 1];
+    return link ? link[linkMatch[2]] : "";
+  }
+  if (key === "createdAt") {
+    return product.createdAt ? new Date(product.createdAt).toISOString() : "";
+  }
+  if (key === "hasContent") return product.hasContent ? "true" : "false";
+  if (key === "tags") return getTags(product).join(", ");
+  return product[key];
+};
+
+export const productsToCsv = (products) => {
+  const competitorSlots = Math.max(
+    1,
+    ...products.map((p) => (p.competitors || []).length)
+  );
+  const linkSlots = Math.max(
+    1,
+    ...products.map((p) => (p.otherLinks || []).length)
+  );
+  const fields = getCsvFields({ competitorSlots, linkSlots });
+
+  return toCsv([
+    fields.map((f) => f.key),
+    ...products.map((product) => fields.map((f) => cellValue(product, f.key))),
+  ]);
+};
+
+// --- Import ---
+
+const normalizeHeader = (val) => val.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+export const countSlots = (headers) => {
+  let competitorSlots = 3;
+  let linkSlots = 1;
+  headers.forEach((header) => {
+    const key = header.trim();
+    const compMatch = key.match(COMPETITOR_KEY);
+    if (compMatch) {
+      competitorSlots = Math.max(competitorSlots, Number(compMatch[1]));
+    }
+    const linkMatch = key.match(LINK_KEY);
+    if (linkMatch) linkSlots = Math.max(linkSlots, Number(linkMatch[1]));
+  });
+  return { competitorSlots, linkSlots };
+};
+
+// Best-effort header → field match on either the field key or its label.
+export const guessMapping = (headers, fields) =>
+  headers.map((header) => {
+    const wanted = normalizeHeader(header);
+    const match = fields.find(
+      (f) =>
+        normalizeHeader(f.key) === wanted || normalizeHeader(f.label) === wanted
+    );
+    return match ? match.key : "";
+  });
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  ready: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+  "": false,
+  "not ready": false,
+};
+
+const parseCell = (field, raw, statuses) => {
+  const value = raw.trim();
+  switch (field.type) {
+    case "number":
+      if (value === "") return { value: "" };
+      if (isNaN(Number(value.replace(/[$,]/g, "")))) {
+        return { error: `${field.label} must be a number` };
+      }
+      return { value: value.replace(/[$,]/g, "") };
+    case "boolean": {
+      const parsed = BOOLEAN_VALUES[value.toLowerCase()];
+      if (parsed === undefined) {
+        return { error: `${field.label} must be yes/no or true/false` };
+      }
+      return { value: parsed };
+    }
+    case "status": {
+      if (value === "") return { skip: true };
+      const status = statuses.find(
+        (s) => s.toLowerCase() === value.toLowerCase()
+      );
+      if (!status) return { error: `Unknown status "${value}"` };
+      return { value: status };
+    }
+    case "tags":
+      return { value: parseTags(value) };
+    case "date": {
+      if (value === "") return { skip: true };
+      const time = Date.parse(value);
+      if (isNaN(time)) return { error: `${field.label} is not a valid date` };
+      return { value: time };
+    }
+    default:
+      return { value: raw };
+  }
+};
+
+const findMatch = (products, matchBy, values) => {
+  if (matchBy === "id") {
+    const id = (values.id || "").trim();
+    if (!id) return { error: "Missing ID to match on" };
+    const product = products.find((p) => p.id === id);
+    return product ? { product } : { error: `No product with ID "${id}"` };
+  }
+
+  const name = (values.name || "").trim().toLowerCase();
+  if (!name) return { error: "Missing name to match on" };
+  const matches = products.filter(
+    (p) => (p.name || "").trim().toLowerCase() === name
+  );
+  if (matches.length > 1) {
+    return {
+      error: `${matches.length} products share the name "${values.name}"`,
+    };
+  }
+  return matches.length
+    ? { product: matches[0] }
+    : { error: `No product named "${values.name}"` };
+};
+
+/**
+ * Turns parsed CSV rows into a list of operations that can be previewed
+ * before anything is written. Rows with errors carry them in `errors` and
+ * should be skipped by the caller.
+ *
+ * mode: "create" always creates new products (any ID column is ignored).
+ * mode: "update" patches existing products matched by `matchBy` ("id"|"name").
+ * statuses: allowed status names; matched case-insensitively.
+ */
+export const buildImportPlan = ({
+  rows,
+  mapping,
+  fields,
+  mode,
+  matchBy,
+  products,
+  statuses,
+}) =>
+  rows.map((row, idx) => {
+    const errors = [];
+    const raw = {};
+    const changes = {};
+    const competitorChanges = {};
+    const linkChanges = {};
+
+    mapping.forEach((key, col) => {
+      if (!key) return;
+      const field = fields.find((f) => f.key === key);
+      // Our own exports prefix formula-like text with '.
+      const cell = unprotectFormula(row[col] ?? "");
+      raw[key] = cell;
+      if (key === "id") return;
+
+      const parsed = parseCell(field, cell, statuses);
+      if (parsed.error) {
+        errors.push(parsed.error);
+        return;
+      }
+      if (parsed.skip) return;
+
+      const compMatch = key.match(COMPETITOR_KEY);
+      const linkMatch = key.match(LINK_KEY);
+      if (compMatch) {
+        const slot = Number(compMatch[1]) - 1;
+        competitorChanges[slot] = {
+          ...competitorChanges[slot],
+          [compMatch[2]]: parsed.value,
+        };
+      } else if (linkMatch) {
+        const slot = Number(linkMatch[1]) - 1;
+        linkChanges[slot] = {
+          ...linkChanges[slot],
+          [linkMatch[2]]: parsed.value,
+        };
+      } else {
+        changes[key] = parsed.value;
+      }
+    });
+
+    let target = null;
+    if (mode === "update") {
+      const match = findMatch(products, matchBy, raw);
+      if (match.error) errors.push(match.error);
+      target = match.product || null;
+    }
+
+    // Markets are kept as a list; an imported Target Market that differs
+    // from the list's summary replaces the list, which is then read from the
+    // new text.
+    if (
+      target &&
+      "targetMarket" in changes &&
+      changes.targetMarket !== (target.targetMarket ?? "")
+    ) {
+      changes.markets = [];
+    }
+
+    if (Object.keys(competitorChanges).length) {
+      const competitors = target ? getCompetitors(target) : [];
+      Object.entries(competitorChanges).forEach(([slot, patch]) => {
+        while (competitors.length <= slot) {
+          competitors.push(createCompetitor());
+        }
+        competitors[slot] = { ...competitors[slot], ...patch };
+      });
+      changes.competitors = competitors;
+    }
+
+    if (Object.keys(linkChanges).length) {
+      const links = (target ? target.otherLinks || [] : []).map((l) => ({
+        ...l,
+      }));
+      Object.entries(linkChanges).forEach(([slot, patch]) => {
+        while (links.length <= slot) {
+          links.push({ id: generateId(), title: "", url: "" });
+        }
+        links[slot] = { ...links[slot], ...patch };
+      });
+      // Blank link rows are just unused columns from a wider export.
+      changes.otherLinks = links.filter((l) => l.title || l.url);
+    }
+
+    return {
+      rowNumber: idx + 2,
+      action: mode,
+      productId: target ? target.id : null,
+      name: changes.name ?? target?.name ?? "",
+      changes,
+      errors,
+    };
+  });
@@ -0,0 +1,92 @@
+// --- Product Model ---
+
+export const INITIAL_COMPETITOR = {
+  brand: "",
+  adLink: "",
+  storeLink: "",
+  adsCount: "",
+  traffic: "",
+  pricePoint: "",
+  notes: "",
+  firstSeen: "",
+};
+
+export const NEW_PRODUCT_TEMPLATE = {
+  id: "",
+  name: "",
+  status: "Pending",
+  cogs: "",
+  price: "",
+  compareAtPrice: "",
+  valueProp: "",
+  supplierLink: "",
+  suppliers: [],
+  preferredSupplierId: null,
+  cogsManual: false,
+  adTests: [],
+  pricingScenarios: [],
+  markets: [],
+  projection: null,
+  targetMarket: "",
+  niche: "",
+  tags: [],
+  hasContent: false,
+  competitors: [{ ...INITIAL_COMPETITOR }],
+  otherLinks: [],
+  personalNotes: "",
+  internalNotes: "",
+  shippingCost: "",
+  processorFeePercent: "",
+  processorFeeFixed: "",
+  platformFees: "",
+  returnRate: "",
+  discountRate: "",
+};
+
+export const generateId = () => Math.random().toString(36).substr(2, 9);
+
+export const createCompetitor = (overrides = {}) => ({
+  ...INITIAL_COMPETITOR,
+  id: generateId(),
+  ...overrides,
+});
+
+/**
+ * Competitors of a product, each with an `id`. Documents from before
+ * competitors had ids (the fixed three slots) get ids derived from their
+ * position; they are stored with the list the next time it is edited, so
+ * they stay stable from then on.
+ */
+export const getCompetitors = (product) =>
+  (product.competitors || []).map((c, idx) => ({
+    ...INITIAL_COMPETITOR,
+    ...c,
+    id: c.id || `slot-${idx + 1}`,
+  }));
+
+// Moves the item with `fromId` to the position of `toId`.
+export const moveItem = (list, fromId, toId) => {
+  const from = list.findIndex((item) => item.id === fromId);
+  const to = list.findIndex((item) => item.id === toId);
+  if (from === -1 || to === -1 || from === to) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// Fresh copy of the template so nested arrays are never shared between
+// products.
+export const createProduct = (overrides = {}) => ({
+  ...NEW_PRODUCT_TEMPLATE,
+  competitors: NEW_PRODUCT_TEMPLATE.competitors.map((c) => createCompetitor(c)),
+  otherLinks: [],
+  tags: [],
+  suppliers: [],
+  adTests: [],
+  pricingScenarios: [],
+  markets: [],
+  id: generateId(),
+  createdAt: Date.now(),
+  ...overrides,
+});
@@ -0,0 +1,294 @@
+// --- Profit & Cash-Flow Projection ---
+// What an approved product could earn once ads are running, stored on the
+// product:
+//   projection: { dailyBudget, basis, roas, cpa, weeks, scaling,
+//                 supplierTermsDays, payoutDelayDays }
+// `basis` picks whether `roas` or `cpa` drives orders. `scaling` is a list of
+// budget steps, [{ id, week, dailyBudget }]: from `week` on, the daily budget
+// becomes that step's. The model runs day by day on the product's unit
+// economics. Ads are paid the same day, supplier costs (COGs and shipping)
+// `supplierTermsDays` after the order, and the payout (revenue less fees and
+// refunds) arrives `payoutDelayDays` after the sale. Cash tied up is how far
+// the running cash balance is below zero at the end of a week.
+
+import { calculateUnitEconomics } from "./economics";
+import { findStatus } from "./statuses";
+import { generateId } from "./products";
+import { toCsv } from "./csv";
+
+export const PROJECTION_BASES = [
+  { id: "roas", label: "ROAS" },
+  { id: "cpa", label: "CPA" },
+];
+
+export const DEFAULT_PROJECTION = {
+  dailyBudget: "",
+  basis: "roas",
+  roas: "",
+  cpa: "",
+  weeks: "12",
+  scaling: [],
+  supplierTermsDays: "0",
+  payoutDelayDays: "3",
+};
+
+// The longest projection the tool will run.
+export const MAX_PROJECTION_WEEKS = 52;
+
+// The status whose products make up the portfolio roll-up.
+export const APPROVED_STATUS_ID = "approved";
+
+export const createScalingStep = (overrides = {}) => ({
+  id: generateId(),
+  week: "",
+  dailyBudget: "",
+  ...overrides,
+});
+
+export const getProjectionInputs = (product) => ({
+  ...DEFAULT_PROJECTION,
+  ...(product.projection || {}),
+});
+
+const toNumber = (val) => {
+  const n = parseFloat(val);
+  return isNaN(n) ? null : n;
+};
+
+const toDays = (val) => Math.max(0, Math.round(toNumber(val) || 0));
+
+// Daily budget in `week` (1-based): the latest step that has started, or the
+// starting budget.
+export const budgetForWeek = (inputs, week) => {
+  let budget = toNumber(inputs.dailyBudget) || 0;
+  let from = 0;
+  (inputs.scaling || []).forEach((step) => {
+    const stepWeek = toNumber(step.week);
+    const stepBudget = toNumber(step.dailyBudget);
+    if (stepWeek === null || stepBudget === null) return;
+    if (stepWeek <= week && stepWeek >= from) {
+      budget = stepBudget;
+      from = stepWeek;
+    }
+  });
+  return Math.max(0, budget);
+};
+
+// Why `projectProduct` can't run, or null when it can.
+export const projectionProblem = (product, defaults) => {
+  const inputs = getProjectionInputs(product);
+  const economics = calculateUnitEconomics(product, defaults);
+  if (!economics) return "Add COGs and a price to project this product.";
+  // ROAS-based orders divide by revenue per order.
+  if (!(economics.revenue > 0)) {
+    return "Set a price above zero after discounts to project this product.";
+  }
+  if (!(toNumber(inputs.dailyBudget) > 0)) return "Set a daily ad budget.";
+  const target = toNumber(inputs.basis === "cpa" ? inputs.cpa : inputs.roas);
+  if (!(target > 0)) {
+    return `Set the expected ${inputs.basis === "cpa" ? "CPA" : "ROAS"}.`;
+  }
+  return null;
+};
+
+// Sums daily flows into week rows with running profit and cash.
+const toWeeks = (days, weeks) => {
+  const rows = [];
+  let cumulativeProfit = 0;
+  let cash = 0;
+  for (let week = 1; week <= weeks; week++) {
+    const row = {
+      week,
+      dailyBudget: days[(week - 1) * 7].budget,
+      spend: 0,
+      orders: 0,
+      revenue: 0,
+      profit: 0,
+      cashIn: 0,
+      cashOut: 0,
+    };
+    days.slice((week - 1) * 7, week * 7).forEach((day) => {
+      row.spend += day.spend;
+      row.orders += day.orders;
+      row.revenue += day.revenue;
+      row.profit += day.profit;
+      row.cashIn += day.cashIn;
+      row.cashOut += day.cashOut;
+    });
+    cumulativeProfit += row.profit;
+    cash += row.cashIn - row.cashOut;
+    rows.push({
+      ...row,
+      cumulativeProfit,
+      cash,
+      cashTiedUp: Math.max(0, -cash),
+    });
+  }
+  return rows;
+};
+
+const summarize = (weeks) => ({
+  spend: weeks.reduce((sum, w) => sum + w.spend, 0),
+  orders: weeks.reduce((sum, w) => sum + w.orders, 0),
+  revenue: weeks.reduce((sum, w) => sum + w.revenue, 0),
+  profit: weeks.reduce((sum, w) => sum + w.profit, 0),
+  peakCashTiedUp: Math.max(0, ...weeks.map((w) => w.cashTiedUp)),
+  // Bills and payouts that fall due after the last week are not in it.
+  endingCash: weeks.length ? weeks[weeks.length - 1].cash : 0,
+});
+
+const projectionWeeks = (inputs) =>
+  Math.min(
+    MAX_PROJECTION_WEEKS,
+    Math.max(1, Math.round(toNumber(inputs.weeks) || 1))
+  );
+
+const emptyDay = () => ({
+  budget: 0,
+  spend: 0,
+  orders: 0,
+  revenue: 0,
+  profit: 0,
+  cashIn: 0,
+  cashOut: 0,
+});
+
+// Daily flows over `horizon` weeks. Ads only run for the product's own
+// weeks; the rest of the horizon collects bills and payouts still due.
+const dailyFlows = (product, defaults, horizon) => {
+  const inputs = getProjectionInputs(product);
+  const economics = calculateUnitEconomics(product, defaults);
+  const weeks = projectionWeeks(inputs);
+  const supplierLag = toDays(inputs.supplierTermsDays);
+  const payoutLag = toDays(inputs.payoutDelayDays);
+  const supplierCost = economics.cogs + economics.shippingCost;
+  const payout =
+    economics.revenue - economics.processorFees - economics.refunds;
+  // Platform fees are billed alongside the ads.
+  const sameDayCost = economics.platformFees;
+
+  const days = Array.from({ length: Math.max(weeks, horizon) * 7 }, emptyDay);
+  days.forEach((day, idx) => {
+    if (idx >= weeks * 7) return;
+    const budget = budgetForWeek(inputs, Math.floor(idx / 7) + 1);
+    const orders =
+      inputs.basis === "cpa"
+        ? budget / toNumber(inputs.cpa)
+        : (budget * toNumber(inputs.roas)) / economics.revenue;
+    day.budget = budget;
+    day.spend = budget;
+    day.orders = orders;
+    day.revenue = orders * economics.revenue;
+    day.profit = orders * economics.contributionMargin - budget;
+    day.cashOut += budget + orders * sameDayCost;
+    // Flows that land after the last day are still outstanding.
+    if (days[idx + supplierLag]) {
+      days[idx + supplierLag].cashOut += orders * supplierCost;
+    }
+    if (days[idx + payoutLag]) days[idx + payoutLag].cashIn += orders * payout;
+  });
+  return days;
+};
+
+/**
+ * Week-by-week projection for one product: { inputs, weeks, totals }, where
+ * each week has spend, orders, revenue, profit, cash in/out, the running
+ * profit and cash, and the cash tied up. Null when projectionProblem() says
+ * it can't run.
+ */
+export const projectProduct = (product, defaults) => {
+  if (projectionProblem(product, defaults)) return null;
+  const weeks = projectionWeeks(getProjectionInputs(product));
+  const rows = toWeeks(dailyFlows(product, defaults, weeks), weeks);
+  return {
+    inputs: getProjectionInputs(product),
+    weeks: rows,
+    totals: summarize(rows),
+  };
+};
+
+// The workspace's Approved status, found by id so a rename keeps working.
+export const getApprovedStatus = (statuses = []) =>
+  statuses.find((s) => s.id === APPROVED_STATUS_ID) ||
+  findStatus(statuses, "Approved");
+
+/**
+ * Roll-up of every product in the Approved status. Weekly flows are added
+ * up before the running cash is worked out, so one product's payouts can
+ * fund another's ads. Returns { status, products: [{ product, projection }],
+ * skipped: [{ product, problem }], weeks, totals }; `status` is null when
+ * the workspace has no Approved status.
+ */
+export const projectPortfolio = (products, statuses, defaults) => {
+  const approved = getApprovedStatus(statuses);
+  const included = [];
+  const skipped = [];
+  products
+    .filter((p) => approved && p.status === approved.name)
+    .forEach((product) => {
+      const problem = projectionProblem(product, defaults);
+      if (problem) skipped.push({ product, problem });
+      else included.push(product);
+    });
+
+  // The longest product sets the horizon, so shorter ones still collect
+  // their last payouts.
+  const weeks = Math.max(
+    0,
+    ...included.map((p) => projectionWeeks(getProjectionInputs(p)))
+  );
+  const days = Array.from({ length: weeks * 7 }, emptyDay);
+  included.forEach((product) => {
+    dailyFlows(product, defaults, weeks).forEach((flow, idx) => {
+      Object.keys(flow).forEach((key) => {
+        days[idx][key] += flow[key];
+      });
+    });
+  });
+  const rows = toWeeks(days, weeks);
+
+  return {
+    status: approved || null,
+    products: included.map((product) => ({
+      product,
+      projection: projectProduct(product, defaults),
+    })),
+    skipped,
+    weeks: rows,
+    totals: summarize(rows),
+  };
+};
+
+// --- Export ---
+
+const money = (val) => val.toFixed(2);
+
+export const projectionToCsv = (weeks) =>
+  toCsv([
+    [
+      "Week",
+      "Daily Budget",
+      "Ad Spend",
+      "Orders",
+      "Revenue",
+      "Profit",
+      "Cumulative Profit",
+      "Cash In",
+      "Cash Out",
+      "Cash Balance",
+      "Cash Tied Up",
+    ],
+    ...weeks.map((w) => [
+      w.week,
+      money(w.dailyBudget),
+      money(w.spend),
+      w.orders.toFixed(1),
+      money(w.revenue),
+      money(w.profit),
+      money(w.cumulativeProfit),
+      money(w.cashIn),
+      money(w.cashOut),
+      money(w.cash),
+      money(w.cashTiedUp),
+    ]),
+  ]);
@@ -0,0 +1,149 @@
+// --- Product Revision History ---
+// Every saved edit is logged under the product document:
+//   products/{productId}/revisions/{sessionId}
+//     { id, author: { uid, email }, startedAt, updatedAt,
+//       changes: { [field]: { from, to } } }
+// One document covers an editing session: the edits one person makes to one
+// product without a pause longer than SESSION_GAP. Within a session the
+// first `from` and the latest `to` of each field are kept, and fields that
+// end up back where they started are dropped, so typing a paragraph is a
+// single change rather than hundreds.
+
+import { collection, doc, getDocs } from "firebase/firestore";
+import { db } from "./firebase";
+import { generateId } from "./products";
+import { commitInChunks } from "./bulk";
+
+export const SESSION_GAP = 10 * 60 * 1000;
+
+// Bookkeeping written alongside other fields; the status change itself is
+// what gets logged.
+export const UNTRACKED_FIELDS = ["statusHistory", "statusChangedAt"];
+
+export const revisionsCol = (productPath) =>
+  collection(db, productPath, "revisions");
+
+export const revisionRef = (productPath, revisionId) =>
+  doc(db, productPath, "revisions", revisionId);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Firestore rejects undefined, so a missing field is stored as null.
+const stored = (value) => (value === undefined ? null : value);
+
+/**
+ * Hands out session ids per product for this client. A product keeps its
+ * session while edits keep coming at most `gap` ms apart.
+ */
+export const createRevisionSessions = (gap = SESSION_GAP) => {
+  const sessions = new Map();
+  return (productId, now = Date.now()) => {
+    const current = sessions.get(productId);
+    const id =
+      current && now - current.lastAt <= gap ? current.id : generateId();
+    sessions.set(productId, { id, lastAt: now });
+    return id;
+  };
+};
+
+// { field: { from, to } } for the fields that `fields` actually changes.
+export const diffFields = (before = {}, fields) => {
+  const changes = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (UNTRACKED_FIELDS.includes(field)) return;
+    if (sameValue(stored(before[field]), stored(value))) return;
+    changes[field] = { from: stored(before[field]), to: stored(value) };
+  });
+  return changes;
+};
+
+export const mergeChanges = (existing = {}, changes) => {
+  const merged = { ...existing };
+  Object.entries(changes).forEach(([field, change]) => {
+    const from = field in existing ? existing[field].from : change.from;
+    if (sameValue(from, change.to)) {
+      delete merged[field];
+    } else {
+      merged[field] = { from, to: change.to };
+    }
+  });
+  return merged;
+};
+
+/**
+ * The session document after adding `changes` to it (`existing` is the
+ * stored document, if any). Returns null when nothing is left to record.
+ */
+export const buildRevision = ({ id, existing, changes, author, at }) => {
+  const merged = mergeChanges(existing?.changes, changes);
+  if (Object.keys(merged).length === 0) return null;
+  return {
+    id,
+    author: { uid: author?.uid || null, email: author?.email || null },
+    startedAt: existing?.startedAt ?? at,
+    updatedAt: at,
+    changes: merged,
+  };
+};
+
+// Adds a one-off revision (bulk actions) to a write batch.
+export const addRevisionToBatch = (
+  batch,
+  productPath,
+  before,
+  fields,
+  author
+) => {
+  const id = generateId();
+  const revision = buildRevision({
+    id,
+    changes: diffFields(before, fields),
+    author,
+    at: Date.now(),
+  });
+  if (revision) batch.set(revisionRef(productPath, id), revision);
+};
+
+/**
+ * Fields to write to bring a product back to how it was right after
+ * `revisionId`. `revisions` must be newest first; every later change is
+ * undone, oldest last so its `from` wins.
+ */
+export const fieldsAtRevision = (revisions, revisionId) => {
+  const index = revisions.findIndex((r) => r.id === revisionId);
+  if (index === -1) return {};
+  const fields = {};
+  revisions.slice(0, index).forEach((revision) =>
+    Object.entries(revision.changes || {}).forEach(([field, change]) => {
+      fields[field] = change.from;
+    })
+  );
+  return fields;
+};
+
+// Removes a product's history once the product itself is gone for good.
+export const deleteRevisions = async (productPath) => {
+  const snapshot = await getDocs(revisionsCol(productPath));
+  return commitInChunks(snapshot.docs, (batch, revision) =>
+    batch.delete(revision.ref)
+  );
+};
+
+// --- Display ---
+
+// "valueProp" -> "Value Prop"
+export const fieldLabel = (field) =>
+  field.replace(/([A-Z])/g, " $1").replace(/^./, (c) => c.toUpperCase());
+
+export const formatFieldValue = (value) => {
+  if (value === undefined || value === null || value === "") return "(empty)";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (Array.isArray(value)) {
+    if (value.every((v) => typeof v === "string")) {
+      return value.length ? value.join(", ") : "(empty)";
+    }
+    return `${value.length} item${value.length === 1 ? "" : "s"}`;
+  }
+  if (typeof value === "object") return "(edited list)";
+  return String(value);
+};
@@ -0,0 +1,294 @@
+// --- Debounced Product Writes ---
+// Field edits are coalesced per product and written once the product has
+// been quiet for `delay` ms (or after `maxWait` ms of continuous typing).
+// Everything that is flushed together goes out in a single `write` call, and
+// writes run one after another so later edits always land last.
+//
+// Until a write has completed its fields are exposed as `drafts`, which the
+// UI lays over the synced data so inputs never jump back while typing.
+//
+// While offline nothing is sent; edits stay queued (and are persisted through
+// `storage`, so a reload keeps them) until `setOnline(true)`. `setStorage`
+// moves the queue to another storage, e.g. when the user or workspace
+// changes: the current edits stay behind in the old one, minus those that
+// were already on their way and get written. Each edit remembers the value
+// it was based on, which lets `write` spot fields that someone else changed
+// in the meantime and report them as conflicts instead of overwriting them.
+//
+// Per-product status: "pending" (waiting for the debounce), "offline",
+// "saving", "saved", "conflict" or "error". Failed fields are kept and resent
+// by the next flush.
+
+export const SAVE_DELAY = 800;
+export const SAVE_MAX_WAIT = 5000;
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Splits queued fields against the current server document. A field is safe
+ * to write when the server still holds the value the edit started from (or
+ * the value this client wrote last, or already the new value).
+ */
+export const detectConflicts = (
+  server,
+  { fields, base = {}, written = {} }
+) => {
+  const apply = {};
+  const conflicts = [];
+  Object.entries(fields).forEach(([field, mine]) => {
+    const theirs = server?.[field];
+    const unchanged =
+      !(field in base) ||
+      sameValue(theirs, base[field]) ||
+      (field in written && sameValue(theirs, written[field])) ||
+      sameValue(theirs, mine);
+    if (unchanged) {
+      apply[field] = mine;
+    } else {
+      conflicts.push({ field, mine, theirs });
+    }
+  });
+  return { apply, conflicts };
+};
+
+export const createSaveQueue = ({
+  write,
+  onChange,
+  storage,
+  delay = SAVE_DELAY,
+  maxWait = SAVE_MAX_WAIT,
+}) => {
+  const pending = new Map(); // id -> { path, fields, base, since }
+  const timers = new Map();
+  const written = {}; // id -> { field: last value written by this client }
+  const status = {};
+  const conflicts = {}; // id -> [{ field, mine, theirs }]
+  let sending = []; // flushed entry lists not yet written, oldest first
+  let chain = Promise.resolve();
+  let online = false;
+
+  // A product can be listed twice (an edit being sent and a newer one), so
+  // entries are merged oldest first.
+  const load = () =>
+    (storage?.load() || []).forEach(({ id, path, fields, base }) => {
+      const older = pending.get(id);
+      pending.set(id, {
+        path,
+        fields: { ...older?.fields, ...fields },
+        base: { ...base, ...older?.base },
+        since: Date.now(),
+      });
+      status[id] = { state: "offline", error: null };
+    });
+  load();
+
+  const emit = () => {
+    const drafts = {};
+    const add = (id, fields) => {
+      drafts[id] = { ...drafts[id], ...fields };
+    };
+    sending.forEach((entries) =>
+      entries.forEach((entry) => add(entry.id, entry.fields))
+    );
+    pending.forEach((entry, id) => add(id, entry.fields));
+
+    storage?.save([
+      ...sending.flat().map(({ id, path, fields, base }) => ({
+        id,
+        path,
+        fields,
+        base,
+      })),
+      ...[...pending].map(([id, entry]) => ({ id, ...entry })),
+    ]);
+    onChange({ drafts, status: { ...status }, conflicts: { ...conflicts } });
+  };
+
+  const clearTimer = (id) => {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  };
+
+  const requeue = (id, { path, fields, base }) => {
+    const newer = pending.get(id);
+    pending.set(id, {
+      path,
+      fields: { ...fields, ...newer?.fields },
+      base: { ...newer?.base, ...base },
+      since: newer?.since ?? Date.now(),
+    });
+    clearTimer(id);
+  };
+
+  // Removes written entries from a storage the queue no longer uses.
+  const forget = (from, entries) => {
+    if (!from) return;
+    let saved = from.load() || [];
+    entries.forEach(({ id, fields, base }) => {
+      const idx = saved.findIndex(
+        (entry) =>
+          entry.id === id &&
+          sameValue(entry.fields, fields) &&
+          sameValue(entry.base, base)
+      );
+      if (idx !== -1) saved = saved.filter((_, i) => i !== idx);
+    });
+    from.save(saved);
+  };
+
+  const flush = (ids = [...pending.keys()]) => {
+    const queued = ids.filter((id) => pending.has(id));
+    if (!online) {
+      queued.forEach((id) => {
+        clearTimer(id);
+        status[id] = { state: "offline", error: null };
+      });
+      if (queued.length) emit();
+      return chain;
+    }
+
+    const entries = queued.map((id) => {
+      const { path, fields, base } = pending.get(id);
+      clearTimer(id);
+      pending.delete(id);
+      status[id] = { state: "saving", error: null };
+      return { id, path, fields, base };
+    });
+    if (entries.length === 0) return chain;
+
+    sending = [...sending, entries];
+    emit();
+
+    const target = storage;
+    chain = chain.then(async () => {
+      try {
+        const found = await write(
+          entries.map((entry) => ({ ...entry, written: written[entry.id] }))
+        );
+        // Moved to another storage meanwhile: the old one still lists these
+        // edits, so take them out there now that they are written.
+        if (storage !== target) {
+          forget(target, entries);
+          return;
+        }
+        entries.forEach(({ id, fields }) => {
+          const clashes = found?.[id] || [];
+          const clashing = clashes.map((c) => c.field);
+          Object.entries(fields).forEach(([field, value]) => {
+            if (!clashing.includes(field)) {
+              written[id] = { ...written[id], [field]: value };
+            }
+          });
+          // A newer write of a field replaces its earlier conflict.
+          const open = [
+            ...(conflicts[id] || []).filter((c) => !(c.field in fields)),
+            ...clashes,
+          ];
+          if (open.length) {
+            conflicts[id] = open;
+          } else {
+            delete conflicts[id];
+          }
+          if (pending.has(id)) return;
+          status[id] = {
+            state: conflicts[id]?.length ? "conflict" : "saved",
+            error: null,
+          };
+        });
+      } catch (error) {
+        // The old storage keeps failed edits for when it is used again.
+        if (storage !== target) return;
+        // Newer edits win over the failed ones; nothing is retried until the
+        // user asks for it, edits the product again or comes back online.
+        entries.forEach((entry) => {
+          requeue(entry.id, entry);
+          status[entry.id] = { state: "error", error: error.message };
+        });
+      }
+      sending = sending.filter((list) => list !== entries);
+      emit();
+    });
+    return chain;
+  };
+
+  // `base` holds the synced values the edit started from; only the first
+  // base seen for a field counts until the edit has been written.
+  const queue = (id, path, fields, base = {}) => {
+    const previous = pending.get(id);
+    const since = previous?.since ?? Date.now();
+    pending.set(id, {
+      path,
+      fields: { ...previous?.fields, ...fields },
+      base: { ...base, ...previous?.base },
+      since,
+    });
+    status[id] = { state: online ? "pending" : "offline", error: null };
+
+    clearTimer(id);
+    if (online) {
+      const wait = Math.max(0, Math.min(delay, since + maxWait - Date.now()));
+      timers.set(
+        id,
+        setTimeout(() => flush([id]), wait)
+      );
+    }
+    emit();
+  };
+
+  // Drops unsent edits, e.g. for a product that is being deleted.
+  const discard = (id) => {
+    clearTimer(id);
+    pending.delete(id);
+    delete status[id];
+    delete conflicts[id];
+    emit();
+  };
+
+  const resolveConflict = (id, field) => {
+    const remaining = (conflicts[id] || []).filter((c) => c.field !== field);
+    if (remaining.length) {
+      conflicts[id] = remaining;
+    } else {
+      delete conflicts[id];
+      if (status[id]?.state === "conflict") {
+        status[id] = { state: "saved", error: null };
+      }
+    }
+    emit();
+  };
+
+  const setOnline = (value) => {
+    online = value;
+    if (online) flush();
+  };
+
+  const hasPending = () => pending.size > 0 || sending.length > 0;
+
+  const setStorage = (next) => {
+    if (next === storage) return;
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    pending.clear();
+    sending = [];
+    [written, status, conflicts].forEach((map) =>
+      Object.keys(map).forEach((id) => delete map[id])
+    );
+    storage = next;
+    load();
+    emit();
+    if (online) flush();
+  };
+
+  return {
+    queue,
+    flush,
+    discard,
+    resolveConflict,
+    setOnline,
+    setStorage,
+    hasPending,
+  };
+};
+
+export const applyDrafts = (products, drafts) =>
+  products.map((p) => (drafts[p.id] ? { ...p, ...drafts[p.id] } : p));
@@ -0,0 +1,149 @@
+// --- Product Scorecard ---
+// Workspace-defined weighted score (0-100) per product. Criteria are either
+// computed from product data ("metric") or rated by hand from 1 to 5
+// ("rating", stored on the product as `ratings: { [criterionId]: 1..5 }`).
+//
+// Every criterion is normalised to 0-1 before weighting:
+//   metric  linear between `worst` (0) and `best` (1), clamped; `best` may be
+//           lower than `worst` for metrics where less is better (B/E ROAS)
+//   boolean yes = 1, no = 0
+//   rating  1 -> 0 ... 5 -> 1, flipped when `invert` (e.g. saturation)
+// Criteria without a value for a product are left out of its total rather
+// than counted as zero.
+
+import { calculateUnitEconomics } from "./economics";
+import { generateId } from "./products";
+
+export const SCORE_METRICS = {
+  margin: {
+    label: "Margin %",
+    get: (p, ctx) =>
+      calculateUnitEconomics(p, ctx.economicsDefaults)?.marginPercent ?? null,
+  },
+  breakEvenRoas: {
+    label: "Break-Even ROAS",
+    get: (p, ctx) => {
+      const economics = calculateUnitEconomics(p, ctx.economicsDefaults);
+      if (!economics) return null;
+      // A loss-making product scores as badly as possible.
+      return economics.breakEvenRoas > 0 ? economics.breakEvenRoas : Infinity;
+    },
+  },
+  competitorAds: {
+    label: "Competitor Ads",
+    get: (p) => {
+      const counts = (p.competitors || [])
+        .map((c) => parseFloat(c.adsCount))
+        .filter((n) => !isNaN(n));
+      return counts.length ? counts.reduce((a, b) => a + b, 0) : null;
+    },
+  },
+  hasContent: {
+    label: "Content Ready",
+    boolean: true,
+    get: (p) => !!p.hasContent,
+  },
+};
+
+export const DEFAULT_SCORECARD = [
+  {
+    id: "margin",
+    type: "metric",
+    metric: "margin",
+    label: "Margin %",
+    weight: "3",
+    worst: "10",
+    best: "40",
+  },
+  {
+    id: "roas",
+    type: "metric",
+    metric: "breakEvenRoas",
+    label: "Break-Even ROAS",
+    weight: "3",
+    worst: "3",
+    best: "1.3",
+  },
+  {
+    id: "ads",
+    type: "metric",
+    metric: "competitorAds",
+    label: "Competitor Ads",
+    weight: "1",
+    worst: "0",
+    best: "50",
+  },
+  {
+    id: "content",
+    type: "metric",
+    metric: "hasContent",
+    label: "Content Ready",
+    weight: "1",
+  },
+  { id: "wow", type: "rating", label: "Wow Factor", weight: "2" },
+  { id: "problem", type: "rating", label: "Problem Solved", weight: "2" },
+  {
+    id: "saturation",
+    type: "rating",
+    label: "Saturation",
+    weight: "1",
+    invert: true,
+  },
+];
+
+export const createRatingCriterion = (label) => ({
+  id: generateId(),
+  type: "rating",
+  label,
+  weight: "1",
+});
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+const normalize = (criterion, product, context) => {
+  if (criterion.type === "rating") {
+    const rating = Number(product.ratings?.[criterion.id]);
+    if (!rating) return { raw: null, score: null };
+    const score = (rating - 1) / 4;
+    return { raw: rating, score: criterion.invert ? 1 - score : score };
+  }
+
+  const metric = SCORE_METRICS[criterion.metric];
+  if (!metric) return { raw: null, score: null };
+  const raw = metric.get(product, context);
+  if (raw === null) return { raw, score: null };
+  if (metric.boolean) return { raw, score: raw ? 1 : 0 };
+
+  const best = parseFloat(criterion.best);
+  const worst = parseFloat(criterion.worst);
+  if (isNaN(best) || isNaN(worst) || best === worst) {
+    return { raw, score: null };
+  }
+  if (raw === Infinity) return { raw, score: 0 };
+  return { raw, score: clamp01((raw - worst) / (best - worst)) };
+};
+
+/**
+ * Scores a product against the workspace criteria. `context` is
+ * { economicsDefaults }. Returns { total, breakdown } where total is 0-100
+ * (null when no weighted criterion has a value) and breakdown has
+ * { criterion, raw, score, weight } per criterion.
+ */
+export const scoreProduct = (product, criteria = [], context = {}) => {
+  let earned = 0;
+  let possible = 0;
+  const breakdown = criteria.map((criterion) => {
+    const weight = Math.max(parseFloat(criterion.weight) || 0, 0);
+    const { raw, score } = normalize(criterion, product, context);
+    if (score !== null && weight > 0) {
+      earned += score * weight;
+      possible += weight;
+    }
+    return { criterion, raw, score, weight };
+  });
+
+  return {
+    total: possible > 0 ? Math.round((earned / possible) * 100) : null,
+    breakdown,
+  };
+};
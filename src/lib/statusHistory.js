@@ -0,0 +1,55 @@
+// --- Status History ---
+// Each product keeps an append-only `statusHistory` of transitions:
+// { id, at, from, to, reason }. Products created before history existed fall
+// back to `createdAt` as the start of their current stage.
+
+import { generateId } from "./products";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields to merge into the product document for a status change.
+export const buildStatusChange = (product, nextStatus, reason = "") => {
+  const at = Date.now();
+  return {
+    status: nextStatus,
+    statusChangedAt: at,
+    statusHistory: [
+      ...(product.statusHistory || []),
+      {
+        id: generateId(),
+        at,
+        from: product.status ?? null,
+        to: nextStatus,
+        reason: reason.trim(),
+      },
+    ],
+  };
+};
+
+// Seed entry for a brand new product.
+export const initialStatusHistory = (status, at) => ({
+  statusChangedAt: at,
+  statusHistory: [{ id: generateId(), at, from: null, to: status, reason: "" }],
+});
+
+export const getStatusSince = (product) =>
+  product.statusChangedAt || product.createdAt || null;
+
+export const daysSince = (time, now = Date.now()) =>
+  time ? Math.floor((now - time) / DAY_MS) : null;
+
+// Time spent in each stage; the latest entry runs until now.
+export const withStageDurations = (history = [], now = Date.now()) =>
+  history.map((entry, idx) => ({
+    ...entry,
+    duration: (history[idx + 1]?.at ?? now) - entry.at,
+    isCurrent: idx === history.length - 1,
+  }));
+
+export const formatDuration = (ms) => {
+  const days = Math.floor(ms / DAY_MS);
+  if (days >= 1) return `${days}d`;
+  const hours = Math.floor(ms / (60 * 60 * 1000));
+  if (hours >= 1) return `${hours}h`;
+  return `${Math.max(1, Math.floor(ms / 60000))}m`;
+};
@@ -0,0 +1,102 @@
+// --- Research Pipeline Statuses ---
+// Products store the status *name*; the workspace config gives each name a
+// stable id, color, order and whether it ends the pipeline (terminal).
+
+// Full class names so Tailwind can see them at build time.
+export const STATUS_COLORS = {
+  slate: {
+    badge: "bg-slate-100 text-slate-600 border-slate-200",
+    dot: "bg-slate-400",
+  },
+  sky: { badge: "bg-sky-50 text-sky-700 border-sky-200", dot: "bg-sky-500" },
+  indigo: {
+    badge: "bg-indigo-50 text-indigo-700 border-indigo-200",
+    dot: "bg-indigo-500",
+  },
+  violet: {
+    badge: "bg-violet-50 text-violet-700 border-violet-200",
+    dot: "bg-violet-500",
+  },
+  amber: {
+    badge: "bg-amber-50 text-amber-700 border-amber-200",
+    dot: "bg-amber-500",
+  },
+  orange: {
+    badge: "bg-orange-50 text-orange-700 border-orange-200",
+    dot: "bg-orange-500",
+  },
+  emerald: {
+    badge: "bg-emerald-50 text-emerald-700 border-emerald-200",
+    dot: "bg-emerald-500",
+  },
+  rose: {
+    badge: "bg-rose-50 text-rose-700 border-rose-200",
+    dot: "bg-rose-500",
+  },
+};
+
+export const DEFAULT_STATUSES = [
+  { id: "pending", name: "Pending", color: "slate", order: 0, terminal: false },
+  {
+    id: "approved",
+    name: "Approved",
+    color: "emerald",
+    order: 1,
+    terminal: false,
+  },
+  { id: "rejected", name: "Rejected", color: "rose", order: 2, terminal: true },
+];
+
+export const sortStatuses = (statuses) =>
+  [...statuses].sort((a, b) => a.order - b.order);
+
+export const getStatusNames = (statuses) =>
+  sortStatuses(statuses).map((s) => s.name);
+
+export const findStatus = (statuses, name) =>
+  statuses.find((s) => s.name === name) || null;
+
+export const getStatusColor = (statuses, name) => {
+  const status = findStatus(statuses, name);
+  return STATUS_COLORS[status?.color] || STATUS_COLORS.slate;
+};
+
+// New products start in the first active stage.
+export const getDefaultStatus = (statuses) => {
+  const sorted = sortStatuses(statuses);
+  return (sorted.find((s) => !s.terminal) || sorted[0])?.name || "";
+};
+
+export const validateStatuses = (statuses) => {
+  if (statuses.length === 0) return "Keep at least one status.";
+  const names = new Set();
+  for (const status of statuses) {
+    const name = status.name.trim();
+    if (!name) return "Every status needs a name.";
+    if (names.has(name.toLowerCase())) return `"${name}" is used twice.`;
+    names.add(name.toLowerCase());
+  }
+  return null;
+};
+
+/**
+ * Maps old status names to the names products should move to when the
+ * config changes. Renames follow the status id; removed statuses move to the
+ * status chosen in `replacements` (keyed by removed status id).
+ */
+export const planStatusMigration = (prev, next, replacements = {}) => {
+  const nextById = new Map(next.map((s) => [s.id, s]));
+  const migrations = {};
+
+  prev.forEach((status) => {
+    const kept = nextById.get(status.id);
+    if (kept) {
+      if (kept.name !== status.name) migrations[status.name] = kept.name;
+      return;
+    }
+    const target = nextById.get(replacements[status.id]);
+    if (target) migrations[status.name] = target.name;
+  });
+
+  return migrations;
+};
@@ -0,0 +1,184 @@
+// --- Suppliers ---
+// Each product keeps a list of sourcing options:
+//   suppliers: [{ id, name, platform, url, unitCost, moq, processingDays,
+//                 deliveryDays, notes,
+//                 shipping: [{ id, country, cost }],
+//                 priceBreaks: [{ id, minQty, unitCost }] }]
+//   preferredSupplierId
+// Numbers are kept as typed (strings), like every other product field.
+//
+// The product's `cogs` follows the preferred supplier's unit cost at its MOQ
+// unless `cogsManual` is set, and `supplierLink` mirrors the preferred
+// supplier's URL, so economics, columns, filters and CSV keep reading the
+// same fields as before.
+
+import { generateId } from "./products";
+
+export const SUPPLIER_PLATFORMS = [
+  "AliExpress",
+  "CJ Dropshipping",
+  "Alibaba",
+  "Private Agent",
+  "Other",
+];
+
+export const INITIAL_SUPPLIER = {
+  name: "",
+  platform: "AliExpress",
+  url: "",
+  unitCost: "",
+  moq: "",
+  processingDays: "",
+  deliveryDays: "",
+  notes: "",
+  shipping: [],
+  priceBreaks: [],
+};
+
+export const createSupplier = (overrides = {}) => ({
+  ...INITIAL_SUPPLIER,
+  id: generateId(),
+  shipping: [],
+  priceBreaks: [],
+  ...overrides,
+});
+
+const toNumber = (val) => {
+  const n = parseFloat(val);
+  return isNaN(n) ? null : n;
+};
+
+/**
+ * Suppliers of a product. A product from before the suppliers list that only
+ * has a `supplierLink` shows it as one preferred supplier; it is stored with
+ * the list the next time the list is edited.
+ */
+export const getSuppliers = (product) => {
+  if (product.suppliers && product.suppliers.length) {
+    return product.suppliers.map((s) => ({ ...INITIAL_SUPPLIER, ...s }));
+  }
+  if (product.supplierLink) {
+    return [
+      createSupplier({
+        id: "legacy",
+        platform: "Other",
+        url: product.supplierLink,
+      }),
+    ];
+  }
+  return [];
+};
+
+export const getPreferredSupplier = (product) => {
+  const suppliers = getSuppliers(product);
+  return (
+    suppliers.find((s) => s.id === product.preferredSupplierId) ||
+    (suppliers.length === 1 ? suppliers[0] : null)
+  );
+};
+
+export const getMoq = (supplier) => Math.max(1, toNumber(supplier.moq) || 1);
+
+// Unit cost when ordering `quantity`: the deepest price break reached, or the
+// base unit cost.
+export const unitCostAt = (supplier, quantity) => {
+  const tier = (supplier.priceBreaks || [])
+    .filter((b) => toNumber(b.minQty) !== null && toNumber(b.unitCost) !== null)
+    .filter((b) => toNumber(b.minQty) <= quantity)
+    .sort((a, b) => toNumber(b.minQty) - toNumber(a.minQty))[0];
+  return tier ? toNumber(tier.unitCost) : toNumber(supplier.unitCost);
+};
+
+// What one unit costs from this supplier at its minimum order.
+export const supplierUnitCost = (supplier) =>
+  unitCostAt(supplier, getMoq(supplier));
+
+export const shippingTo = (supplier, country) => {
+  const match = (supplier.shipping || []).find(
+    (s) => s.country.trim().toLowerCase() === country.trim().toLowerCase()
+  );
+  return match ? toNumber(match.cost) : null;
+};
+
+// Order to doorstep, or null when neither part is known.
+export const leadTimeDays = (supplier) => {
+  const processing = toNumber(supplier.processingDays);
+  const delivery = toNumber(supplier.deliveryDays);
+  if (processing === null && delivery === null) return null;
+  return (processing || 0) + (delivery || 0);
+};
+
+// Every country any supplier ships to, in first-seen order. "US" and "us"
+// are the same country.
+export const shippingCountries = (suppliers) => {
+  const countries = [];
+  suppliers.forEach((s) =>
+    (s.shipping || []).forEach((row) => {
+      const country = row.country.trim();
+      const known = countries.some(
+        (c) => c.toLowerCase() === country.toLowerCase()
+      );
+      if (country && !known) countries.push(country);
+    })
+  );
+  return countries;
+};
+
+// COGs the preferred supplier implies, as a string like the `cogs` field.
+export const derivedCogs = (product) => {
+  const preferred = getPreferredSupplier(product);
+  const cost = preferred ? supplierUnitCost(preferred) : null;
+  return cost === null ? null : String(Math.round(cost * 100) / 100);
+};
+
+/**
+ * Fields to write after the supplier list or the preferred supplier changes:
+ * the list itself plus the fields that follow the preferred supplier.
+ */
+export const supplierFields = (product, suppliers, preferredSupplierId) => {
+  const next = { ...product, suppliers, preferredSupplierId };
+  const preferred = getPreferredSupplier(next);
+  const fields = {
+    suppliers,
+    preferredSupplierId,
+    supplierLink: preferred ? preferred.url : "",
+  };
+  const cogs = derivedCogs(next);
+  if (!product.cogsManual && cogs !== null) fields.cogs = cogs;
+  return fields;
+};
+
+/**
+ * Side-by-side rows for the comparison table. `cheapest` and `fastest` flag
+ * the lowest landed cost and shortest lead time among suppliers with one.
+ */
+export const compareSuppliers = (suppliers, country) => {
+  const rows = suppliers.map((supplier) => {
+    const unitCost = supplierUnitCost(supplier);
+    const shipping = country ? shippingTo(supplier, country) : null;
+    return {
+      supplier,
+      unitCost,
+      shipping,
+      landedCost:
+        unitCost === null || (country && shipping === null)
+          ? null
+          : unitCost + (shipping || 0),
+      leadTime: leadTimeDays(supplier),
+      moq: getMoq(supplier),
+    };
+  });
+  const lowest = (key) => {
+    const values = rows.map((r) => r[key]).filter((v) => v !== null);
+    return values.length ? Math.min(...values) : null;
+  };
+  const best = {
+    landedCost: lowest("landedCost"),
+    leadTime: lowest("leadTime"),
+  };
+  return rows.map((row) => ({
+    ...row,
+    cheapest: row.landedCost !== null && row.landedCost === best.landedCost,
+    fastest: row.leadTime !== null && row.leadTime === best.leadTime,
+  }));
+};
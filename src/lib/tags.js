@@ -0,0 +1,150 @@
+// --- Tags & Niches ---
+// Products carry any number of free-form `tags` and a single `niche`
+// (category). Tags are matched case-insensitively but keep the spelling they
+// were first entered with.
+
+import { calculateUnitEconomics } from "./economics";
+
+export const NO_NICHE = "No Niche";
+
+// Trims, collapses whitespace and drops commas (the CSV separator).
+export const normalizeTag = (tag) =>
+  String(tag ?? "")
+    .replace(/,/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+export const getTags = (product) =>
+  Array.isArray(product.tags) ? product.tags : [];
+
+export const hasTag = (product, tag) =>
+  getTags(product).some((t) => sameTag(t, tag));
+
+// Adds `tag` unless it (or a different casing of it) is already there.
+export const addTag = (tags, tag) => {
+  const clean = normalizeTag(tag);
+  if (!clean || tags.some((t) => sameTag(t, clean))) return tags;
+  return [...tags, clean];
+};
+
+export const removeTag = (tags, tag) => tags.filter((t) => !sameTag(t, tag));
+
+// Splits "a, b, c" as typed into a CSV cell or pasted into the tag input.
+export const parseTags = (input) =>
+  String(input ?? "")
+    .split(",")
+    .reduce((tags, tag) => addTag(tags, tag), []);
+
+/**
+ * Every tag in use with how many products carry it, most used first. The
+ * spelling shown is the first one found.
+ */
+export const collectTags = (products) => {
+  const byKey = new Map();
+  products.forEach((product) =>
+    getTags(product).forEach((tag) => {
+      const key = tag.toLowerCase();
+      const entry = byKey.get(key) || { tag, count: 0 };
+      entry.count += 1;
+      byKey.set(key, entry);
+    })
+  );
+  return [...byKey.values()].sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+};
+
+// Known tags starting with (then containing) `input`, minus those already set.
+export const suggestTags = (known, input, exclude = [], limit = 8) => {
+  const needle = normalizeTag(input).toLowerCase();
+  const available = known.filter(
+    ({ tag }) => !exclude.some((t) => sameTag(t, tag))
+  );
+  if (!needle) return available.slice(0, limit);
+  const starts = available.filter(({ tag }) =>
+    tag.toLowerCase().startsWith(needle)
+  );
+  const contains = available.filter(
+    ({ tag }) =>
+      !tag.toLowerCase().startsWith(needle) &&
+      tag.toLowerCase().includes(needle)
+  );
+  return [...starts, ...contains].slice(0, limit);
+};
+
+/**
+ * Product updates for renaming every tag in `sources` to `to`. Renaming onto
+ * a tag that already exists merges them, so a product never ends up with the
+ * same tag twice. Returns [{ id, tags }] for the products that change.
+ */
+export const planTagMerge = (products, sources, to) => {
+  const target = normalizeTag(to);
+  if (!target) return [];
+  const isSource = (tag) => sources.some((s) => sameTag(s, tag));
+  const updates = [];
+  products.forEach((product) => {
+    const current = getTags(product);
+    if (!current.some(isSource)) return;
+    const tags = current.reduce(
+      (list, tag) => addTag(list, isSource(tag) ? target : tag),
+      []
+    );
+    if (tags.join("\n") !== current.join("\n")) {
+      updates.push({ id: product.id, tags });
+    }
+  });
+  return updates;
+};
+
+export const getNiche = (product) => normalizeTag(product.niche);
+
+// Niche names in use, alphabetically, for the niche autocomplete.
+export const collectNiches = (products) => {
+  const byKey = new Map();
+  products.forEach((product) => {
+    const niche = getNiche(product);
+    if (niche && !byKey.has(niche.toLowerCase())) {
+      byKey.set(niche.toLowerCase(), niche);
+    }
+  });
+  return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Splits an already sorted product list into niche groups, keeping the sort
+ * order inside each group. Groups are alphabetical with products without a
+ * niche last. Each group has { key, niche, products, count, averageMargin };
+ * key is the lowercase niche ("" for none) and averageMargin the mean
+ * margin % of products with price and COGs.
+ */
+export const groupByNiche = (products, economicsDefaults) => {
+  const groups = new Map();
+  products.forEach((product) => {
+    const niche = getNiche(product);
+    const key = niche.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { key, niche: niche || NO_NICHE, products: [] });
+    }
+    groups.get(key).products.push(product);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (!a ? 1 : !b ? -1 : a.localeCompare(b)))
+    .map(([, group]) => {
+      const margins = group.products
+        .map(
+          (p) =>
+            calculateUnitEconomics(p, economicsDefaults)?.marginPercent ?? null
+        )
+        .filter((m) => m !== null);
+      return {
+        ...group,
+        count: group.products.length,
+        averageMargin: margins.length
+          ? margins.reduce((a, b) => a + b, 0) / margins.length
+          : null,
+      };
+    });
+};
@@ -0,0 +1,104 @@
+// --- Duplicates & Product Templates ---
+// Templates are stored in the workspace settings (`productTemplates`) so the
+// whole team can start from them:
+//   { id, name, fields, createdBy, createdAt }
+// `fields` is a product without its identity, status and per-product history.
+
+import { createCompetitor, generateId } from "./products";
+
+// Never carried over to a copy or a template.
+const IDENTITY_FIELDS = [
+  "id",
+  "createdAt",
+  "status",
+  "statusHistory",
+  "statusChangedAt",
+  "deletedAt",
+  "deletedBy",
+  "adTests",
+];
+
+// Also left out of templates: they describe one product, not a starting point.
+const PRODUCT_ONLY_FIELDS = ["name", "ratings"];
+
+const omit = (product, fields) =>
+  Object.fromEntries(
+    Object.entries(product).filter(([field]) => !fields.includes(field))
+  );
+
+// Deep copy with new ids for every nested competitor, snapshot, supplier,
+// link and pricing scenario, so editing the copy can never touch the
+// original's entries.
+const freshNested = (fields, keepSnapshots) => {
+  const copy = JSON.parse(JSON.stringify(fields));
+  if (copy.competitors) {
+    copy.competitors = copy.competitors.map((competitor) =>
+      createCompetitor({
+        ...competitor,
+        id: generateId(),
+        snapshots: keepSnapshots
+          ? (competitor.snapshots || []).map((s) => ({
+              ...s,
+              id: generateId(),
+            }))
+          : [],
+      })
+    );
+  }
+  if (copy.suppliers) {
+    const ids = {};
+    copy.suppliers = copy.suppliers.map((supplier) => {
+      ids[supplier.id] = generateId();
+      return {
+        ...supplier,
+        id: ids[supplier.id],
+        shipping: (supplier.shipping || []).map((row) => ({
+          ...row,
+          id: generateId(),
+        })),
+        priceBreaks: (supplier.priceBreaks || []).map((row) => ({
+          ...row,
+          id: generateId(),
+        })),
+      };
+    });
+    copy.preferredSupplierId = ids[copy.preferredSupplierId] || null;
+  }
+  ["otherLinks", "pricingScenarios", "markets"].forEach((field) => {
+    if (copy[field]) {
+      copy[field] = copy[field].map((item) => ({ ...item, id: generateId() }));
+    }
+  });
+  return copy;
+};
+
+/**
+ * Overrides for `createProduct` that make a copy of `product`. Competitor
+ * tracking history comes along; the copy starts its own status timeline.
+ */
+export const duplicateFields = (product) => {
+  const copy = freshNested(omit(product, IDENTITY_FIELDS), true);
+  copy.name = product.name ? `${product.name} (Copy)` : "";
+  return copy;
+};
+
+export const createTemplate = (product, name, user) => ({
+  id: generateId(),
+  name,
+  fields: freshNested(
+    omit(product, [...IDENTITY_FIELDS, ...PRODUCT_ONLY_FIELDS]),
+    false
+  ),
+  createdBy: user?.email || null,
+  createdAt: Date.now(),
+});
+
+// Overrides for `createProduct` that start a product from `template`.
+export const templateFields = (template) =>
+  freshNested(
+    omit(template.fields || {}, [...IDENTITY_FIELDS, ...PRODUCT_ONLY_FIELDS]),
+    false
+  );
+
+export const sortTemplates = (templates = []) =>
+  [...templates].sort((a, b) => a.name.localeCompare(b.name));
@@ -0,0 +1,46 @@
+// --- Trash ---
+// Deleting a product only marks it: `deletedAt` (ms) and `deletedBy` (email).
+// Trashed products stay in the collection so they can be restored, and are
+// removed for good once they have been in the trash longer than the
+// workspace's retention period (`trashRetentionDays` setting).
+
+export const DEFAULT_TRASH_RETENTION_DAYS = "30";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (product) => !!product.deletedAt;
+
+// Fields to merge into a product to move it to the trash / back out of it.
+export const trashFields = (user, at = Date.now()) => ({
+  deletedAt: at,
+  deletedBy: user?.email || null,
+});
+
+export const restoreFields = () => ({ deletedAt: null, deletedBy: null });
+
+// Under a day would purge a product before its undo or the Trash dialog
+// could bring it back, so it counts as unset.
+const retentionMs = (retentionDays) => {
+  const days = parseFloat(retentionDays);
+  return isNaN(days) || days < 1 ? null : days * DAY_MS;
+};
+
+/**
+ * When a trashed product will be purged, or null when the retention setting
+ * is empty or below one day (keep forever).
+ */
+export const getPurgeAt = (product, retentionDays) => {
+  const ms = retentionMs(retentionDays);
+  return ms === null || !product.deletedAt ? null : product.deletedAt + ms;
+};
+
+// Trashed products whose retention period is over.
+export const getExpiredTrash = (products, retentionDays, now = Date.now()) =>
+  products.filter((p) => {
+    const purgeAt = getPurgeAt(p, retentionDays);
+    return isTrashed(p) && purgeAt !== null && purgeAt <= now;
+  });
+
+// Most recently deleted first.
+export const sortTrash = (products) =>
+  [...products].sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
@@ -0,0 +1,143 @@
+// --- Team Workspaces ---
+// A workspace owns the products collection and settings. Membership lives on
+// the workspace document:
+//   memberIds    - uids, used for "my workspaces" queries and rules
+//   roles        - { [uid]: "owner" | "editor" | "viewer" }
+//   memberEmails - { [uid]: email } for display
+// Invites are stored by `${workspaceId}_${email}` so security rules can look
+// them up when the invitee adds themselves.
+
+import {
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+} from "firebase/firestore";
+import {
+  db,
+  workspaceRef,
+  productRef,
+  settingsRef,
+  inviteRef,
+  legacyProductsCol,
+  legacySettingsRef,
+} from "./firebase";
+import { generateId } from "./products";
+
+export const ROLES = ["owner", "editor", "viewer"];
+
+export const ROLE_LABELS = {
+  owner: "Owner",
+  editor: "Editor",
+  viewer: "Viewer",
+};
+
+export const canEditRole = (role) => role === "owner" || role === "editor";
+
+export const normalizeEmail = (email) => (email || "").trim().toLowerCase();
+
+export const getInviteId = (workspaceId, email) =>
+  `${workspaceId}_${normalizeEmail(email)}`;
+
+const newWorkspace = (id, user, name, extra = {}) => ({
+  id,
+  name,
+  ownerId: user.uid,
+  memberIds: [user.uid],
+  roles: { [user.uid]: "owner" },
+  memberEmails: { [user.uid]: normalizeEmail(user.email) },
+  createdAt: Date.now(),
+  ...extra,
+});
+
+/**
+ * Every user gets a personal workspace whose id is their uid. The first time
+ * it is created, products and settings from the old per-user location
+ * (artifacts/{appId}/users/{uid}) are copied into it. The legacy data is left
+ * in place; `migratedAt` marks the copy as finished so it runs only once.
+ */
+export const ensurePersonalWorkspace = async (user) => {
+  const ref = workspaceRef(user.uid);
+  const snap = await getDoc(ref);
+  if (snap.exists() && snap.data().migratedAt) return;
+
+  if (!snap.exists()) {
+    await setDoc(
+      ref,
+      newWorkspace(user.uid, user, "Personal", { personal: true })
+    );
+  }
+
+  const legacyProducts = await getDocs(legacyProductsCol(user.uid));
+  const legacySettings = await getDoc(legacySettingsRef(user.uid));
+  const writes = legacyProducts.docs.map(
+    (d) => (batch) =>
+      batch.set(productRef(user.uid, d.id), { ...d.data(), id: d.id })
+  );
+  if (legacySettings.exists()) {
+    writes.push((batch) =>
+      batch.set(settingsRef(user.uid), legacySettings.data(), { merge: true })
+    );
+  }
+
+  for (let i = 0; i < writes.length; i += 500) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + 500).forEach((write) => write(batch));
+    await batch.commit();
+  }
+
+  await updateDoc(ref, {
+    migratedAt: Date.now(),
+    migratedProducts: legacyProducts.size,
+  });
+};
+
+export const createWorkspace = async (user, name) => {
+  const id = generateId();
+  await setDoc(workspaceRef(id), newWorkspace(id, user, name));
+  return id;
+};
+
+export const renameWorkspace = (workspaceId, name) =>
+  updateDoc(workspaceRef(workspaceId), { name });
+
+export const inviteMember = (workspace, email, role, inviter) => {
+  const normalized = normalizeEmail(email);
+  const id = getInviteId(workspace.id, normalized);
+  return setDoc(inviteRef(id), {
+    id,
+    workspaceId: workspace.id,
+    workspaceName: workspace.name,
+    email: normalized,
+    role,
+    invitedBy: normalizeEmail(inviter.email),
+    createdAt: Date.now(),
+  });
+};
+
+export const deleteInvite = (inviteId) => deleteDoc(inviteRef(inviteId));
+
+export const acceptInvite = async (invite, user) => {
+  await updateDoc(workspaceRef(invite.workspaceId), {
+    memberIds: arrayUnion(user.uid),
+    [`roles.${user.uid}`]: invite.role,
+    [`memberEmails.${user.uid}`]: normalizeEmail(user.email),
+  });
+  await deleteInvite(invite.id);
+};
+
+export const updateMemberRole = (workspaceId, uid, role) =>
+  updateDoc(workspaceRef(workspaceId), { [`roles.${uid}`]: role });
+
+// Also used by members leaving a workspace themselves.
+export const removeMember = (workspaceId, uid) =>
+  updateDoc(workspaceRef(workspaceId), {
+    memberIds: arrayRemove(uid),
+    [`roles.${uid}`]: deleteField(),
+    [`memberEmails.${uid}`]: deleteField(),
+  });
@@ -0,0 +1,213 @@
+// Security rules tests. Run with `npm run test:rules`, which starts the
+// Firestore emulator and runs this file with node's test runner.
+
+import { readFileSync } from "node:fs";
+import { after, before, beforeEach, describe, test } from "node:test";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import {
+  arrayUnion,
+  deleteDoc,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+} from "firebase/firestore";
+
+const APP = "artifacts/dropship-tracker-app";
+const WS = "team";
+const INVITE = `${WS}_carol@example.com`;
+
+const USERS = {
+  alice: { email: "alice@example.com", email_verified: true }, // owner
+  bob: { email: "bob@example.com", email_verified: true }, // editor
+  vic: { email: "vic@example.com", email_verified: true }, // viewer
+  carol: { email: "carol@example.com", email_verified: true }, // invitee
+  mallory: { email: "mallory@example.com", email_verified: true }, // outsider
+};
+
+let env;
+
+const as = (uid, token = USERS[uid]) =>
+  env.authenticatedContext(uid, token).firestore();
+
+const workspace = (db) => doc(db, `${APP}/workspaces/${WS}`);
+const product = (db, id = "p1") =>
+  doc(db, `${APP}/workspaces/${WS}/products/${id}`);
+const settings = (db) => doc(db, `${APP}/workspaces/${WS}/settings/workspace`);
+const invite = (db, id = INVITE) => doc(db, `${APP}/invites/${id}`);
+
+// What acceptInvite() in src/lib/workspaces.js writes.
+const accept = (db, uid, role) =>
+  updateDoc(workspace(db), {
+    memberIds: arrayUnion(uid),
+    [`roles.${uid}`]: role,
+    [`memberEmails.${uid}`]: USERS[uid].email,
+  });
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: "demo-dropship-tracker",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+  });
+});
+
+after(() => env.cleanup());
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(workspace(db), {
+      id: WS,
+      name: "Team",
+      ownerId: "alice",
+      memberIds: ["alice", "bob", "vic"],
+      roles: { alice: "owner", bob: "editor", vic: "viewer" },
+      memberEmails: {
+        alice: USERS.alice.email,
+        bob: USERS.bob.email,
+        vic: USERS.vic.email,
+      },
+    });
+    await setDoc(product(db), { id: "p1", name: "Lamp" });
+    await setDoc(settings(db), { trashRetentionDays: "30" });
+    await setDoc(invite(db), {
+      id: INVITE,
+      workspaceId: WS,
+      email: USERS.carol.email,
+      role: "editor",
+    });
+  });
+});
+
+describe("workspaces", () => {
+  test("members can read, non-members can't", async () => {
+    await assertSucceeds(getDoc(workspace(as("vic"))));
+    await assertFails(getDoc(workspace(as("mallory"))));
+    await assertFails(
+      getDoc(workspace(env.unauthenticatedContext().firestore()))
+    );
+  });
+
+  test("only the owner can rename or delete", async () => {
+    await assertSucceeds(
+      updateDoc(workspace(as("alice")), { name: "Renamed" })
+    );
+    await assertFails(updateDoc(workspace(as("bob")), { name: "Renamed" }));
+    await assertFails(deleteDoc(workspace(as("bob"))));
+    await assertSucceeds(deleteDoc(workspace(as("alice"))));
+  });
+
+  test("the owner can't hand away ownership", async () => {
+    await assertFails(
+      updateDoc(workspace(as("alice")), { "roles.alice": "editor" })
+    );
+  });
+
+  test("non-members can't add themselves", async () => {
+    await assertFails(accept(as("mallory"), "mallory", "editor"));
+  });
+});
+
+describe("products and settings", () => {
+  test("viewers read but can't write", async () => {
+    const db = as("vic");
+    await assertSucceeds(getDoc(product(db)));
+    await assertSucceeds(getDoc(settings(db)));
+    await assertFails(updateDoc(product(db), { name: "Desk" }));
+    await assertFails(setDoc(settings(db), { adTestWindowDays: "14" }));
+  });
+
+  test("editors and owners write", async () => {
+    await assertSucceeds(updateDoc(product(as("bob")), { name: "Desk" }));
+    await assertSucceeds(setDoc(product(as("alice"), "p2"), { id: "p2" }));
+    await assertSucceeds(
+      setDoc(settings(as("bob")), { adTestWindowDays: "14" }, { merge: true })
+    );
+  });
+
+  test("non-members can't read or write", async () => {
+    const db = as("mallory");
+    await assertFails(getDoc(product(db)));
+    await assertFails(getDoc(settings(db)));
+    await assertFails(setDoc(product(db, "p2"), { id: "p2" }));
+    await assertFails(setDoc(settings(db), { adTestWindowDays: "14" }));
+  });
+});
+
+describe("invites", () => {
+  test("only the owner creates invites", async () => {
+    const data = {
+      workspaceId: WS,
+      email: "dave@example.com",
+      role: "viewer",
+    };
+    await assertSucceeds(
+      setDoc(invite(as("alice"), `${WS}_dave@example.com`), data)
+    );
+    await assertFails(
+      setDoc(invite(as("bob"), `${WS}_dave@example.com`), data)
+    );
+    await assertFails(
+      setDoc(invite(as("alice"), `${WS}_dave@example.com`), {
+        ...data,
+        role: "owner",
+      })
+    );
+  });
+
+  test("the owner can invite the same address again", async () => {
+    const data = {
+      workspaceId: WS,
+      email: USERS.carol.email,
+      role: "viewer",
+    };
+    await assertSucceeds(setDoc(invite(as("alice")), data));
+    await assertFails(setDoc(invite(as("bob")), data));
+    await assertFails(setDoc(invite(as("carol")), data));
+    await assertFails(setDoc(invite(as("alice")), { ...data, role: "owner" }));
+    await assertFails(
+      setDoc(invite(as("alice")), { ...data, email: USERS.mallory.email })
+    );
+  });
+
+  test("the invitee and the owner can read it", async () => {
+    await assertSucceeds(getDoc(invite(as("carol"))));
+    await assertSucceeds(getDoc(invite(as("alice"))));
+    await assertFails(getDoc(invite(as("bob"))));
+    await assertFails(getDoc(invite(as("mallory"))));
+  });
+
+  test("an unverified address doesn't count as the invitee", async () => {
+    const db = as("imposter", { ...USERS.carol, email_verified: false });
+    await assertFails(getDoc(invite(db)));
+    await assertFails(deleteDoc(invite(db)));
+    await assertFails(
+      updateDoc(workspace(db), {
+        memberIds: arrayUnion("imposter"),
+        "roles.imposter": "editor",
+        "memberEmails.imposter": USERS.carol.email,
+      })
+    );
+  });
+
+  test("the invitee joins with the invited role only", async () => {
+    await assertFails(accept(as("carol"), "carol", "owner"));
+    await assertSucceeds(accept(as("carol"), "carol", "editor"));
+    await assertSucceeds(getDoc(product(as("carol"))));
+  });
+
+  test("the invitee can delete (decline) it", async () => {
+    await assertFails(deleteDoc(invite(as("mallory"))));
+    await assertFails(deleteDoc(invite(as("bob"))));
+    await assertSucceeds(deleteDoc(invite(as("carol"))));
+  });
+
+  test("the owner can delete (revoke) it", async () => {
+    await assertSucceeds(deleteDoc(invite(as("alice"))));
+  });
+});